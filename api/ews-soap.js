@@ -6,6 +6,7 @@
 class EWSClient {
   constructor() {
     this.xmlParser = new XMLParser();
+    this.timeZoneConverter = new TimeZoneConverter();
     this.timeoutMs = 60000; // 60 seconds timeout for EWS requests
     this.schemaNamespaces = {
       's': 'http://schemas.xmlsoap.org/soap/envelope/',
@@ -24,7 +25,7 @@ class EWSClient {
           <t:BaseShape>AllProperties</t:BaseShape>
         </m:FolderShape>
         <m:FolderIds>
-          <t:DistinguishedFolderId Id="${this.escapeXml(folderId)}" />
+          ${this.buildFolderId(folderId)}
         </m:FolderIds>
       </m:GetFolder>
     `;
@@ -51,6 +52,7 @@ class EWSClient {
             <t:FieldURI FieldURI="folder:TotalCount"/>
             <t:FieldURI FieldURI="folder:UnreadCount"/>
             <t:FieldURI FieldURI="folder:FolderClass"/>
+            <t:FieldURI FieldURI="folder:ParentFolderId"/>
           </t:AdditionalProperties>
         </m:FolderShape>
         <m:ParentFolderIds>
@@ -68,6 +70,159 @@ class EWSClient {
     }
   }
 
+  /**
+   * Get folder hierarchy changes since the given SyncState
+   */
+  async syncFolderHierarchy(account, syncState = null) {
+    const soapBody = `
+      <m:SyncFolderHierarchy>
+        <m:FolderShape>
+          <t:BaseShape>Default</t:BaseShape>
+          <t:AdditionalProperties>
+            <t:FieldURI FieldURI="folder:FolderClass"/>
+            <t:FieldURI FieldURI="folder:ParentFolderId"/>
+          </t:AdditionalProperties>
+        </m:FolderShape>
+        <m:SyncFolderId>
+          <t:DistinguishedFolderId Id="msgfolderroot"/>
+        </m:SyncFolderId>
+        ${syncState ? `<m:SyncState>${this.escapeXml(syncState)}</m:SyncState>` : ''}
+      </m:SyncFolderHierarchy>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseSyncFolderHierarchyResponse(response);
+    } catch (error) {
+      console.error('SyncFolderHierarchy failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a folder under a parent folder
+   */
+  async createFolder(account, parentFolderId, displayName, folderClass = 'IPF.Note') {
+    const soapBody = `
+      <m:CreateFolder>
+        <m:ParentFolderId>
+          ${this.buildFolderId(parentFolderId)}
+        </m:ParentFolderId>
+        <m:Folders>
+          <t:Folder>
+            <t:FolderClass>${this.escapeXml(folderClass)}</t:FolderClass>
+            <t:DisplayName>${this.escapeXml(displayName)}</t:DisplayName>
+          </t:Folder>
+        </m:Folders>
+      </m:CreateFolder>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseFolderChangeResponse(response);
+    } catch (error) {
+      console.error('CreateFolder failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename folder
+   */
+  async renameFolder(account, folderId, changeKey, displayName) {
+    const soapBody = `
+      <m:UpdateFolder>
+        <m:FolderChanges>
+          <t:FolderChange>
+            ${this.buildFolderId(FolderReference.from(folderId).withChangeKey(changeKey))}
+            <t:Updates>
+              <t:SetFolderField>
+                <t:FieldURI FieldURI="folder:DisplayName"/>
+                <t:Folder>
+                  <t:DisplayName>${this.escapeXml(displayName)}</t:DisplayName>
+                </t:Folder>
+              </t:SetFolderField>
+            </t:Updates>
+          </t:FolderChange>
+        </m:FolderChanges>
+      </m:UpdateFolder>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseFolderChangeResponse(response);
+    } catch (error) {
+      console.error('RenameFolder failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move folder under another parent folder
+   */
+  async moveFolder(account, folderId, targetFolderId) {
+    const soapBody = `
+      <m:MoveFolder>
+        <m:ToFolderId>
+          ${this.buildFolderId(targetFolderId)}
+        </m:ToFolderId>
+        <m:FolderIds>
+          ${this.buildFolderId(folderId)}
+        </m:FolderIds>
+      </m:MoveFolder>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseFolderChangeResponse(response);
+    } catch (error) {
+      console.error('MoveFolder failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete folder
+   */
+  async deleteFolder(account, folderId, deleteType = 'MoveToDeletedItems') {
+    const soapBody = `
+      <m:DeleteFolder DeleteType="${deleteType}">
+        <m:FolderIds>
+          ${this.buildFolderId(folderId)}
+        </m:FolderIds>
+      </m:DeleteFolder>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseFolderChangeResponse(response);
+    } catch (error) {
+      console.error('DeleteFolder failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all items in a folder, and optionally its subfolders
+   */
+  async emptyFolder(account, folderId, deleteType = 'MoveToDeletedItems', deleteSubFolders = false) {
+    const soapBody = `
+      <m:EmptyFolder DeleteType="${deleteType}" DeleteSubFolders="${deleteSubFolders === true}">
+        <m:FolderIds>
+          ${this.buildFolderId(folderId)}
+        </m:FolderIds>
+      </m:EmptyFolder>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseFolderChangeResponse(response);
+    } catch (error) {
+      console.error('EmptyFolder failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get messages from folder
    */
@@ -101,120 +256,1127 @@ class EWSClient {
           </t:FieldOrder>
         </m:SortOrder>
         <m:ParentFolderIds>
-          <t:DistinguishedFolderId Id="${this.escapeXml(folderId)}"/>
+          ${this.buildFolderId(folderId)}
+        </m:ParentFolderIds>
+      </m:FindItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseMessagesResponse(response);
+    } catch (error) {
+      console.error('GetMessages failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search messages on the server with FindItem
+   * criteria: { text, subject, body, from, receivedAfter, receivedBefore, hasAttachments, isRead }
+   *   or { queryString } for an AQS query (QueryString and Restriction cannot be combined)
+   * options: { folderIds, traversal ('Shallow' | 'Deep'), maxItems, offset }
+   */
+  async searchMessages(account, criteria = {}, options = {}) {
+    const folderIds = options.folderIds || ['msgfolderroot'];
+    const traversal = options.traversal || 'Deep';
+    const maxItems = options.maxItems || 50;
+    const offset = options.offset || 0;
+
+    try {
+      if (traversal === 'Shallow') {
+        return await this.findMessages(account, folderIds, criteria, maxItems, offset);
+      }
+
+      // FindItem cannot traverse subfolders: query every mail folder below the given ones
+      // and page over the merged results, newest first
+      const searchFolderIds = await this.getMailFolderIds(account, folderIds);
+      const messages = [];
+      let totalItems = 0;
+
+      for (const folderId of searchFolderIds) {
+        const result = await this.findMessages(account, [folderId], criteria, offset + maxItems, 0);
+        messages.push(...result.messages);
+        totalItems += result.totalItems;
+      }
+
+      messages.sort((a, b) => new Date(b.dateTimeReceived || 0) - new Date(a.dateTimeReceived || 0));
+      const page = messages.slice(offset, offset + maxItems);
+      const includesLastItemInRange = offset + page.length >= totalItems;
+
+      return {
+        success: true,
+        messages: page,
+        totalItems: totalItems,
+        includesLastItemInRange: includesLastItemInRange,
+        nextOffset: includesLastItemInRange ? null : offset + page.length
+      };
+    } catch (error) {
+      console.error('SearchMessages failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a shallow FindItem over the given folders
+   */
+  async findMessages(account, folderIds, criteria, maxItems, offset) {
+    const restriction = criteria.queryString ? '' : this.buildRestriction(criteria);
+
+    const soapBody = `
+      <m:FindItem Traversal="Shallow">
+        <m:ItemShape>
+          <t:BaseShape>Default</t:BaseShape>
+          <t:AdditionalProperties>
+            <t:FieldURI FieldURI="item:ParentFolderId"/>
+            <t:FieldURI FieldURI="item:Subject"/>
+            <t:FieldURI FieldURI="item:DateTimeReceived"/>
+            <t:FieldURI FieldURI="message:From"/>
+            <t:FieldURI FieldURI="message:ToRecipients"/>
+            <t:FieldURI FieldURI="message:IsRead"/>
+            <t:FieldURI FieldURI="item:Importance"/>
+            <t:FieldURI FieldURI="item:Size"/>
+            <t:FieldURI FieldURI="item:HasAttachments"/>
+          </t:AdditionalProperties>
+        </m:ItemShape>
+        <m:IndexedPageItemView MaxEntriesReturned="${maxItems}" Offset="${offset}" BasePoint="Beginning"/>
+        ${restriction ? `<m:Restriction>${restriction}</m:Restriction>` : ''}
+        <m:SortOrder>
+          <t:FieldOrder Order="Descending">
+            <t:FieldURI FieldURI="item:DateTimeReceived"/>
+          </t:FieldOrder>
+        </m:SortOrder>
+        <m:ParentFolderIds>
+          ${folderIds.map(folderId => `${this.buildFolderId(folderId)}`).join('')}
         </m:ParentFolderIds>
+        ${criteria.queryString ? `<m:QueryString>${this.escapeXml(criteria.queryString)}</m:QueryString>` : ''}
       </m:FindItem>
     `;
 
+    const response = await this.makeEWSRequest(account, soapBody);
+    return this.parseMessagesResponse(response);
+  }
+
+  /**
+   * Get the given folders plus every mail folder below them (FindFolder with deep traversal)
+   */
+  async getMailFolderIds(account, folderIds) {
+    const soapBody = `
+      <m:FindFolder Traversal="Deep">
+        <m:FolderShape>
+          <t:BaseShape>IdOnly</t:BaseShape>
+          <t:AdditionalProperties>
+            <t:FieldURI FieldURI="folder:FolderClass"/>
+          </t:AdditionalProperties>
+        </m:FolderShape>
+        <m:ParentFolderIds>
+          ${folderIds.map(folderId => `${this.buildFolderId(folderId)}`).join('')}
+        </m:ParentFolderIds>
+      </m:FindFolder>
+    `;
+
+    const response = await this.makeEWSRequest(account, soapBody);
+    const subfolderIds = this.parseFolderHierarchyResponse(response).folders
+      // Folders without a class hold mail too; calendars, contacts and tasks are skipped
+      .filter(folder => !folder.folderClass || /^IPF\.Note(\.|$)/.test(folder.folderClass))
+      .map(folder => folder.id);
+
+    return [...folderIds, ...subfolderIds];
+  }
+
+  /**
+   * Build a Restriction search expression; all given criteria must match
+   */
+  buildRestriction(criteria) {
+    const field = fieldUri => `<t:FieldURI FieldURI="${fieldUri}"/>`;
+    const extended = propertyTag => `<t:ExtendedFieldURI PropertyTag="${propertyTag}" PropertyType="String"/>`;
+    const contains = (path, value) => `
+      <t:Contains ContainmentMode="Substring" ContainmentComparison="IgnoreCase">
+        ${path}
+        <t:Constant Value="${this.escapeXml(value)}"/>
+      </t:Contains>`;
+    const compare = (operator, fieldUri, value) => `
+      <t:${operator}>
+        ${field(fieldUri)}
+        <t:FieldURIOrConstant>
+          <t:Constant Value="${this.escapeXml(String(value))}"/>
+        </t:FieldURIOrConstant>
+      </t:${operator}>`;
+
+    const conditions = [];
+
+    if (criteria.text) {
+      conditions.push(`<t:Or>${contains(field('item:Subject'), criteria.text)}${contains(field('item:Body'), criteria.text)}</t:Or>`);
+    }
+    if (criteria.subject) {
+      conditions.push(contains(field('item:Subject'), criteria.subject));
+    }
+    if (criteria.body) {
+      conditions.push(contains(field('item:Body'), criteria.body));
+    }
+    if (criteria.from) {
+      // message:From cannot be restricted on: match the sender's SMTP address (PidTagSenderSmtpAddress)
+      // or, for senders without one, its raw address (PidTagSenderEmailAddress)
+      conditions.push(`<t:Or>${contains(extended('0x5D01'), criteria.from)}${contains(extended('0x0C1F'), criteria.from)}</t:Or>`);
+    }
+    if (criteria.receivedAfter) {
+      conditions.push(compare('IsGreaterThan', 'item:DateTimeReceived', new Date(criteria.receivedAfter).toISOString()));
+    }
+    if (criteria.receivedBefore) {
+      conditions.push(compare('IsLessThan', 'item:DateTimeReceived', new Date(criteria.receivedBefore).toISOString()));
+    }
+    if (criteria.hasAttachments !== undefined) {
+      conditions.push(compare('IsEqualTo', 'item:HasAttachments', criteria.hasAttachments === true));
+    }
+    if (criteria.isRead !== undefined) {
+      conditions.push(compare('IsEqualTo', 'message:IsRead', criteria.isRead === true));
+    }
+
+    if (conditions.length === 0) {
+      return '';
+    }
+    return conditions.length === 1 ? conditions[0] : `<t:And>${conditions.join('')}</t:And>`;
+  }
+
+  /**
+   * Get specific message details
+   */
+  async getMessage(account, messageId) {
+    const soapBody = `
+      <m:GetItem>
+        <m:ItemShape>
+          <t:BaseShape>AllProperties</t:BaseShape>
+          <t:IncludeMimeContent>true</t:IncludeMimeContent>
+        </m:ItemShape>
+        <m:ItemIds>
+          <t:ItemId Id="${this.escapeXml(messageId)}"/>
+        </m:ItemIds>
+      </m:GetItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseMessageResponse(response);
+    } catch (error) {
+      console.error('GetMessage failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get item changes in a folder since the given SyncState
+   */
+  async syncFolderItems(account, folderId, syncState = null, options = {}) {
+    const maxChanges = options.maxChanges || 512;
+
+    const soapBody = `
+      <m:SyncFolderItems>
+        <m:ItemShape>
+          <t:BaseShape>IdOnly</t:BaseShape>
+          <t:AdditionalProperties>
+            <t:FieldURI FieldURI="item:Subject"/>
+            <t:FieldURI FieldURI="item:DateTimeReceived"/>
+            <t:FieldURI FieldURI="message:IsRead"/>
+            <t:FieldURI FieldURI="item:Flag"/>
+            <t:FieldURI FieldURI="item:Importance"/>
+            <t:FieldURI FieldURI="item:Categories"/>
+          </t:AdditionalProperties>
+        </m:ItemShape>
+        <m:SyncFolderId>
+          ${this.buildFolderId(folderId)}
+        </m:SyncFolderId>
+        ${syncState ? `<m:SyncState>${this.escapeXml(syncState)}</m:SyncState>` : ''}
+        <m:MaxChangesReturned>${maxChanges}</m:MaxChangesReturned>
+      </m:SyncFolderItems>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseSyncFolderItemsResponse(response);
+    } catch (error) {
+      console.error('SyncFolderItems failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a message
+   */
+  async sendMessage(account, message) {
+    const toRecipients = this.buildMailboxes(message.to);
+    const ccRecipients = this.buildMailboxes(message.cc);
+    const bccRecipients = this.buildMailboxes(message.bcc);
+
+    const attachments = message.attachments || [];
+
+    // Attachments can only be added to a saved item: save a draft, attach, then send it
+    const soapBody = `
+      <m:CreateItem MessageDisposition="${attachments.length > 0 ? 'SaveOnly' : 'SendAndSaveCopy'}">
+        ${attachments.length > 0 ? `
+        <m:SavedItemFolderId>
+          <t:DistinguishedFolderId Id="drafts"/>
+        </m:SavedItemFolderId>` : ''}
+        <m:Items>
+          <t:Message>
+            <t:Subject>${this.escapeXml(message.subject)}</t:Subject>
+            <t:Body BodyType="${message.bodyType || 'HTML'}">${this.escapeXml(message.body)}</t:Body>
+            <t:ToRecipients>${toRecipients}</t:ToRecipients>
+            ${ccRecipients ? `<t:CcRecipients>${ccRecipients}</t:CcRecipients>` : ''}
+            ${bccRecipients ? `<t:BccRecipients>${bccRecipients}</t:BccRecipients>` : ''}
+            <t:IsRead>true</t:IsRead>
+          </t:Message>
+        </m:Items>
+      </m:CreateItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      if (attachments.length === 0) {
+        return this.parseSendResponse(response);
+      }
+
+      const draft = this.parseCreateItemResponse(response);
+      const attached = await this.createAttachments(account, draft.itemId, attachments);
+      return await this.sendItem(account, draft.itemId, attached.rootItemChangeKey || draft.changeKey);
+    } catch (error) {
+      console.error('SendMessage failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reply to the sender of an item
+   */
+  async replyToItem(account, itemId, changeKey, response) {
+    return await this.sendResponseObject(account, 'ReplyToItem', itemId, changeKey, response);
+  }
+
+  /**
+   * Reply to the sender and all recipients of an item
+   */
+  async replyAllToItem(account, itemId, changeKey, response) {
+    return await this.sendResponseObject(account, 'ReplyAllToItem', itemId, changeKey, response);
+  }
+
+  /**
+   * Forward an item (response.to is required)
+   */
+  async forwardItem(account, itemId, changeKey, response) {
+    return await this.sendResponseObject(account, 'ForwardItem', itemId, changeKey, response);
+  }
+
+  /**
+   * Create and send a ReplyToItem / ReplyAllToItem / ForwardItem response object
+   * Exchange links it to the original (conversation index, replied/forwarded verb)
+   * response.body replaces the whole body; response.newBodyContent is prepended to the quoted original
+   */
+  async sendResponseObject(account, responseType, itemId, changeKey, response = {}) {
+    const toRecipients = this.buildMailboxes(response.to);
+    const ccRecipients = this.buildMailboxes(response.cc);
+    const bccRecipients = this.buildMailboxes(response.bcc);
+    const attachments = response.attachments || [];
+    const bodyType = response.bodyType || 'HTML';
+
+    // As with sendMessage, attachments require a saved draft that is sent afterwards
+    const soapBody = `
+      <m:CreateItem MessageDisposition="${attachments.length > 0 ? 'SaveOnly' : 'SendAndSaveCopy'}">
+        <m:SavedItemFolderId>
+          <t:DistinguishedFolderId Id="${attachments.length > 0 ? 'drafts' : 'sentitems'}"/>
+        </m:SavedItemFolderId>
+        <m:Items>
+          <t:${responseType}>
+            ${response.subject ? `<t:Subject>${this.escapeXml(response.subject)}</t:Subject>` : ''}
+            ${response.body !== undefined ? `<t:Body BodyType="${bodyType}">${this.escapeXml(response.body)}</t:Body>` : ''}
+            ${toRecipients ? `<t:ToRecipients>${toRecipients}</t:ToRecipients>` : ''}
+            ${ccRecipients ? `<t:CcRecipients>${ccRecipients}</t:CcRecipients>` : ''}
+            ${bccRecipients ? `<t:BccRecipients>${bccRecipients}</t:BccRecipients>` : ''}
+            <t:ReferenceItemId Id="${this.escapeXml(itemId)}"${changeKey ? ` ChangeKey="${this.escapeXml(changeKey)}"` : ''}/>
+            ${response.newBodyContent !== undefined ? `<t:NewBodyContent BodyType="${bodyType}">${this.escapeXml(response.newBodyContent)}</t:NewBodyContent>` : ''}
+          </t:${responseType}>
+        </m:Items>
+      </m:CreateItem>
+    `;
+
+    try {
+      const result = await this.makeEWSRequest(account, soapBody);
+      if (attachments.length === 0) {
+        return this.parseSendResponse(result);
+      }
+
+      const draft = this.parseCreateItemResponse(result);
+      const attached = await this.createAttachments(account, draft.itemId, attachments);
+      return await this.sendItem(account, draft.itemId, attached.rootItemChangeKey || draft.changeKey);
+    } catch (error) {
+      console.error(`${responseType} failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Accept a meeting request
+   */
+  async acceptItem(account, itemId, changeKey, options = {}) {
+    return await this.respondToMeeting(account, 'AcceptItem', itemId, changeKey, options);
+  }
+
+  /**
+   * Tentatively accept a meeting request
+   */
+  async tentativelyAcceptItem(account, itemId, changeKey, options = {}) {
+    return await this.respondToMeeting(account, 'TentativelyAcceptItem', itemId, changeKey, options);
+  }
+
+  /**
+   * Decline a meeting request
+   */
+  async declineItem(account, itemId, changeKey, options = {}) {
+    return await this.respondToMeeting(account, 'DeclineItem', itemId, changeKey, options);
+  }
+
+  /**
+   * Answer a meeting request (or its calendar item) with AcceptItem, TentativelyAcceptItem or DeclineItem
+   * options: { body, sendResponse (default true), proposedStart, proposedEnd }
+   * Without sendResponse the calendar is updated but the organizer gets no reply
+   */
+  async respondToMeeting(account, responseType, itemId, changeKey, options = {}) {
+    const sendResponse = options.sendResponse !== false;
+    const proposeNewTime = responseType !== 'AcceptItem' && options.proposedStart && options.proposedEnd;
+
+    const soapBody = `
+      <m:CreateItem MessageDisposition="${sendResponse ? 'SendAndSaveCopy' : 'SaveOnly'}">
+        <m:Items>
+          <t:${responseType}>
+            ${options.body ? `<t:Body BodyType="Text">${this.escapeXml(options.body)}</t:Body>` : ''}
+            <t:ReferenceItemId Id="${this.escapeXml(itemId)}"${changeKey ? ` ChangeKey="${this.escapeXml(changeKey)}"` : ''}/>
+            ${proposeNewTime ? `
+            <t:ProposedStart>${new Date(options.proposedStart).toISOString()}</t:ProposedStart>
+            <t:ProposedEnd>${new Date(options.proposedEnd).toISOString()}</t:ProposedEnd>` : ''}
+          </t:${responseType}>
+        </m:Items>
+      </m:CreateItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseSendResponse(response);
+    } catch (error) {
+      console.error(`${responseType} failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a complete MIME message (headers, body, attachments) and save a copy in Sent Items
+   * Bcc recipients are passed explicitly because they may be missing from the MIME headers
+   */
+  async sendMimeMessage(account, mimeContent, options = {}) {
+    const bccRecipients = this.buildMailboxes(options.bcc);
+
+    const soapBody = `
+      <m:CreateItem MessageDisposition="SendAndSaveCopy">
+        <m:SavedItemFolderId>
+          <t:DistinguishedFolderId Id="sentitems"/>
+        </m:SavedItemFolderId>
+        <m:Items>
+          <t:Message>
+            <t:MimeContent CharacterSet="UTF-8">${await this.encodeBase64(mimeContent)}</t:MimeContent>
+            ${bccRecipients ? `<t:BccRecipients>${bccRecipients}</t:BccRecipients>` : ''}
+          </t:Message>
+        </m:Items>
+      </m:CreateItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseSendResponse(response);
+    } catch (error) {
+      console.error('SendMimeMessage failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build t:Mailbox elements from address strings or { name, email } objects
+   */
+  buildMailboxes(addresses) {
+    return (addresses || []).map(address => {
+      const mailbox = typeof address === 'string' ? { email: address } : address;
+      return `<t:Mailbox>${mailbox.name ? `<t:Name>${this.escapeXml(mailbox.name)}</t:Name>` : ''}<t:EmailAddress>${this.escapeXml(mailbox.email)}</t:EmailAddress></t:Mailbox>`;
+    }).join('');
+  }
+
+  /**
+   * Build an ItemId ({ id, changeKey } or a plain id) or an OccurrenceItemId ({ recurringMasterId, instanceIndex })
+   */
+  buildItemId(item) {
+    if (typeof item === 'string') {
+      return `<t:ItemId Id="${this.escapeXml(item)}"/>`;
+    }
+    if (item.recurringMasterId) {
+      return `<t:OccurrenceItemId RecurringMasterId="${this.escapeXml(item.recurringMasterId)}" InstanceIndex="${item.instanceIndex}"/>`;
+    }
+    return `<t:ItemId Id="${this.escapeXml(item.id)}"${item.changeKey ? ` ChangeKey="${this.escapeXml(item.changeKey)}"` : ''}/>`;
+  }
+
+  /**
+   * Build the content of a Recurrence element: one pattern and one range
+   */
+  buildRecurrence(recurrence) {
+    const { pattern, range } = recurrence;
+    const interval = `<t:Interval>${pattern.interval || 1}</t:Interval>`;
+    const daysOfWeek = `<t:DaysOfWeek>${(pattern.daysOfWeek || []).join(' ')}</t:DaysOfWeek>`;
+    const dayOfWeekIndex = `<t:DayOfWeekIndex>${pattern.dayOfWeekIndex}</t:DayOfWeekIndex>`;
+    const dayOfMonth = `<t:DayOfMonth>${pattern.dayOfMonth}</t:DayOfMonth>`;
+    const month = `<t:Month>${pattern.month}</t:Month>`;
+
+    const patterns = {
+      Daily: interval,
+      Weekly: interval + daysOfWeek +
+        (pattern.firstDayOfWeek ? `<t:FirstDayOfWeek>${pattern.firstDayOfWeek}</t:FirstDayOfWeek>` : ''),
+      AbsoluteMonthly: interval + dayOfMonth,
+      RelativeMonthly: interval + daysOfWeek + dayOfWeekIndex,
+      AbsoluteYearly: dayOfMonth + month,
+      RelativeYearly: daysOfWeek + dayOfWeekIndex + month,
+      DailyRegeneration: interval,
+      WeeklyRegeneration: interval,
+      MonthlyRegeneration: interval,
+      YearlyRegeneration: interval
+    };
+    if (!(pattern.type in patterns)) {
+      throw new Error(`Unsupported recurrence pattern: ${pattern.type}`);
+    }
+    const patternTag = pattern.type.endsWith('Regeneration') ? pattern.type : `${pattern.type}Recurrence`;
+
+    const startDate = `<t:StartDate>${range.startDate.slice(0, 10)}</t:StartDate>`;
+    let rangeXml;
+    switch (range.type) {
+      case 'EndDate':
+        rangeXml = `<t:EndDateRecurrence>${startDate}<t:EndDate>${range.endDate.slice(0, 10)}</t:EndDate></t:EndDateRecurrence>`;
+        break;
+      case 'Numbered':
+        rangeXml = `<t:NumberedRecurrence>${startDate}<t:NumberOfOccurrences>${range.numberOfOccurrences}</t:NumberOfOccurrences></t:NumberedRecurrence>`;
+        break;
+      default:
+        rangeXml = `<t:NoEndRecurrence>${startDate}</t:NoEndRecurrence>`;
+    }
+
+    return `<t:${patternTag}>${patterns[pattern.type]}</t:${patternTag}>${rangeXml}`;
+  }
+
+  /**
+   * Build Attendee elements for RequiredAttendees, OptionalAttendees and Resources
+   */
+  buildAttendees(addresses) {
+    return (addresses || []).map(address => `<t:Attendee>${this.buildMailboxes([address])}</t:Attendee>`).join('');
+  }
+
+  /**
+   * Send an existing (draft) item and save a copy in Sent Items
+   */
+  async sendItem(account, itemId, changeKey) {
+    const soapBody = `
+      <m:SendItem SaveItemToFolder="true">
+        <m:ItemIds>
+          <t:ItemId Id="${this.escapeXml(itemId)}"${changeKey ? ` ChangeKey="${this.escapeXml(changeKey)}"` : ''}/>
+        </m:ItemIds>
+        <m:SavedItemFolderId>
+          <t:DistinguishedFolderId Id="sentitems"/>
+        </m:SavedItemFolderId>
+      </m:SendItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseSendResponse(response);
+    } catch (error) {
+      console.error('SendItem failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move message to folder
+   */
+  async moveMessage(account, messageId, targetFolderId) {
+    const soapBody = `
+      <m:MoveItem>
+        <m:ToFolderId>
+          ${this.buildFolderId(targetFolderId)}
+        </m:ToFolderId>
+        <m:ItemIds>
+          <t:ItemId Id="${this.escapeXml(messageId)}"/>
+        </m:ItemIds>
+      </m:MoveItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseMoveItemResponse(response);
+    } catch (error) {
+      console.error('MoveMessage failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark message as read/unread
+   */
+  async markMessage(account, messageId, isRead) {
+    const soapBody = `
+      <m:UpdateItem ConflictResolution="AutoResolve" MessageDisposition="SaveOnly">
+        <m:ItemChanges>
+          <t:ItemChange>
+            <t:ItemId Id="${this.escapeXml(messageId)}"/>
+            <t:Updates>
+              <t:SetItemField>
+                <t:FieldURI FieldURI="message:IsRead"/>
+                <t:Message>
+                  <t:IsRead>${isRead}</t:IsRead>
+                </t:Message>
+              </t:SetItemField>
+            </t:Updates>
+          </t:ItemChange>
+        </m:ItemChanges>
+      </m:UpdateItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseUpdateItemResponse(response);
+    } catch (error) {
+      console.error('MarkMessage failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update read state, follow-up flag, importance and categories of a message
+   * updates: { isRead, importance, categories: [], flag: { status, startDate, dueDate, completeDate } }
+   */
+  async updateMessage(account, messageId, changeKey, updates) {
+    const updateFields = Object.keys(updates).map(field => {
+      switch (field) {
+        case 'isRead':
+          return this.buildSetItemField('message:IsRead', 'Message', `<t:IsRead>${updates.isRead === true}</t:IsRead>`);
+        case 'importance':
+          return this.buildSetItemField('item:Importance', 'Message', `<t:Importance>${this.escapeXml(updates.importance)}</t:Importance>`);
+        case 'categories':
+          if (!updates.categories || updates.categories.length === 0) {
+            return '<t:DeleteItemField><t:FieldURI FieldURI="item:Categories"/></t:DeleteItemField>';
+          }
+          return this.buildSetItemField('item:Categories', 'Message', `
+            <t:Categories>
+              ${updates.categories.map(category => `<t:String>${this.escapeXml(category)}</t:String>`).join('')}
+            </t:Categories>`);
+        case 'flag':
+          return this.buildSetItemField('item:Flag', 'Message', this.buildFlag(updates.flag));
+        default:
+          return '';
+      }
+    }).join('');
+
+    const soapBody = `
+      <m:UpdateItem ConflictResolution="AutoResolve" MessageDisposition="SaveOnly">
+        <m:ItemChanges>
+          <t:ItemChange>
+            <t:ItemId Id="${this.escapeXml(messageId)}"${changeKey ? ` ChangeKey="${this.escapeXml(changeKey)}"` : ''}/>
+            <t:Updates>
+              ${updateFields}
+            </t:Updates>
+          </t:ItemChange>
+        </m:ItemChanges>
+      </m:UpdateItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseUpdateItemResponse(response);
+    } catch (error) {
+      console.error('UpdateMessage failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a SetItemField update for one property
+   */
+  buildSetItemField(fieldUri, itemElement, valueXml) {
+    return `
+      <t:SetItemField>
+        <t:FieldURI FieldURI="${fieldUri}"/>
+        <t:${itemElement}>
+          ${valueXml}
+        </t:${itemElement}>
+      </t:SetItemField>
+    `;
+  }
+
+  /**
+   * Build a follow-up Flag element (dates only apply to Flagged and Complete)
+   */
+  buildFlag(flag = {}) {
+    const status = flag.status || 'NotFlagged';
+    const toDate = value => new Date(value).toISOString();
+
+    return `
+      <t:Flag>
+        <t:FlagStatus>${status}</t:FlagStatus>
+        ${status === 'Flagged' && flag.startDate ? `<t:StartDate>${toDate(flag.startDate)}</t:StartDate>` : ''}
+        ${status === 'Flagged' && flag.dueDate ? `<t:DueDate>${toDate(flag.dueDate)}</t:DueDate>` : ''}
+        ${status === 'Complete' && flag.completeDate ? `<t:CompleteDate>${toDate(flag.completeDate)}</t:CompleteDate>` : ''}
+      </t:Flag>
+    `;
+  }
+
+  /**
+   * Delete message
+   */
+  async deleteMessage(account, messageId) {
+    const soapBody = `
+      <m:DeleteItem DeleteType="MoveToDeletedItems">
+        <m:ItemIds>
+          <t:ItemId Id="${this.escapeXml(messageId)}"/>
+        </m:ItemIds>
+      </m:DeleteItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseDeleteItemResponse(response);
+    } catch (error) {
+      console.error('DeleteMessage failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get contacts
+   */
+  async getContacts(account, options = {}) {
+    const maxItems = options.maxItems || 100;
+    const offset = options.offset || 0;
+
+    const soapBody = `
+      <m:FindItem Traversal="Shallow">
+        <m:ItemShape>
+          <t:BaseShape>AllProperties</t:BaseShape>
+        </m:ItemShape>
+        <m:IndexedPageItemView MaxEntriesReturned="${maxItems}" Offset="${offset}" BasePoint="Beginning"/>
+        <m:ParentFolderIds>
+          <t:DistinguishedFolderId Id="contacts"/>
+        </m:ParentFolderIds>
+      </m:FindItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseContactsResponse(response);
+    } catch (error) {
+      console.error('GetContacts failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create contact
+   */
+  async createContact(account, contact) {
+    const soapBody = `
+      <m:CreateItem>
+        <m:SavedItemFolderId>
+          <t:DistinguishedFolderId Id="contacts"/>
+        </m:SavedItemFolderId>
+        <m:Items>
+          <t:Contact>
+            <t:DisplayName>${this.escapeXml(contact.displayName)}</t:DisplayName>
+            <t:GivenName>${this.escapeXml(contact.firstName || '')}</t:GivenName>
+            <t:Surname>${this.escapeXml(contact.lastName || '')}</t:Surname>
+            <t:EmailAddresses>
+              <t:Entry Key="EmailAddress1">${this.escapeXml(contact.email)}</t:Entry>
+            </t:EmailAddresses>
+            ${contact.phone ? `<t:PhoneNumbers><t:Entry Key="BusinessPhone">${this.escapeXml(contact.phone)}</t:Entry></t:PhoneNumbers>` : ''}
+            ${contact.company ? `<t:CompanyName>${this.escapeXml(contact.company)}</t:CompanyName>` : ''}
+          </t:Contact>
+        </m:Items>
+      </m:CreateItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseCreateItemResponse(response);
+    } catch (error) {
+      console.error('CreateContact failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update contact
+   */
+  async updateContact(account, contactId, updates) {
+    const updateFields = Object.keys(updates).map(field => {
+      const fieldMapping = {
+        displayName: 'contacts:DisplayName',
+        firstName: 'contacts:GivenName',
+        lastName: 'contacts:Surname',
+        email: 'contacts:EmailAddress1',
+        phone: 'contacts:BusinessPhone',
+        company: 'contacts:CompanyName'
+      };
+
+      const ewsField = fieldMapping[field];
+      if (!ewsField) return '';
+
+      return `
+        <t:SetItemField>
+          <t:FieldURI FieldURI="${ewsField}"/>
+          <t:Contact>
+            <t:${ewsField.split(':')[1]}>${this.escapeXml(updates[field])}</t:${ewsField.split(':')[1]}>
+          </t:Contact>
+        </t:SetItemField>
+      `;
+    }).join('');
+
+    const soapBody = `
+      <m:UpdateItem ConflictResolution="AutoResolve">
+        <m:ItemChanges>
+          <t:ItemChange>
+            <t:ItemId Id="${this.escapeXml(contactId)}"/>
+            <t:Updates>
+              ${updateFields}
+            </t:Updates>
+          </t:ItemChange>
+        </m:ItemChanges>
+      </m:UpdateItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseUpdateItemResponse(response);
+    } catch (error) {
+      console.error('UpdateContact failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete contact
+   */
+  async deleteContact(account, contactId) {
+    const soapBody = `
+      <m:DeleteItem DeleteType="MoveToDeletedItems">
+        <m:ItemIds>
+          <t:ItemId Id="${this.escapeXml(contactId)}"/>
+        </m:ItemIds>
+      </m:DeleteItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseDeleteItemResponse(response);
+    } catch (error) {
+      console.error('DeleteContact failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get calendar items
+   */
+  async getCalendarItems(account, startDate, endDate, options = {}) {
+    const start = startDate.toISOString();
+    const end = endDate.toISOString();
+
+    const soapBody = `
+      <m:FindItem Traversal="Shallow">
+        <m:ItemShape>
+          <t:BaseShape>AllProperties</t:BaseShape>
+        </m:ItemShape>
+        <m:CalendarView StartDate="${start}" EndDate="${end}"/>
+        <m:ParentFolderIds>
+          <t:DistinguishedFolderId Id="calendar"/>
+        </m:ParentFolderIds>
+      </m:FindItem>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      const result = this.parseCalendarItemsResponse(response);
+
+      // FindItem does not return attendee lists or time zones: fetch them with GetItem
+      // (occurrences are left alone, callers resolve them to their recurring master)
+      const itemIds = result.items
+        .filter(item => !['Occurrence', 'Exception'].includes(item.calendarItemType))
+        .map(item => item.id);
+      for (let i = 0; i < itemIds.length; i += 50) {
+        const details = await this.getCalendarItemsById(account, itemIds.slice(i, i + 50));
+        const detailsById = new Map(details.items.map(item => [item.id, item]));
+        result.items = result.items.map(item => detailsById.get(item.id) || item);
+      }
+
+      return result;
+    } catch (error) {
+      console.error('GetCalendarItems failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get calendar items by ItemId, including attendees
+   * Bodies come as plain text, the form Thunderbird keeps event descriptions in
+   */
+  async getCalendarItemsById(account, itemIds) {
+    const soapBody = `
+      <m:GetItem>
+        <m:ItemShape>
+          <t:BaseShape>AllProperties</t:BaseShape>
+          <t:BodyType>Text</t:BodyType>
+          <t:AdditionalProperties>
+            <t:FieldURI FieldURI="calendar:RequiredAttendees"/>
+            <t:FieldURI FieldURI="calendar:OptionalAttendees"/>
+            <t:FieldURI FieldURI="calendar:Resources"/>
+            <t:FieldURI FieldURI="calendar:Recurrence"/>
+            <t:FieldURI FieldURI="calendar:ModifiedOccurrences"/>
+            <t:FieldURI FieldURI="calendar:DeletedOccurrences"/>
+            <t:FieldURI FieldURI="calendar:StartTimeZone"/>
+            <t:FieldURI FieldURI="calendar:EndTimeZone"/>
+          </t:AdditionalProperties>
+        </m:ItemShape>
+        <m:ItemIds>
+          ${itemIds.map(itemId => `<t:ItemId Id="${this.escapeXml(itemId)}"/>`).join('')}
+        </m:ItemIds>
+      </m:GetItem>
+    `;
+
     try {
       const response = await this.makeEWSRequest(account, soapBody);
-      return this.parseMessagesResponse(response);
+      return this.parseCalendarItemsResponse(response);
     } catch (error) {
-      console.error('GetMessages failed:', error);
+      console.error('GetCalendarItemsById failed:', error);
       throw error;
     }
   }
 
   /**
-   * Get specific message details
+   * Get the recurring masters of occurrences or exceptions (one per series)
    */
-  async getMessage(account, messageId) {
+  async getRecurringMasters(account, occurrenceIds) {
     const soapBody = `
       <m:GetItem>
         <m:ItemShape>
           <t:BaseShape>AllProperties</t:BaseShape>
-          <t:IncludeMimeContent>true</t:IncludeMimeContent>
+          <t:BodyType>Text</t:BodyType>
+          <t:AdditionalProperties>
+            <t:FieldURI FieldURI="calendar:RequiredAttendees"/>
+            <t:FieldURI FieldURI="calendar:OptionalAttendees"/>
+            <t:FieldURI FieldURI="calendar:Resources"/>
+            <t:FieldURI FieldURI="calendar:Recurrence"/>
+            <t:FieldURI FieldURI="calendar:ModifiedOccurrences"/>
+            <t:FieldURI FieldURI="calendar:DeletedOccurrences"/>
+            <t:FieldURI FieldURI="calendar:StartTimeZone"/>
+            <t:FieldURI FieldURI="calendar:EndTimeZone"/>
+          </t:AdditionalProperties>
         </m:ItemShape>
         <m:ItemIds>
-          <t:ItemId Id="${this.escapeXml(messageId)}"/>
+          ${occurrenceIds.map(itemId => `<t:RecurringMasterItemId OccurrenceId="${this.escapeXml(itemId)}"/>`).join('')}
         </m:ItemIds>
       </m:GetItem>
     `;
 
     try {
       const response = await this.makeEWSRequest(account, soapBody);
-      return this.parseMessageResponse(response);
+      const result = this.parseCalendarItemsResponse(response);
+
+      // Occurrences of the same series return the same master
+      const masters = new Map(result.items.map(item => [item.id, item]));
+      return { success: true, items: Array.from(masters.values()) };
     } catch (error) {
-      console.error('GetMessage failed:', error);
+      console.error('GetRecurringMasters failed:', error);
       throw error;
     }
   }
 
   /**
-   * Send a message
+   * Create calendar item
+   * item.requiredAttendees / optionalAttendees / resources: addresses or { name, email }
+   * item.recurrence: { pattern, range } as returned by XMLParser.extractRecurrenceInfo
+   * item.startTimeZone / endTimeZone: Windows time zone ids; they anchor recurring series across DST
+   * item.isAllDayEvent: start and end are midnights in the start time zone
+   * item.reminderIsSet / reminderMinutesBeforeStart, item.sensitivity (Normal, Personal, Private, Confidential)
+   * options.sendInvitations: SendToNone (default), SendOnlyToAll or SendToAllAndSaveCopy
    */
-  async sendMessage(account, message) {
-    const toRecipients = message.to.map(addr => 
-      `<t:Mailbox><t:EmailAddress>${this.escapeXml(addr)}</t:EmailAddress></t:Mailbox>`
-    ).join('');
-
-    const ccRecipients = (message.cc || []).map(addr => 
-      `<t:Mailbox><t:EmailAddress>${this.escapeXml(addr)}</t:EmailAddress></t:Mailbox>`
-    ).join('');
+  async createCalendarItem(account, item, options = {}) {
+    const start = new Date(item.start).toISOString();
+    const end = new Date(item.end).toISOString();
+    const requiredAttendees = this.buildAttendees(item.requiredAttendees);
+    const optionalAttendees = this.buildAttendees(item.optionalAttendees);
+    const resources = this.buildAttendees(item.resources);
+    const sendInvitations = options.sendInvitations || 'SendToNone';
+    const hasAttachments = !!(item.attachments && item.attachments.length > 0);
 
+    // With attachments, invitations go out only once the attachments are on the item
     const soapBody = `
-      <m:CreateItem MessageDisposition="SendAndSaveCopy">
+      <m:CreateItem SendMeetingInvitations="${hasAttachments ? 'SendToNone' : sendInvitations}">
+        <m:SavedItemFolderId>
+          <t:DistinguishedFolderId Id="calendar"/>
+        </m:SavedItemFolderId>
         <m:Items>
-          <t:Message>
-            <t:Subject>${this.escapeXml(message.subject)}</t:Subject>
-            <t:Body BodyType="${message.bodyType || 'HTML'}">${this.escapeXml(message.body)}</t:Body>
-            <t:ToRecipients>${toRecipients}</t:ToRecipients>
-            ${ccRecipients ? `<t:CcRecipients>${ccRecipients}</t:CcRecipients>` : ''}
-            <t:IsRead>true</t:IsRead>
-          </t:Message>
+          <t:CalendarItem>
+            <t:Subject>${this.escapeXml(item.subject)}</t:Subject>
+            ${item.sensitivity ? `<t:Sensitivity>${item.sensitivity}</t:Sensitivity>` : ''}
+            <t:Body BodyType="${item.bodyType || 'Text'}">${this.escapeXml(item.body || '')}</t:Body>
+            ${item.reminderIsSet !== undefined ? `<t:ReminderIsSet>${!!item.reminderIsSet}</t:ReminderIsSet>` : ''}
+            ${item.reminderIsSet ? `<t:ReminderMinutesBeforeStart>${item.reminderMinutesBeforeStart || 0}</t:ReminderMinutesBeforeStart>` : ''}
+            <t:Start>${start}</t:Start>
+            <t:End>${end}</t:End>
+            <t:IsAllDayEvent>${!!item.isAllDayEvent}</t:IsAllDayEvent>
+            <t:LegacyFreeBusyStatus>${item.freeBusyStatus || 'Busy'}</t:LegacyFreeBusyStatus>
+            <t:Location>${this.escapeXml(item.location || '')}</t:Location>
+            ${requiredAttendees ? `<t:RequiredAttendees>${requiredAttendees}</t:RequiredAttendees>` : ''}
+            ${optionalAttendees ? `<t:OptionalAttendees>${optionalAttendees}</t:OptionalAttendees>` : ''}
+            ${resources ? `<t:Resources>${resources}</t:Resources>` : ''}
+            ${item.recurrence ? `<t:Recurrence>${this.buildRecurrence(item.recurrence)}</t:Recurrence>` : ''}
+            ${item.startTimeZone ? `<t:StartTimeZone Id="${this.escapeXml(item.startTimeZone)}"/>` : ''}
+            ${item.endTimeZone ? `<t:EndTimeZone Id="${this.escapeXml(item.endTimeZone)}"/>` : ''}
+          </t:CalendarItem>
         </m:Items>
       </m:CreateItem>
     `;
 
     try {
       const response = await this.makeEWSRequest(account, soapBody);
-      return this.parseCreateItemResponse(response);
+      const result = this.parseCreateItemResponse(response);
+
+      // Agendas and other files are attached once the item exists
+      if (hasAttachments) {
+        const attached = await this.createAttachments(account, result.itemId, item.attachments);
+        result.changeKey = attached.rootItemChangeKey || result.changeKey;
+        result.attachments = attached.attachments;
+
+        if (sendInvitations !== 'SendToNone') {
+          // Rewriting the subject is the smallest UpdateItem that sends the invitations
+          const sent = await this.updateCalendarItem(account, { id: result.itemId, changeKey: result.changeKey },
+            { subject: item.subject }, { sendUpdates: sendInvitations });
+          if (!sent.success) {
+            const error = new Error(`Sending meeting invitations failed: ${sent.responseCode}`);
+            error.responseCode = sent.responseCode;
+            throw error;
+          }
+          result.changeKey = sent.changeKey || result.changeKey;
+        }
+      }
+
+      return result;
     } catch (error) {
-      console.error('SendMessage failed:', error);
+      console.error('CreateCalendarItem failed:', error);
       throw error;
     }
   }
 
   /**
-   * Move message to folder
+   * Update calendar item
+   * itemId may be an occurrence reference { recurringMasterId, instanceIndex } to change a single occurrence
+   * options.sendUpdates: SendToNone (default), SendOnlyToAll, SendOnlyToChanged,
+   * SendToAllAndSaveCopy or SendToChangedAndSaveCopy
    */
-  async moveMessage(account, messageId, targetFolderId) {
-    const soapBody = `
-      <m:MoveItem>
-        <m:ToFolderId>
-          <t:DistinguishedFolderId Id="${this.escapeXml(targetFolderId)}"/>
-        </m:ToFolderId>
-        <m:ItemIds>
-          <t:ItemId Id="${this.escapeXml(messageId)}"/>
-        </m:ItemIds>
-      </m:MoveItem>
-    `;
+  async updateCalendarItem(account, itemId, updates, options = {}) {
+    const updateFields = Object.keys(updates).map(field => {
+      let ewsField, value;
+      
+      switch (field) {
+        case 'subject':
+          ewsField = 'item:Subject';
+          value = this.escapeXml(updates[field]);
+          break;
+        case 'body':
+          return `
+        <t:SetItemField>
+          <t:FieldURI FieldURI="item:Body"/>
+          <t:CalendarItem>
+            <t:Body BodyType="${updates.bodyType || 'Text'}">${this.escapeXml(updates[field])}</t:Body>
+          </t:CalendarItem>
+        </t:SetItemField>
+      `;
+        case 'start':
+          ewsField = 'calendar:Start';
+          value = new Date(updates[field]).toISOString();
+          break;
+        case 'end':
+          ewsField = 'calendar:End';
+          value = new Date(updates[field]).toISOString();
+          break;
+        case 'location':
+          ewsField = 'calendar:Location';
+          value = this.escapeXml(updates[field]);
+          break;
+        case 'isAllDayEvent':
+          ewsField = 'calendar:IsAllDayEvent';
+          value = !!updates[field];
+          break;
+        case 'reminderIsSet':
+          ewsField = 'item:ReminderIsSet';
+          value = !!updates[field];
+          break;
+        case 'reminderMinutesBeforeStart':
+          if (!updates.reminderIsSet) return '';
+          ewsField = 'item:ReminderMinutesBeforeStart';
+          value = parseInt(updates[field]) || 0;
+          break;
+        case 'sensitivity':
+          if (!updates[field]) return '';
+          ewsField = 'item:Sensitivity';
+          value = updates[field];
+          break;
+        case 'requiredAttendees':
+        case 'optionalAttendees':
+        case 'resources':
+          ewsField = `calendar:${field.charAt(0).toUpperCase()}${field.slice(1)}`;
+          value = this.buildAttendees(updates[field]);
+          if (!value) {
+            return `<t:DeleteItemField><t:FieldURI FieldURI="${ewsField}"/></t:DeleteItemField>`;
+          }
+          break;
+        case 'startTimeZone':
+        case 'endTimeZone': {
+          if (!updates[field]) return '';
+          const element = field === 'startTimeZone' ? 'StartTimeZone' : 'EndTimeZone';
+          return `
+        <t:SetItemField>
+          <t:FieldURI FieldURI="calendar:${element}"/>
+          <t:CalendarItem>
+            <t:${element} Id="${this.escapeXml(updates[field])}"/>
+          </t:CalendarItem>
+        </t:SetItemField>
+      `;
+        }
+        case 'recurrence':
+          // Removing the recurrence turns a series back into a single item
+          ewsField = 'calendar:Recurrence';
+          if (!updates[field]) {
+            return `<t:DeleteItemField><t:FieldURI FieldURI="${ewsField}"/></t:DeleteItemField>`;
+          }
+          value = this.buildRecurrence(updates[field]);
+          break;
+        default:
+          return '';
+      }
 
-    try {
-      const response = await this.makeEWSRequest(account, soapBody);
-      return this.parseMoveItemResponse(response);
-    } catch (error) {
-      console.error('MoveMessage failed:', error);
-      throw error;
-    }
-  }
+      return `
+        <t:SetItemField>
+          <t:FieldURI FieldURI="${ewsField}"/>
+          <t:CalendarItem>
+            <t:${ewsField.split(':')[1]}>${value}</t:${ewsField.split(':')[1]}>
+          </t:CalendarItem>
+        </t:SetItemField>
+      `;
+    }).join('');
 
-  /**
-   * Mark message as read/unread
-   */
-  async markMessage(account, messageId, isRead) {
     const soapBody = `
-      <m:UpdateItem ConflictResolution="AutoResolve" MessageDisposition="SaveOnly">
+      <m:UpdateItem ConflictResolution="AutoResolve" SendMeetingInvitationsOrCancellations="${options.sendUpdates || 'SendToNone'}">
         <m:ItemChanges>
           <t:ItemChange>
-            <t:ItemId Id="${this.escapeXml(messageId)}"/>
+            ${this.buildItemId(itemId)}
             <t:Updates>
-              <t:SetItemField>
-                <t:FieldURI FieldURI="message:IsRead"/>
-                <t:Message>
-                  <t:IsRead>${isRead}</t:IsRead>
-                </t:Message>
-              </t:SetItemField>
+              ${updateFields}
             </t:Updates>
           </t:ItemChange>
         </m:ItemChanges>
@@ -225,19 +1387,20 @@ class EWSClient {
       const response = await this.makeEWSRequest(account, soapBody);
       return this.parseUpdateItemResponse(response);
     } catch (error) {
-      console.error('MarkMessage failed:', error);
+      console.error('UpdateCalendarItem failed:', error);
       throw error;
     }
   }
 
   /**
-   * Delete message
+   * Delete calendar item, or a single occurrence given { recurringMasterId, instanceIndex }
+   * options.sendCancellations: SendToNone (default), SendOnlyToAll or SendToAllAndSaveCopy
    */
-  async deleteMessage(account, messageId) {
+  async deleteCalendarItem(account, itemId, options = {}) {
     const soapBody = `
-      <m:DeleteItem DeleteType="MoveToDeletedItems">
+      <m:DeleteItem DeleteType="MoveToDeletedItems" SendMeetingCancellations="${options.sendCancellations || 'SendToNone'}">
         <m:ItemIds>
-          <t:ItemId Id="${this.escapeXml(messageId)}"/>
+          ${this.buildItemId(itemId)}
         </m:ItemIds>
       </m:DeleteItem>
     `;
@@ -246,312 +1409,375 @@ class EWSClient {
       const response = await this.makeEWSRequest(account, soapBody);
       return this.parseDeleteItemResponse(response);
     } catch (error) {
-      console.error('DeleteMessage failed:', error);
+      console.error('DeleteCalendarItem failed:', error);
       throw error;
     }
   }
 
   /**
-   * Get contacts
+   * Cancel a meeting organized by the user: attendees get a cancellation and the item is removed
+   * options: { body } sent to the attendees with the cancellation
    */
-  async getContacts(account, options = {}) {
-    const maxItems = options.maxItems || 100;
-    const offset = options.offset || 0;
+  async cancelCalendarItem(account, itemId, changeKey, options = {}) {
+    return await this.sendResponseObject(account, 'CancelCalendarItem', itemId, changeKey, {
+      newBodyContent: options.body || undefined,
+      bodyType: 'Text'
+    });
+  }
+
+  /**
+   * Get free/busy of attendees and suggested meeting times with GetUserAvailability
+   * attendees: addresses or { email, attendeeType: Required | Optional | Room | Resource }
+   * window: { startDate, endDate }
+   * options: { intervalMinutes, requestedView, suggestions, meetingDurationMinutes, goodThreshold, maximumResultsByDay }
+   */
+  async getUserAvailability(account, attendees, window, options = {}) {
+    const intervalMinutes = options.intervalMinutes || 30;
+    const timeWindow = `
+      <t:StartTime>${this.formatAvailabilityTime(window.startDate)}</t:StartTime>
+      <t:EndTime>${this.formatAvailabilityTime(window.endDate)}</t:EndTime>
+    `;
+
+    // Times are sent and returned as UTC wall times through a UTC time zone without DST
+    const utcTransition = `
+      <t:Bias>0</t:Bias>
+      <t:Time>00:00:00</t:Time>
+      <t:DayOrder>1</t:DayOrder>
+      <t:Month>1</t:Month>
+      <t:DayOfWeek>Sunday</t:DayOfWeek>
+    `;
+
+    const mailboxData = attendees.map(attendee => `
+      <t:MailboxData>
+        <t:Email><t:Address>${this.escapeXml(typeof attendee === 'string' ? attendee : attendee.email)}</t:Address></t:Email>
+        <t:AttendeeType>${(attendee && attendee.attendeeType) || 'Required'}</t:AttendeeType>
+        <t:ExcludeConflicts>false</t:ExcludeConflicts>
+      </t:MailboxData>
+    `).join('');
 
     const soapBody = `
-      <m:FindItem Traversal="Shallow">
-        <m:ItemShape>
-          <t:BaseShape>AllProperties</t:BaseShape>
-        </m:ItemShape>
-        <m:IndexedPageItemView MaxEntriesReturned="${maxItems}" Offset="${offset}" BasePoint="Beginning"/>
-        <m:ParentFolderIds>
-          <t:DistinguishedFolderId Id="contacts"/>
-        </m:ParentFolderIds>
-      </m:FindItem>
+      <m:GetUserAvailabilityRequest>
+        <t:TimeZone>
+          <t:Bias>0</t:Bias>
+          <t:StandardTime>${utcTransition}</t:StandardTime>
+          <t:DaylightTime>${utcTransition}</t:DaylightTime>
+        </t:TimeZone>
+        <m:MailboxDataArray>
+          ${mailboxData}
+        </m:MailboxDataArray>
+        <t:FreeBusyViewOptions>
+          <t:TimeWindow>${timeWindow}</t:TimeWindow>
+          <t:MergedFreeBusyIntervalInMinutes>${intervalMinutes}</t:MergedFreeBusyIntervalInMinutes>
+          <t:RequestedView>${options.requestedView || 'DetailedMerged'}</t:RequestedView>
+        </t:FreeBusyViewOptions>
+        ${options.suggestions === false ? '' : `
+        <t:SuggestionsViewOptions>
+          <t:GoodThreshold>${options.goodThreshold || 25}</t:GoodThreshold>
+          <t:MaximumResultsByDay>${options.maximumResultsByDay || 10}</t:MaximumResultsByDay>
+          <t:MaximumNonWorkHourResultsByDay>0</t:MaximumNonWorkHourResultsByDay>
+          <t:MeetingDurationInMinutes>${options.meetingDurationMinutes || 30}</t:MeetingDurationInMinutes>
+          <t:MinimumSuggestionQuality>Fair</t:MinimumSuggestionQuality>
+          <t:DetailedSuggestionsWindow>${timeWindow}</t:DetailedSuggestionsWindow>
+        </t:SuggestionsViewOptions>`}
+      </m:GetUserAvailabilityRequest>
     `;
 
     try {
-      const response = await this.makeEWSRequest(account, soapBody);
-      return this.parseContactsResponse(response);
+      // Without TimeZoneContext the TimeZone element above decides how times are read
+      const response = await this.makeEWSRequest(account, soapBody, { timeZoneContext: false });
+      return this.parseUserAvailabilityResponse(response, attendees, window.startDate, intervalMinutes);
     } catch (error) {
-      console.error('GetContacts failed:', error);
+      console.error('GetUserAvailability failed:', error);
       throw error;
     }
   }
 
   /**
-   * Create contact
+   * Get the room lists (distribution groups of meeting rooms) of the organization
    */
-  async createContact(account, contact) {
+  async getRoomLists(account) {
     const soapBody = `
-      <m:CreateItem>
-        <m:SavedItemFolderId>
-          <t:DistinguishedFolderId Id="contacts"/>
-        </m:SavedItemFolderId>
-        <m:Items>
-          <t:Contact>
-            <t:DisplayName>${this.escapeXml(contact.displayName)}</t:DisplayName>
-            <t:GivenName>${this.escapeXml(contact.firstName || '')}</t:GivenName>
-            <t:Surname>${this.escapeXml(contact.lastName || '')}</t:Surname>
-            <t:EmailAddresses>
-              <t:Entry Key="EmailAddress1">${this.escapeXml(contact.email)}</t:Entry>
-            </t:EmailAddresses>
-            ${contact.phone ? `<t:PhoneNumbers><t:Entry Key="BusinessPhone">${this.escapeXml(contact.phone)}</t:Entry></t:PhoneNumbers>` : ''}
-            ${contact.company ? `<t:CompanyName>${this.escapeXml(contact.company)}</t:CompanyName>` : ''}
-          </t:Contact>
-        </m:Items>
-      </m:CreateItem>
+      <m:GetRoomLists/>
     `;
 
     try {
       const response = await this.makeEWSRequest(account, soapBody);
-      return this.parseCreateItemResponse(response);
+      return this.parseRoomsResponse(response, 'GetRoomLists', 'm:RoomLists', 't:Address');
     } catch (error) {
-      console.error('CreateContact failed:', error);
+      console.error('GetRoomLists failed:', error);
       throw error;
     }
   }
 
   /**
-   * Update contact
+   * Get the rooms of a room list
    */
-  async updateContact(account, contactId, updates) {
-    const updateFields = Object.keys(updates).map(field => {
-      const fieldMapping = {
-        displayName: 'contacts:DisplayName',
-        firstName: 'contacts:GivenName',
-        lastName: 'contacts:Surname',
-        email: 'contacts:EmailAddress1',
-        phone: 'contacts:BusinessPhone',
-        company: 'contacts:CompanyName'
-      };
-
-      const ewsField = fieldMapping[field];
-      if (!ewsField) return '';
+  async getRooms(account, roomListAddress) {
+    const soapBody = `
+      <m:GetRooms>
+        <m:RoomList>
+          <t:EmailAddress>${this.escapeXml(roomListAddress)}</t:EmailAddress>
+        </m:RoomList>
+      </m:GetRooms>
+    `;
 
-      return `
-        <t:SetItemField>
-          <t:FieldURI FieldURI="${ewsField}"/>
-          <t:Contact>
-            <t:${ewsField.split(':')[1]}>${this.escapeXml(updates[field])}</t:${ewsField.split(':')[1]}>
-          </t:Contact>
-        </t:SetItemField>
-      `;
-    }).join('');
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseRoomsResponse(response, 'GetRooms', 'm:Rooms', 't:Id');
+    } catch (error) {
+      console.error('GetRooms failed:', error);
+      throw error;
+    }
+  }
 
+  /**
+   * Resolve a partial name or address against the directory (and the user's contacts)
+   * options: { searchScope: ActiveDirectory | ActiveDirectoryContacts | Contacts | ContactsActiveDirectory, returnFullContactData }
+   */
+  async resolveNames(account, query, options = {}) {
+    const returnFullContactData = options.returnFullContactData !== false;
     const soapBody = `
-      <m:UpdateItem ConflictResolution="AutoResolve">
-        <m:ItemChanges>
-          <t:ItemChange>
-            <t:ItemId Id="${this.escapeXml(contactId)}"/>
-            <t:Updates>
-              ${updateFields}
-            </t:Updates>
-          </t:ItemChange>
-        </m:ItemChanges>
-      </m:UpdateItem>
+      <m:ResolveNames ReturnFullContactData="${returnFullContactData}" SearchScope="${options.searchScope || 'ActiveDirectory'}"${returnFullContactData ? ' ContactDataShape="AllProperties"' : ''}>
+        <m:UnresolvedEntry>${this.escapeXml(query)}</m:UnresolvedEntry>
+      </m:ResolveNames>
     `;
 
     try {
       const response = await this.makeEWSRequest(account, soapBody);
-      return this.parseUpdateItemResponse(response);
+      return this.parseResolveNamesResponse(response);
     } catch (error) {
-      console.error('UpdateContact failed:', error);
+      console.error('ResolveNames failed:', error);
       throw error;
     }
   }
 
   /**
-   * Delete contact
+   * Search people in the Global Address List with FindPeople (Exchange 2013 and later)
+   * options: { maxEntries }
    */
-  async deleteContact(account, contactId) {
+  async findPeople(account, query, options = {}) {
     const soapBody = `
-      <m:DeleteItem DeleteType="MoveToDeletedItems">
-        <m:ItemIds>
-          <t:ItemId Id="${this.escapeXml(contactId)}"/>
-        </m:ItemIds>
-      </m:DeleteItem>
+      <m:FindPeople>
+        <m:PersonaShape>
+          <t:BaseShape>IdOnly</t:BaseShape>
+          <t:AdditionalProperties>
+            <t:FieldURI FieldURI="persona:DisplayName"/>
+            <t:FieldURI FieldURI="persona:GivenName"/>
+            <t:FieldURI FieldURI="persona:Surname"/>
+            <t:FieldURI FieldURI="persona:EmailAddress"/>
+            <t:FieldURI FieldURI="persona:CompanyName"/>
+            <t:FieldURI FieldURI="persona:Department"/>
+            <t:FieldURI FieldURI="persona:Title"/>
+          </t:AdditionalProperties>
+        </m:PersonaShape>
+        <m:IndexedPageItemView BasePoint="Beginning" MaxEntriesReturned="${options.maxEntries || 25}" Offset="0"/>
+        <m:ParentFolderId>
+          <t:DistinguishedFolderId Id="directory"/>
+        </m:ParentFolderId>
+        <m:QueryString>${this.escapeXml(query)}</m:QueryString>
+      </m:FindPeople>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseFindPeopleResponse(response);
+    } catch (error) {
+      console.error('FindPeople failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a date as a UTC wall time without offset, as GetUserAvailability expects
+   */
+  formatAvailabilityTime(date) {
+    return new Date(date).toISOString().slice(0, 19);
+  }
+
+  /**
+   * Parse a UTC wall time returned by GetUserAvailability
+   */
+  parseAvailabilityTime(value) {
+    if (!value) return null;
+    return new Date(/(Z|[+-]\d{2}:\d{2})$/.test(value) ? value : `${value}Z`);
+  }
+
+  /**
+   * Get attachments with their content (base64)
+   * Item attachments are returned as MIME content when includeMimeContent is set
+   */
+  async getAttachments(account, attachmentIds, options = {}) {
+    const soapBody = `
+      <m:GetAttachment>
+        <m:AttachmentShape>
+          <t:IncludeMimeContent>${options.includeMimeContent !== false}</t:IncludeMimeContent>
+        </m:AttachmentShape>
+        <m:AttachmentIds>
+          ${attachmentIds.map(id => `<t:AttachmentId Id="${this.escapeXml(id)}"/>`).join('')}
+        </m:AttachmentIds>
+      </m:GetAttachment>
     `;
 
     try {
       const response = await this.makeEWSRequest(account, soapBody);
-      return this.parseDeleteItemResponse(response);
+      return this.parseGetAttachmentResponse(response);
     } catch (error) {
-      console.error('DeleteContact failed:', error);
+      console.error('GetAttachment failed:', error);
       throw error;
     }
   }
 
   /**
-   * Get calendar items
+   * Add file or item attachments to an existing item (message, calendar item, ...)
+   * File attachments: { name, contentType, content (base64, Blob or ArrayBuffer), isInline, contentId }
+   * Item attachments: { type: 'item', name, mimeContent (base64 or Blob) }
    */
-  async getCalendarItems(account, startDate, endDate, options = {}) {
-    const start = startDate.toISOString();
-    const end = endDate.toISOString();
+  async createAttachments(account, parentItemId, attachments) {
+    const attachmentXml = [];
+
+    for (const attachment of attachments) {
+      if (attachment.type === 'item') {
+        attachmentXml.push(`
+          <t:ItemAttachment>
+            <t:Name>${this.escapeXml(attachment.name)}</t:Name>
+            <t:Message>
+              <t:MimeContent CharacterSet="UTF-8">${await this.encodeBase64(attachment.mimeContent)}</t:MimeContent>
+            </t:Message>
+          </t:ItemAttachment>`);
+      } else {
+        attachmentXml.push(`
+          <t:FileAttachment>
+            <t:Name>${this.escapeXml(attachment.name)}</t:Name>
+            <t:ContentType>${this.escapeXml(attachment.contentType || 'application/octet-stream')}</t:ContentType>
+            ${attachment.contentId ? `<t:ContentId>${this.escapeXml(attachment.contentId)}</t:ContentId>` : ''}
+            <t:IsInline>${attachment.isInline === true}</t:IsInline>
+            <t:Content>${await this.encodeBase64(attachment.content)}</t:Content>
+          </t:FileAttachment>`);
+      }
+    }
 
     const soapBody = `
-      <m:FindItem Traversal="Shallow">
-        <m:ItemShape>
-          <t:BaseShape>AllProperties</t:BaseShape>
-        </m:ItemShape>
-        <m:CalendarView StartDate="${start}" EndDate="${end}"/>
-        <m:ParentFolderIds>
-          <t:DistinguishedFolderId Id="calendar"/>
-        </m:ParentFolderIds>
-      </m:FindItem>
+      <m:CreateAttachment>
+        <m:ParentItemId Id="${this.escapeXml(parentItemId)}"/>
+        <m:Attachments>
+          ${attachmentXml.join('')}
+        </m:Attachments>
+      </m:CreateAttachment>
     `;
 
     try {
       const response = await this.makeEWSRequest(account, soapBody);
-      return this.parseCalendarItemsResponse(response);
+      return this.parseCreateAttachmentResponse(response);
     } catch (error) {
-      console.error('GetCalendarItems failed:', error);
+      console.error('CreateAttachment failed:', error);
       throw error;
     }
   }
 
   /**
-   * Create calendar item
+   * Delete attachments
    */
-  async createCalendarItem(account, item) {
-    const start = new Date(item.start).toISOString();
-    const end = new Date(item.end).toISOString();
-
+  async deleteAttachments(account, attachmentIds) {
     const soapBody = `
-      <m:CreateItem SendMeetingInvitations="SendToNone">
-        <m:SavedItemFolderId>
-          <t:DistinguishedFolderId Id="calendar"/>
-        </m:SavedItemFolderId>
-        <m:Items>
-          <t:CalendarItem>
-            <t:Subject>${this.escapeXml(item.subject)}</t:Subject>
-            <t:Body BodyType="${item.bodyType || 'Text'}">${this.escapeXml(item.body || '')}</t:Body>
-            <t:Start>${start}</t:Start>
-            <t:End>${end}</t:End>
-            <t:Location>${this.escapeXml(item.location || '')}</t:Location>
-            <t:LegacyFreeBusyStatus>${item.freeBusyStatus || 'Busy'}</t:LegacyFreeBusyStatus>
-          </t:CalendarItem>
-        </m:Items>
-      </m:CreateItem>
+      <m:DeleteAttachment>
+        <m:AttachmentIds>
+          ${attachmentIds.map(id => `<t:AttachmentId Id="${this.escapeXml(id)}"/>`).join('')}
+        </m:AttachmentIds>
+      </m:DeleteAttachment>
     `;
 
     try {
       const response = await this.makeEWSRequest(account, soapBody);
-      return this.parseCreateItemResponse(response);
+      return this.parseDeleteAttachmentResponse(response);
     } catch (error) {
-      console.error('CreateCalendarItem failed:', error);
+      console.error('DeleteAttachment failed:', error);
       throw error;
     }
   }
 
   /**
-   * Update calendar item
+   * Subscribe to notifications with a pull subscription
+   * Pass folders = null to subscribe to all folders in the mailbox
    */
-  async updateCalendarItem(account, itemId, updates) {
-    const updateFields = Object.keys(updates).map(field => {
-      let ewsField, value;
-      
-      switch (field) {
-        case 'subject':
-          ewsField = 'item:Subject';
-          value = this.escapeXml(updates[field]);
-          break;
-        case 'body':
-          ewsField = 'item:Body';
-          value = this.escapeXml(updates[field]);
-          break;
-        case 'start':
-          ewsField = 'calendar:Start';
-          value = new Date(updates[field]).toISOString();
-          break;
-        case 'end':
-          ewsField = 'calendar:End';
-          value = new Date(updates[field]).toISOString();
-          break;
-        case 'location':
-          ewsField = 'calendar:Location';
-          value = this.escapeXml(updates[field]);
-          break;
-        default:
-          return '';
-      }
+  async subscribeToNotifications(account, folders = ['inbox'], options = {}) {
+    const timeout = options.timeout || 30; // Minutes without GetEvents before the subscription expires
+    const allFolders = !folders || folders.length === 0;
 
-      return `
-        <t:SetItemField>
-          <t:FieldURI FieldURI="${ewsField}"/>
-          <t:CalendarItem>
-            <t:${ewsField.split(':')[1]}>${value}</t:${ewsField.split(':')[1]}>
-          </t:CalendarItem>
-        </t:SetItemField>
-      `;
-    }).join('');
+    const folderIds = allFolders ? '' : `
+          <t:FolderIds>
+            ${folders.map(folderId => `${this.buildFolderId(folderId)}`).join('')}
+          </t:FolderIds>`;
 
     const soapBody = `
-      <m:UpdateItem ConflictResolution="AutoResolve" SendMeetingInvitationsOrCancellations="SendToNone">
-        <m:ItemChanges>
-          <t:ItemChange>
-            <t:ItemId Id="${this.escapeXml(itemId)}"/>
-            <t:Updates>
-              ${updateFields}
-            </t:Updates>
-          </t:ItemChange>
-        </m:ItemChanges>
-      </m:UpdateItem>
+      <m:Subscribe>
+        <m:PullSubscriptionRequest${allFolders ? ' SubscribeToAllFolders="true"' : ''}>
+          ${folderIds}
+          <t:EventTypes>
+            <t:EventType>NewMailEvent</t:EventType>
+            <t:EventType>CreatedEvent</t:EventType>
+            <t:EventType>ModifiedEvent</t:EventType>
+            <t:EventType>DeletedEvent</t:EventType>
+            <t:EventType>MovedEvent</t:EventType>
+          </t:EventTypes>
+          ${options.watermark ? `<t:Watermark>${this.escapeXml(options.watermark)}</t:Watermark>` : ''}
+          <t:Timeout>${timeout}</t:Timeout>
+        </m:PullSubscriptionRequest>
+      </m:Subscribe>
     `;
 
     try {
       const response = await this.makeEWSRequest(account, soapBody);
-      return this.parseUpdateItemResponse(response);
+      return this.parseSubscribeResponse(response);
     } catch (error) {
-      console.error('UpdateCalendarItem failed:', error);
+      console.error('SubscribeToNotifications failed:', error);
       throw error;
     }
   }
 
   /**
-   * Delete calendar item
+   * Get notification events for a pull subscription since the given watermark
    */
-  async deleteCalendarItem(account, itemId) {
+  async getNotificationEvents(account, subscriptionId, watermark) {
     const soapBody = `
-      <m:DeleteItem DeleteType="MoveToDeletedItems" SendMeetingCancellations="SendToNone">
-        <m:ItemIds>
-          <t:ItemId Id="${this.escapeXml(itemId)}"/>
-        </m:ItemIds>
-      </m:DeleteItem>
+      <m:GetEvents>
+        <m:SubscriptionId>${this.escapeXml(subscriptionId)}</m:SubscriptionId>
+        <m:Watermark>${this.escapeXml(watermark)}</m:Watermark>
+      </m:GetEvents>
     `;
 
     try {
       const response = await this.makeEWSRequest(account, soapBody);
-      return this.parseDeleteItemResponse(response);
+      return this.parseEventsResponse(response);
     } catch (error) {
-      console.error('DeleteCalendarItem failed:', error);
+      console.error('GetNotificationEvents failed:', error);
       throw error;
     }
   }
 
   /**
-   * Subscribe to notifications
+   * Subscribe to notifications with a streaming subscription
+   * Pass folders = null to subscribe to all folders in the mailbox
    */
-  async subscribeToNotifications(account, folders = ['inbox']) {
-    const folderIds = folders.map(folderId => 
-      `<t:DistinguishedFolderId Id="${this.escapeXml(folderId)}"/>`
-    ).join('');
+  async subscribeToStreamingNotifications(account, folders = null) {
+    const allFolders = !folders || folders.length === 0;
+
+    const folderIds = allFolders ? '' : `
+          <t:FolderIds>
+            ${folders.map(folderId => `${this.buildFolderId(folderId)}`).join('')}
+          </t:FolderIds>`;
 
     const soapBody = `
       <m:Subscribe>
-        <m:PushSubscriptionRequest>
-          <t:FolderIds>
-            ${folderIds}
-          </t:FolderIds>
+        <m:StreamingSubscriptionRequest${allFolders ? ' SubscribeToAllFolders="true"' : ''}>
+          ${folderIds}
           <t:EventTypes>
             <t:EventType>NewMailEvent</t:EventType>
+            <t:EventType>CreatedEvent</t:EventType>
             <t:EventType>ModifiedEvent</t:EventType>
             <t:EventType>DeletedEvent</t:EventType>
             <t:EventType>MovedEvent</t:EventType>
           </t:EventTypes>
-          <t:StatusFrequency>1</t:StatusFrequency>
-          <t:URL>https://localhost/notifications</t:URL>
-        </m:PushSubscriptionRequest>
+        </m:StreamingSubscriptionRequest>
       </m:Subscribe>
     `;
 
@@ -559,27 +1785,35 @@ class EWSClient {
       const response = await this.makeEWSRequest(account, soapBody);
       return this.parseSubscribeResponse(response);
     } catch (error) {
-      console.error('SubscribeToNotifications failed:', error);
+      console.error('SubscribeToStreamingNotifications failed:', error);
       throw error;
     }
   }
 
   /**
-   * Get notification events
+   * Open a GetStreamingEvents connection and call onResponse for every chunk the server sends
+   * Resolves when the server closes the connection (after connectionTimeout minutes, max 30)
    */
-  async getNotificationEvents(account, subscriptionId) {
+  async getStreamingEvents(account, subscriptionIds, onResponse, options = {}) {
+    const connectionTimeout = options.connectionTimeout || 29;
+
     const soapBody = `
-      <m:GetEvents>
-        <m:SubscriptionId>${this.escapeXml(subscriptionId)}</m:SubscriptionId>
-        <m:Watermark>AQAAAA==</m:Watermark>
-      </m:GetEvents>
+      <m:GetStreamingEvents>
+        <m:SubscriptionIds>
+          ${subscriptionIds.map(id => `<t:SubscriptionId>${this.escapeXml(id)}</t:SubscriptionId>`).join('')}
+        </m:SubscriptionIds>
+        <m:ConnectionTimeout>${connectionTimeout}</m:ConnectionTimeout>
+      </m:GetStreamingEvents>
     `;
 
     try {
-      const response = await this.makeEWSRequest(account, soapBody);
-      return this.parseEventsResponse(response);
+      await this.makeStreamingEWSRequest(account, soapBody, responseXml => {
+        onResponse(this.parseStreamingEventsResponse(responseXml));
+      }, options.signal);
     } catch (error) {
-      console.error('GetNotificationEvents failed:', error);
+      if (error.name !== 'AbortError') {
+        console.error('GetStreamingEvents failed:', error);
+      }
       throw error;
     }
   }
@@ -607,12 +1841,24 @@ class EWSClient {
    * Get user settings
    */
   async getUserSettings(account) {
+    try {
+      return await this.getUserConfiguration(account, 'UserOptions', 'inbox');
+    } catch (error) {
+      console.error('GetUserSettings failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user configuration object (FAI item) stored on a folder
+   */
+  async getUserConfiguration(account, name, folderId, properties = 'All') {
     const soapBody = `
       <m:GetUserConfiguration>
-        <m:UserConfigurationName Name="UserOptions">
-          <t:DistinguishedFolderId Id="inbox"/>
+        <m:UserConfigurationName Name="${this.escapeXml(name)}">
+          ${this.buildFolderId(folderId)}
         </m:UserConfigurationName>
-        <m:UserConfigurationProperties>All</m:UserConfigurationProperties>
+        <m:UserConfigurationProperties>${properties}</m:UserConfigurationProperties>
       </m:GetUserConfiguration>
     `;
 
@@ -620,32 +1866,107 @@ class EWSClient {
       const response = await this.makeEWSRequest(account, soapBody);
       return this.parseUserConfigurationResponse(response);
     } catch (error) {
-      console.error('GetUserSettings failed:', error);
+      console.error('GetUserConfiguration failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the XmlData of a user configuration object
+   */
+  async updateUserConfigurationXmlData(account, name, folderId, xmlData) {
+    const encoded = await this.encodeBase64(new TextEncoder().encode(xmlData).buffer);
+
+    const soapBody = `
+      <m:UpdateUserConfiguration>
+        <m:UserConfiguration>
+          <t:UserConfigurationName Name="${this.escapeXml(name)}">
+            ${this.buildFolderId(folderId)}
+          </t:UserConfigurationName>
+          <t:XmlData>${encoded}</t:XmlData>
+        </m:UserConfiguration>
+      </m:UpdateUserConfiguration>
+    `;
+
+    try {
+      const response = await this.makeEWSRequest(account, soapBody);
+      return this.parseUpdateItemResponse(response);
+    } catch (error) {
+      console.error('UpdateUserConfiguration failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the master category list (names and colors) from the calendar folder
+   */
+  async getMasterCategoryList(account) {
+    try {
+      const result = await this.getUserConfiguration(account, 'CategoryList', 'calendar', 'XmlData');
+      return this.parseMasterCategoryList(result.configuration.xmlData);
+    } catch (error) {
+      if (error.responseCode === 'ErrorItemNotFound') {
+        // Mailbox never had categories edited
+        return { success: true, categories: [], xmlData: null };
+      }
+      console.error('GetMasterCategoryList failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add categories to the master category list, keeping everything else in the stored XML
+   * categories: [{ name, color }] with color an Outlook preset index (see CATEGORY_COLORS)
+   */
+  async addMasterCategories(account, categories, xmlData = null) {
+    const doc = this.xmlParser.parseXML(xmlData ||
+      '<?xml version="1.0"?><categories default="" xmlns="CategoryList.xsd"></categories>');
+    const root = doc.documentElement;
+
+    for (const category of categories) {
+      const element = doc.createElementNS(root.namespaceURI, 'category');
+      element.setAttribute('name', category.name);
+      element.setAttribute('color', String(category.color));
+      element.setAttribute('keyboardShortcut', '0');
+      element.setAttribute('usageCount', '0');
+      element.setAttribute('guid', `{${crypto.randomUUID()}}`);
+      element.setAttribute('renameOnFirstUse', '0');
+      root.appendChild(element);
+    }
+
+    const serialized = new XMLSerializer().serializeToString(doc);
+    try {
+      return await this.updateUserConfigurationXmlData(account, 'CategoryList', 'calendar', serialized);
+    } catch (error) {
+      console.error('AddMasterCategories failed:', error);
       throw error;
     }
   }
 
   /**
    * Make EWS SOAP request
+   * options.timeZoneContext: false leaves out the TimeZoneContext header
    */
-  async makeEWSRequest(account, soapBody) {
-    const soapEnvelope = this.buildSoapEnvelope(soapBody);
+  async makeEWSRequest(account, soapBody, options = {}) {
+    const timeZoneId = options.timeZoneContext === false ? null : this.getTimeZoneId(account);
+    const soapEnvelope = this.buildSoapEnvelope(soapBody, timeZoneId);
     
     try {
       const response = await fetch(account.serverSettings.ewsUrl, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'text/xml; charset=utf-8',
-          'SOAPAction': '',
-          'User-Agent': 'ExchangeThunderbirdExtension/1.0',
-          'Authorization': await this.getAuthorizationHeader(account)
-        },
+        headers: await this.getRequestHeaders(account),
         body: soapEnvelope,
         signal: AbortSignal.timeout(this.timeoutMs)
       });
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        // Requests EWS rejects outright (schema validation, unknown operations) come back as a SOAP fault
+        const faultCode = await this.getFaultResponseCode(response);
+        if (faultCode) {
+          error.responseCode = faultCode;
+        }
+        throw error;
       }
 
       const responseText = await response.text();
@@ -656,14 +1977,101 @@ class EWSClient {
     }
   }
 
+  /**
+   * EWS error code carried by a SOAP fault response, or null
+   */
+  async getFaultResponseCode(response) {
+    try {
+      const doc = this.xmlParser.parseXML(await response.text());
+      const fault = this.xmlParser.parseSOAPFault(doc);
+      if (!fault) {
+        return null;
+      }
+
+      // The detail holds the EWS code (e:ResponseCode); the faultcode repeats it with a namespace prefix
+      const detailCode = doc.getElementsByTagNameNS('*', 'ResponseCode')[0];
+      return detailCode ? detailCode.textContent.trim() : (fault.code || '').replace(/^[\w-]+:/, '') || null;
+    } catch (error) {
+      // Not XML, e.g. an HTML error page from a proxy
+      return null;
+    }
+  }
+
+  /**
+   * Make a long-lived EWS request whose response arrives as a stream of SOAP envelopes
+   */
+  async makeStreamingEWSRequest(account, soapBody, onEnvelope, signal) {
+    const soapEnvelope = this.buildSoapEnvelope(soapBody);
+
+    const response = await fetch(account.serverSettings.ewsUrl, {
+      method: 'POST',
+      headers: await this.getRequestHeaders(account),
+      body: soapEnvelope,
+      signal: signal
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const envelopeEnd = /<\/(?:[\w-]+:)?Envelope>/;
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Each chunk of the chunked response is a complete SOAP envelope
+        let match;
+        while ((match = envelopeEnd.exec(buffer))) {
+          const end = match.index + match[0].length;
+          onEnvelope(buffer.slice(0, end));
+          buffer = buffer.slice(end);
+        }
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  /**
+   * Build HTTP headers for an EWS request
+   */
+  async getRequestHeaders(account) {
+    return {
+      'Content-Type': 'text/xml; charset=utf-8',
+      'SOAPAction': '',
+      'User-Agent': 'ExchangeThunderbirdExtension/1.0',
+      'Authorization': await this.getAuthorizationHeader(account)
+    };
+  }
+
+  /**
+   * Windows time zone id the server should use for this account (TimeZoneContext header)
+   * account.timeZone is an IANA zone; without it the zone Thunderbird runs in is used
+   */
+  getTimeZoneId(account) {
+    return this.timeZoneConverter.toWindowsOrDefault(account.timeZone);
+  }
+
   /**
    * Build SOAP envelope
+   * With a time zone id, the TimeZoneContext header makes the server resolve dates
+   * (recurrence ranges, all-day items) in that zone instead of UTC
    */
-  buildSoapEnvelope(body) {
+  buildSoapEnvelope(body, timeZoneId = null) {
     return `<?xml version="1.0" encoding="utf-8"?>
 <s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/">
   <s:Header>
     <t:RequestServerVersion Version="Exchange2016" xmlns:t="http://schemas.microsoft.com/exchange/services/2006/types"/>
+    ${timeZoneId ? `<t:TimeZoneContext xmlns:t="http://schemas.microsoft.com/exchange/services/2006/types"><t:TimeZoneDefinition Id="${this.escapeXml(timeZoneId)}"/></t:TimeZoneContext>` : ''}
   </s:Header>
   <s:Body xmlns:m="http://schemas.microsoft.com/exchange/services/2006/messages" xmlns:t="http://schemas.microsoft.com/exchange/services/2006/types">
     ${body}
@@ -679,7 +2087,7 @@ class EWSClient {
       return `Bearer ${account.authToken}`;
     } else {
       // Fallback to basic auth (for older Exchange servers)
-      const credentials = btoa(`${account.email}:${account.password}`);
+      const credentials = btoa(`${account.username || account.email}:${account.password}`);
       return `Basic ${credentials}`;
     }
   }
@@ -720,21 +2128,99 @@ class EWSClient {
     };
   }
 
+  /**
+   * Parse SyncFolderHierarchy response into created/updated folders and deleted folder IDs
+   */
+  parseSyncFolderHierarchyResponse(responseXml) {
+    const doc = this.xmlParser.parseXML(responseXml);
+    const responseCode = this.xmlParser.parseEWSResponseCode(doc);
+
+    if (responseCode && !responseCode.isSuccess) {
+      const error = new Error(`SyncFolderHierarchy failed: ${responseCode.code} ${responseCode.message}`);
+      error.responseCode = responseCode.code;
+      throw error;
+    }
+
+    const result = {
+      success: true,
+      syncState: this.getElementText(doc, 'm:SyncState'),
+      includesLastFolderInRange: this.getElementText(doc, 'm:IncludesLastFolderInRange') !== 'false',
+      creates: [],
+      updates: [],
+      deletes: []
+    };
+
+    const changesElement = doc.getElementsByTagName('m:Changes')[0];
+    if (!changesElement) {
+      return result;
+    }
+
+    for (let i = 0; i < changesElement.children.length; i++) {
+      const change = changesElement.children[i];
+      const folderElement = change.children[0];
+
+      switch (change.tagName) {
+        case 't:Create':
+        case 't:Update':
+          if (folderElement) {
+            const folder = this.extractFolderInfo(folderElement);
+            folder.folderType = folderElement.tagName.replace('t:', '');
+            (change.tagName === 't:Create' ? result.creates : result.updates).push(folder);
+          }
+          break;
+        case 't:Delete':
+          result.deletes.push({
+            id: this.getElementAttribute(change, 't:FolderId', 'Id')
+          });
+          break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse UpdateFolder / MoveFolder / DeleteFolder response
+   */
+  parseFolderChangeResponse(responseXml) {
+    const doc = this.xmlParser.parseXML(responseXml);
+    const responseCodeElements = doc.getElementsByTagName('m:ResponseCode');
+    
+    if (responseCodeElements.length === 0) {
+      throw new Error('No response code found in folder response');
+    }
+
+    const responseCode = responseCodeElements[0].textContent;
+    return {
+      success: responseCode === 'NoError',
+      responseCode: responseCode,
+      folderId: this.getElementAttribute(doc, 't:FolderId', 'Id'),
+      changeKey: this.getElementAttribute(doc, 't:FolderId', 'ChangeKey')
+    };
+  }
+
   /**
    * Parse messages response
    */
   parseMessagesResponse(responseXml) {
     const doc = this.xmlParser.parseXML(responseXml);
-    const messageElements = doc.getElementsByTagName('t:Message');
+    const messageElements = this.getMessageElements(doc);
     
     const messages = [];
     for (let i = 0; i < messageElements.length; i++) {
       messages.push(this.extractMessageInfo(messageElements[i]));
     }
 
+    // FindItem paging information
+    const rootFolder = doc.getElementsByTagName('m:RootFolder')[0];
+    const nextOffset = rootFolder ? parseInt(rootFolder.getAttribute('IndexedPagingOffset')) : NaN;
+
     return {
       success: true,
-      messages: messages
+      messages: messages,
+      totalItems: rootFolder ? parseInt(rootFolder.getAttribute('TotalItemsInView')) || 0 : messages.length,
+      includesLastItemInRange: rootFolder ? rootFolder.getAttribute('IncludesLastItemInRange') !== 'false' : true,
+      nextOffset: isNaN(nextOffset) ? null : nextOffset
     };
   }
 
@@ -743,16 +2229,74 @@ class EWSClient {
    */
   parseMessageResponse(responseXml) {
     const doc = this.xmlParser.parseXML(responseXml);
-    const messageElements = doc.getElementsByTagName('t:Message');
+    const messageElements = this.getMessageElements(doc);
     
     if (messageElements.length === 0) {
       throw new Error('No message found in response');
     }
 
-    return {
-      success: true,
-      message: this.extractMessageInfo(messageElements[0], true)
-    };
+    return {
+      success: true,
+      message: this.extractMessageInfo(messageElements[0], true)
+    };
+  }
+
+  /**
+   * Parse SyncFolderItems response into creates, updates, deletes and read flag changes
+   */
+  parseSyncFolderItemsResponse(responseXml) {
+    const doc = this.xmlParser.parseXML(responseXml);
+    const responseCode = this.xmlParser.parseEWSResponseCode(doc);
+
+    if (responseCode && !responseCode.isSuccess) {
+      const error = new Error(`SyncFolderItems failed: ${responseCode.code} ${responseCode.message}`);
+      error.responseCode = responseCode.code;
+      throw error;
+    }
+
+    const result = {
+      success: true,
+      syncState: this.getElementText(doc, 'm:SyncState'),
+      includesLastItemInRange: this.getElementText(doc, 'm:IncludesLastItemInRange') !== 'false',
+      creates: [],
+      updates: [],
+      deletes: [],
+      readFlagChanges: []
+    };
+
+    const changesElement = doc.getElementsByTagName('m:Changes')[0];
+    if (!changesElement) {
+      return result;
+    }
+
+    for (let i = 0; i < changesElement.children.length; i++) {
+      const change = changesElement.children[i];
+      const itemElement = change.children[0];
+
+      switch (change.tagName) {
+        case 't:Create':
+        case 't:Update':
+          if (itemElement) {
+            const message = this.extractMessageInfo(itemElement);
+            message.itemType = itemElement.tagName.replace('t:', '');
+            (change.tagName === 't:Create' ? result.creates : result.updates).push(message);
+          }
+          break;
+        case 't:Delete':
+          result.deletes.push({
+            id: this.getElementAttribute(change, 't:ItemId', 'Id')
+          });
+          break;
+        case 't:ReadFlagChange':
+          result.readFlagChanges.push({
+            id: this.getElementAttribute(change, 't:ItemId', 'Id'),
+            isRead: this.getElementText(change, 't:IsRead') === 'true'
+          });
+          break;
+      }
+    }
+
+    return result;
   }
 
   /**
@@ -796,7 +2340,9 @@ class EWSClient {
    */
   extractFolderInfo(folderElement) {
     return {
-      id: this.getElementText(folderElement, 't:FolderId'),
+      id: this.getElementAttribute(folderElement, 't:FolderId', 'Id'),
+      changeKey: this.getElementAttribute(folderElement, 't:FolderId', 'ChangeKey'),
+      parentFolderId: this.getElementAttribute(folderElement, 't:ParentFolderId', 'Id'),
       displayName: this.getElementText(folderElement, 't:DisplayName'),
       totalCount: parseInt(this.getElementText(folderElement, 't:TotalCount')) || 0,
       unreadCount: parseInt(this.getElementText(folderElement, 't:UnreadCount')) || 0,
@@ -810,6 +2356,8 @@ class EWSClient {
   extractMessageInfo(messageElement, includeBody = false) {
     const message = {
       id: this.getElementAttribute(messageElement, 't:ItemId', 'Id'),
+      changeKey: this.getElementAttribute(messageElement, 't:ItemId', 'ChangeKey'),
+      parentFolderId: this.getElementAttribute(messageElement, 't:ParentFolderId', 'Id'),
       subject: this.getElementText(messageElement, 't:Subject'),
       dateTimeReceived: this.getElementText(messageElement, 't:DateTimeReceived'),
       dateTimeSent: this.getElementText(messageElement, 't:DateTimeSent'),
@@ -820,23 +2368,94 @@ class EWSClient {
       isRead: this.getElementText(messageElement, 't:IsRead') === 'true',
       importance: this.getElementText(messageElement, 't:Importance'),
       size: parseInt(this.getElementText(messageElement, 't:Size')) || 0,
-      hasAttachments: this.getElementText(messageElement, 't:HasAttachments') === 'true'
+      hasAttachments: this.getElementText(messageElement, 't:HasAttachments') === 'true',
+      attachments: this.extractAttachments(messageElement),
+      flag: this.extractFlag(messageElement),
+      categories: this.extractCategories(messageElement)
     };
+    message.flagStatus = message.flag.status;
+
+    if (messageElement.tagName !== 't:Message') {
+      message.meeting = this.extractMeetingInfo(messageElement);
+    }
 
     if (includeBody) {
       message.body = this.getElementText(messageElement, 't:Body');
       message.bodyType = this.getElementAttribute(messageElement, 't:Body', 'BodyType');
+      message.mimeContent = this.getElementText(messageElement, 't:MimeContent');
+      message.internetMessageId = this.getElementText(messageElement, 't:InternetMessageId');
     }
 
     return message;
   }
 
+  /**
+   * Collect message elements, including meeting messages, from a response
+   */
+  getMessageElements(doc) {
+    const elements = [];
+    for (const tagName of EWSClient.MESSAGE_ELEMENTS) {
+      elements.push(...Array.from(doc.getElementsByTagName(tagName)));
+    }
+    return elements;
+  }
+
+  /**
+   * Extract meeting details from a MeetingRequest, MeetingResponse or MeetingCancellation element
+   */
+  extractMeetingInfo(meetingElement) {
+    return {
+      type: meetingElement.tagName.replace('t:', ''),
+      associatedCalendarItemId: this.getElementAttribute(meetingElement, 't:AssociatedCalendarItemId', 'Id'),
+      isOutOfDate: this.getElementText(meetingElement, 't:IsOutOfDate') === 'true',
+      hasBeenProcessed: this.getElementText(meetingElement, 't:HasBeenProcessed') === 'true',
+      responseType: this.getElementText(meetingElement, 't:ResponseType'),
+      meetingRequestType: this.getElementText(meetingElement, 't:MeetingRequestType'),
+      start: this.getElementText(meetingElement, 't:Start'),
+      end: this.getElementText(meetingElement, 't:End'),
+      location: this.getElementText(meetingElement, 't:Location'),
+      organizer: this.extractEmailAddress(meetingElement, 't:Organizer'),
+      proposedStart: this.getElementText(meetingElement, 't:ProposedStart'),
+      proposedEnd: this.getElementText(meetingElement, 't:ProposedEnd')
+    };
+  }
+
+  /**
+   * Extract the follow-up Flag of an item
+   */
+  extractFlag(itemElement) {
+    const flagElement = itemElement.getElementsByTagName('t:Flag')[0];
+    if (!flagElement) {
+      return { status: null, startDate: null, dueDate: null, completeDate: null };
+    }
+
+    return {
+      status: this.getElementText(flagElement, 't:FlagStatus'),
+      startDate: this.getElementText(flagElement, 't:StartDate'),
+      dueDate: this.getElementText(flagElement, 't:DueDate'),
+      completeDate: this.getElementText(flagElement, 't:CompleteDate')
+    };
+  }
+
+  /**
+   * Extract the Categories of an item (Exchange omits the element when there are none)
+   */
+  extractCategories(itemElement) {
+    const categoriesElement = itemElement.getElementsByTagName('t:Categories')[0];
+    if (!categoriesElement) {
+      return [];
+    }
+
+    return Array.from(categoriesElement.getElementsByTagName('t:String')).map(element => element.textContent);
+  }
+
   /**
    * Extract contact information from XML element
    */
   extractContactInfo(contactElement) {
     return {
       id: this.getElementAttribute(contactElement, 't:ItemId', 'Id'),
+      changeKey: this.getElementAttribute(contactElement, 't:ItemId', 'ChangeKey'),
       displayName: this.getElementText(contactElement, 't:DisplayName'),
       firstName: this.getElementText(contactElement, 't:GivenName'),
       lastName: this.getElementText(contactElement, 't:Surname'),
@@ -852,15 +2471,119 @@ class EWSClient {
   extractCalendarItemInfo(calendarElement) {
     return {
       id: this.getElementAttribute(calendarElement, 't:ItemId', 'Id'),
+      changeKey: this.getElementAttribute(calendarElement, 't:ItemId', 'ChangeKey'),
       subject: this.getElementText(calendarElement, 't:Subject'),
       body: this.getElementText(calendarElement, 't:Body'),
       start: this.getElementText(calendarElement, 't:Start'),
       end: this.getElementText(calendarElement, 't:End'),
       location: this.getElementText(calendarElement, 't:Location'),
       freeBusyStatus: this.getElementText(calendarElement, 't:LegacyFreeBusyStatus'),
+      isAllDayEvent: this.getElementText(calendarElement, 't:IsAllDayEvent') === 'true',
+      reminderIsSet: this.getElementText(calendarElement, 't:ReminderIsSet') === 'true',
+      reminderMinutesBeforeStart: parseInt(this.getElementText(calendarElement, 't:ReminderMinutesBeforeStart')) || 0,
+      sensitivity: this.getElementText(calendarElement, 't:Sensitivity'),
+      calendarItemType: this.getElementText(calendarElement, 't:CalendarItemType'),
+      // Windows time zone ids; MeetingTimeZone is what Exchange 2007 items carry
+      startTimeZone: this.getElementAttribute(calendarElement, 't:StartTimeZone', 'Id') ||
+        this.getElementAttribute(calendarElement, 't:MeetingTimeZone', 'TimeZoneName'),
+      endTimeZone: this.getElementAttribute(calendarElement, 't:EndTimeZone', 'Id') ||
+        this.getElementAttribute(calendarElement, 't:StartTimeZone', 'Id') ||
+        this.getElementAttribute(calendarElement, 't:MeetingTimeZone', 'TimeZoneName'),
+      recurrence: this.xmlParser.extractRecurrenceInfo(calendarElement),
+      // Masters list their exceptions (ModifiedOccurrences also contain Start elements, hence the direct child)
+      originalStart: this.getChildText(calendarElement, 't:OriginalStart'),
+      modifiedOccurrences: this.extractOccurrences(calendarElement, 't:ModifiedOccurrences'),
+      deletedOccurrences: this.extractOccurrences(calendarElement, 't:DeletedOccurrences').map(occurrence => occurrence.start),
       organizer: this.extractEmailAddress(calendarElement, 't:Organizer'),
-      attendees: this.extractEmailAddresses(calendarElement, 't:RequiredAttendees')
+      isMeeting: this.getElementText(calendarElement, 't:IsMeeting') === 'true',
+      isCancelled: this.getElementText(calendarElement, 't:IsCancelled') === 'true',
+      myResponseType: this.getElementText(calendarElement, 't:MyResponseType'),
+      requiredAttendees: this.extractAttendees(calendarElement, 't:RequiredAttendees'),
+      optionalAttendees: this.extractAttendees(calendarElement, 't:OptionalAttendees'),
+      resources: this.extractAttendees(calendarElement, 't:Resources'),
+      hasAttachments: this.getElementText(calendarElement, 't:HasAttachments') === 'true',
+      attachments: this.extractAttachments(calendarElement)
+    };
+  }
+
+  /**
+   * Text of a direct child element
+   */
+  getChildText(parentElement, tagName) {
+    const child = Array.from(parentElement.children).find(element => element.tagName === tagName);
+    return child ? child.textContent : null;
+  }
+
+  /**
+   * Extract the Occurrence / DeletedOccurrence entries of a recurring master
+   */
+  extractOccurrences(calendarElement, tagName) {
+    const container = Array.from(calendarElement.children).find(element => element.tagName === tagName);
+    if (!container) return [];
+
+    return Array.from(container.children).map(occurrence => ({
+      id: this.getElementAttribute(occurrence, 't:ItemId', 'Id'),
+      changeKey: this.getElementAttribute(occurrence, 't:ItemId', 'ChangeKey'),
+      start: this.getElementText(occurrence, 't:Start'),
+      end: this.getElementText(occurrence, 't:End'),
+      originalStart: this.getElementText(occurrence, 't:OriginalStart')
+    }));
+  }
+
+  /**
+   * Extract Attendee elements with their response
+   */
+  extractAttendees(parentElement, tagName) {
+    const container = parentElement.getElementsByTagName(tagName)[0];
+    if (!container) return [];
+
+    return Array.from(container.getElementsByTagName('t:Attendee')).map(attendee => ({
+      name: this.getElementText(attendee, 't:Name'),
+      email: this.getElementText(attendee, 't:EmailAddress'),
+      responseType: this.getElementText(attendee, 't:ResponseType'),
+      lastResponseTime: this.getElementText(attendee, 't:LastResponseTime')
+    }));
+  }
+
+  /**
+   * Extract attachment metadata (and content when present) from an item's Attachments element
+   */
+  extractAttachments(itemElement) {
+    const attachmentsElement = itemElement.getElementsByTagName('t:Attachments')[0];
+    if (!attachmentsElement) {
+      return [];
+    }
+
+    return Array.from(attachmentsElement.children).map(element => this.extractAttachmentInfo(element));
+  }
+
+  /**
+   * Extract a FileAttachment or ItemAttachment element
+   */
+  extractAttachmentInfo(attachmentElement) {
+    const attachment = {
+      id: this.getElementAttribute(attachmentElement, 't:AttachmentId', 'Id'),
+      type: attachmentElement.tagName === 't:ItemAttachment' ? 'item' : 'file',
+      name: this.getElementText(attachmentElement, 't:Name'),
+      contentType: this.getElementText(attachmentElement, 't:ContentType'),
+      contentId: this.getElementText(attachmentElement, 't:ContentId'),
+      size: parseInt(this.getElementText(attachmentElement, 't:Size')) || 0,
+      lastModifiedTime: this.getElementText(attachmentElement, 't:LastModifiedTime'),
+      isInline: this.getElementText(attachmentElement, 't:IsInline') === 'true'
     };
+
+    if (attachment.type === 'file') {
+      attachment.content = this.getElementText(attachmentElement, 't:Content');
+    } else {
+      attachment.mimeContent = this.getElementText(attachmentElement, 't:MimeContent');
+      const itemElement = Array.from(attachmentElement.children)
+        .find(child => !['t:AttachmentId', 't:Name', 't:ContentType', 't:ContentId', 't:ContentLocation', 't:Size',
+          't:LastModifiedTime', 't:IsInline'].includes(child.tagName));
+      attachment.itemType = itemElement ? itemElement.tagName.replace('t:', '') : null;
+      attachment.subject = itemElement ? this.getElementText(itemElement, 't:Subject') : null;
+    }
+
+    return attachment;
   }
 
   /**
@@ -923,6 +2646,178 @@ class EWSClient {
     return this.extractEmailFromCollection(parentElement, collectionTagName, key);
   }
 
+  /**
+   * Parse GetUserAvailability response
+   * Returns per attendee the merged free/busy slots and busy events, plus suggested meeting times per day
+   */
+  parseUserAvailabilityResponse(responseXml, attendees, windowStart, intervalMinutes) {
+    const doc = this.xmlParser.parseXML(responseXml);
+    const responses = doc.getElementsByTagName('m:FreeBusyResponse');
+
+    const availability = [];
+    for (let i = 0; i < responses.length; i++) {
+      const attendee = attendees[i];
+      const responseCode = this.getElementText(responses[i], 'm:ResponseCode') || 'NoError';
+      const view = responses[i].getElementsByTagName('m:FreeBusyView')[0];
+      const events = view ? view.getElementsByTagName('t:CalendarEvent') : [];
+
+      availability.push({
+        email: typeof attendee === 'string' ? attendee : attendee.email,
+        success: responseCode === 'NoError',
+        responseCode: responseCode,
+        error: this.getElementText(responses[i], 'm:MessageText'),
+        mergedFreeBusy: view
+          ? this.extractMergedFreeBusy(this.getElementText(view, 't:MergedFreeBusy'), windowStart, intervalMinutes)
+          : [],
+        events: Array.from(events).map(event => ({
+          start: this.parseAvailabilityTime(this.getElementText(event, 't:StartTime')),
+          end: this.parseAvailabilityTime(this.getElementText(event, 't:EndTime')),
+          busyType: this.getElementText(event, 't:BusyType'),
+          subject: this.getElementText(event, 't:Subject'),
+          location: this.getElementText(event, 't:Location')
+        }))
+      });
+    }
+
+    const days = doc.getElementsByTagName('t:SuggestionDayResult');
+    const suggestions = Array.from(days).map(day => ({
+      date: this.getElementText(day, 't:Date').slice(0, 10),
+      quality: this.getElementText(day, 't:DayQuality'),
+      slots: Array.from(day.getElementsByTagName('t:Suggestion')).map(suggestion => ({
+        start: this.parseAvailabilityTime(this.getElementText(suggestion, 't:MeetingTime')),
+        isWorkTime: this.getElementText(suggestion, 't:IsWorkTime') === 'true',
+        quality: this.getElementText(suggestion, 't:SuggestionQuality'),
+        // Free/busy of each attendee at that time, in request order
+        conflicts: Array.from(suggestion.getElementsByTagName('t:IndividualAttendeeConflictData'))
+          .map(conflict => this.getElementText(conflict, 't:BusyType'))
+      }))
+    }));
+
+    return {
+      success: true,
+      attendees: availability,
+      suggestions: suggestions
+    };
+  }
+
+  /**
+   * Parse GetRoomLists / GetRooms response into { name, email } entries
+   */
+  parseRoomsResponse(responseXml, operation, containerTag, addressTag) {
+    const doc = this.xmlParser.parseXML(responseXml);
+    const responseCode = this.xmlParser.parseEWSResponseCode(doc);
+
+    if (responseCode && !responseCode.isSuccess) {
+      const error = new Error(`${operation} failed: ${responseCode.code} ${responseCode.message}`);
+      error.responseCode = responseCode.code;
+      throw error;
+    }
+
+    const container = doc.getElementsByTagName(containerTag)[0];
+    const addresses = container ? Array.from(container.getElementsByTagName(addressTag)) : [];
+
+    return {
+      success: true,
+      items: addresses.map(address => ({
+        name: this.getElementText(address, 't:Name'),
+        email: this.getElementText(address, 't:EmailAddress')
+      }))
+    };
+  }
+
+  /**
+   * Parse ResolveNames response into directory entries
+   * Several matches come back as a warning (ErrorNameResolutionMultipleResults), none as an error
+   */
+  parseResolveNamesResponse(responseXml) {
+    const doc = this.xmlParser.parseXML(responseXml);
+    const responseCode = this.xmlParser.parseEWSResponseCode(doc);
+
+    if (responseCode && responseCode.code === 'ErrorNameResolutionNoResults') {
+      return { success: true, items: [] };
+    }
+    if (responseCode && !responseCode.isSuccess && responseCode.code !== 'ErrorNameResolutionMultipleResults') {
+      const error = new Error(`ResolveNames failed: ${responseCode.code} ${responseCode.message}`);
+      error.responseCode = responseCode.code;
+      throw error;
+    }
+
+    const resolutions = Array.from(doc.getElementsByTagName('t:Resolution'));
+    return {
+      success: true,
+      items: resolutions.map(resolution => {
+        const mailbox = resolution.getElementsByTagName('t:Mailbox')[0];
+        const contact = resolution.getElementsByTagName('t:Contact')[0];
+        const name = mailbox ? this.getElementText(mailbox, 't:Name') : null;
+
+        return {
+          name: name,
+          email: mailbox ? this.getElementText(mailbox, 't:EmailAddress') : null,
+          mailboxType: mailbox ? this.getElementText(mailbox, 't:MailboxType') : null,
+          displayName: (contact && this.getElementText(contact, 't:DisplayName')) || name,
+          firstName: contact ? this.getElementText(contact, 't:GivenName') : null,
+          lastName: contact ? this.getElementText(contact, 't:Surname') : null,
+          company: contact ? this.getElementText(contact, 't:CompanyName') : null,
+          jobTitle: contact ? this.getElementText(contact, 't:JobTitle') : null,
+          department: contact ? this.getElementText(contact, 't:Department') : null,
+          phone: contact ? this.extractPhoneFromCollection(contact, 't:PhoneNumbers', 'BusinessPhone') : null
+        };
+      })
+    };
+  }
+
+  /**
+   * Parse FindPeople response into directory entries (same shape as ResolveNames)
+   */
+  parseFindPeopleResponse(responseXml) {
+    const doc = this.xmlParser.parseXML(responseXml);
+    const responseCode = this.xmlParser.parseEWSResponseCode(doc);
+
+    if (responseCode && !responseCode.isSuccess) {
+      const error = new Error(`FindPeople failed: ${responseCode.code} ${responseCode.message}`);
+      error.responseCode = responseCode.code;
+      throw error;
+    }
+
+    const personas = Array.from(doc.getElementsByTagName('t:Persona'));
+    return {
+      success: true,
+      items: personas.map(persona => {
+        // The persona's EmailAddress wraps a nested EmailAddress with the address itself
+        const address = Array.from(persona.children).find(element => element.tagName === 't:EmailAddress');
+        const displayName = this.getChildText(persona, 't:DisplayName');
+
+        return {
+          name: displayName,
+          email: address ? this.getChildText(address, 't:EmailAddress') : null,
+          mailboxType: address ? this.getChildText(address, 't:MailboxType') : null,
+          displayName: displayName,
+          firstName: this.getChildText(persona, 't:GivenName'),
+          lastName: this.getChildText(persona, 't:Surname'),
+          company: this.getChildText(persona, 't:CompanyName'),
+          jobTitle: this.getChildText(persona, 't:Title'),
+          department: this.getChildText(persona, 't:Department'),
+          phone: null
+        };
+      })
+    };
+  }
+
+  /**
+   * Expand a MergedFreeBusy string (one digit per interval) to { start, end, busyType } slots
+   */
+  extractMergedFreeBusy(merged, windowStart, intervalMinutes) {
+    if (!merged) return [];
+
+    const start = new Date(windowStart).getTime();
+    const intervalMs = intervalMinutes * 60 * 1000;
+    return merged.split('').map((digit, index) => ({
+      start: new Date(start + index * intervalMs),
+      end: new Date(start + (index + 1) * intervalMs),
+      busyType: EWSClient.MERGED_FREE_BUSY_TYPES[digit] || 'NoData'
+    }));
+  }
+
   /**
    * Parse generic create item response
    */
@@ -936,7 +2831,8 @@ class EWSClient {
 
     return {
       success: true,
-      itemId: itemElements[0].getAttribute('Id')
+      itemId: itemElements[0].getAttribute('Id'),
+      changeKey: itemElements[0].getAttribute('ChangeKey')
     };
   }
 
@@ -952,9 +2848,32 @@ class EWSClient {
     }
 
     const responseCode = responseCodeElements[0].textContent;
+    const itemElements = doc.getElementsByTagName('t:ItemId');
+
     return {
       success: responseCode === 'NoError',
-      responseCode: responseCode
+      responseCode: responseCode,
+      // UpdateItem echoes the item with its new ChangeKey
+      itemId: itemElements.length > 0 ? itemElements[0].getAttribute('Id') : null,
+      changeKey: itemElements.length > 0 ? itemElements[0].getAttribute('ChangeKey') : null
+    };
+  }
+
+  /**
+   * Parse CreateItem (SendAndSaveCopy) or SendItem response; neither returns an ItemId
+   */
+  parseSendResponse(responseXml) {
+    const doc = this.xmlParser.parseXML(responseXml);
+    const responseCode = this.xmlParser.parseEWSResponseCode(doc);
+
+    if (!responseCode || !responseCode.isSuccess) {
+      const error = new Error(`Send failed: ${responseCode ? `${responseCode.code} ${responseCode.message}` : 'no response code'}`);
+      error.responseCode = responseCode ? responseCode.code : null;
+      throw error;
+    }
+
+    return {
+      success: true
     };
   }
 
@@ -972,12 +2891,100 @@ class EWSClient {
     return this.parseUpdateItemResponse(responseXml);
   }
 
+  /**
+   * Parse GetAttachment response
+   */
+  parseGetAttachmentResponse(responseXml) {
+    const doc = this.xmlParser.parseXML(responseXml);
+    const responseCode = this.xmlParser.parseEWSResponseCode(doc);
+
+    if (responseCode && !responseCode.isSuccess) {
+      const error = new Error(`GetAttachment failed: ${responseCode.code} ${responseCode.message}`);
+      error.responseCode = responseCode.code;
+      throw error;
+    }
+
+    const attachmentsElements = doc.getElementsByTagName('m:Attachments');
+    const attachments = [];
+
+    for (let i = 0; i < attachmentsElements.length; i++) {
+      for (const element of Array.from(attachmentsElements[i].children)) {
+        attachments.push(this.extractAttachmentInfo(element));
+      }
+    }
+
+    return {
+      success: true,
+      attachments: attachments
+    };
+  }
+
+  /**
+   * Parse CreateAttachment response
+   * Adding attachments changes the parent item, so its new ChangeKey is returned too
+   */
+  parseCreateAttachmentResponse(responseXml) {
+    const doc = this.xmlParser.parseXML(responseXml);
+    const responseCode = this.xmlParser.parseEWSResponseCode(doc);
+
+    if (responseCode && !responseCode.isSuccess) {
+      const error = new Error(`CreateAttachment failed: ${responseCode.code} ${responseCode.message}`);
+      error.responseCode = responseCode.code;
+      throw error;
+    }
+
+    const attachments = Array.from(doc.getElementsByTagName('t:AttachmentId')).map(element => ({
+      id: element.getAttribute('Id'),
+      rootItemId: element.getAttribute('RootItemId'),
+      rootItemChangeKey: element.getAttribute('RootItemChangeKey')
+    }));
+    const last = attachments[attachments.length - 1];
+
+    return {
+      success: true,
+      attachments: attachments,
+      rootItemId: last ? last.rootItemId : null,
+      rootItemChangeKey: last ? last.rootItemChangeKey : null
+    };
+  }
+
+  /**
+   * Parse DeleteAttachment response
+   */
+  parseDeleteAttachmentResponse(responseXml) {
+    const doc = this.xmlParser.parseXML(responseXml);
+    const responseCode = this.xmlParser.parseEWSResponseCode(doc);
+
+    if (responseCode && !responseCode.isSuccess) {
+      const error = new Error(`DeleteAttachment failed: ${responseCode.code} ${responseCode.message}`);
+      error.responseCode = responseCode.code;
+      throw error;
+    }
+
+    const rootItemIds = doc.getElementsByTagName('m:RootItemId');
+    const last = rootItemIds.length > 0 ? rootItemIds[rootItemIds.length - 1] : null;
+
+    return {
+      success: true,
+      rootItemId: last ? last.getAttribute('RootItemId') : null,
+      rootItemChangeKey: last ? last.getAttribute('RootItemChangeKey') : null
+    };
+  }
+
   /**
    * Parse subscribe response
    */
   parseSubscribeResponse(responseXml) {
     const doc = this.xmlParser.parseXML(responseXml);
-    const subscriptionIdElements = doc.getElementsByTagName('t:SubscriptionId');
+    const responseCode = this.xmlParser.parseEWSResponseCode(doc);
+
+    if (responseCode && !responseCode.isSuccess) {
+      const error = new Error(`Subscribe failed: ${responseCode.code} ${responseCode.message}`);
+      error.responseCode = responseCode.code;
+      throw error;
+    }
+
+    const subscriptionIdElements = doc.getElementsByTagName('m:SubscriptionId');
     
     if (subscriptionIdElements.length === 0) {
       throw new Error('No subscription ID found in subscribe response');
@@ -985,7 +2992,8 @@ class EWSClient {
 
     return {
       success: true,
-      subscriptionId: subscriptionIdElements[0].textContent
+      subscriptionId: subscriptionIdElements[0].textContent,
+      watermark: this.getElementText(doc, 'm:Watermark')
     };
   }
 
@@ -994,11 +3002,111 @@ class EWSClient {
    */
   parseEventsResponse(responseXml) {
     const doc = this.xmlParser.parseXML(responseXml);
-    // Parse notification events - implementation would depend on specific event types
-    return {
+    const responseCode = this.xmlParser.parseEWSResponseCode(doc);
+
+    if (responseCode && !responseCode.isSuccess) {
+      const error = new Error(`GetEvents failed: ${responseCode.code} ${responseCode.message}`);
+      error.responseCode = responseCode.code;
+      throw error;
+    }
+
+    const notifications = doc.getElementsByTagName('m:Notification');
+    const result = {
+      success: true,
+      events: [],
+      watermark: null,
+      moreEvents: false
+    };
+
+    for (let i = 0; i < notifications.length; i++) {
+      const notification = this.parseNotification(notifications[i]);
+      result.events.push(...notification.events);
+      result.watermark = notification.watermark || result.watermark;
+      result.moreEvents = result.moreEvents || notification.moreEvents;
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse one envelope of a GetStreamingEvents response
+   */
+  parseStreamingEventsResponse(responseXml) {
+    const doc = this.xmlParser.parseXML(responseXml);
+    const responseCode = this.xmlParser.parseEWSResponseCode(doc);
+
+    if (responseCode && !responseCode.isSuccess) {
+      const error = new Error(`GetStreamingEvents failed: ${responseCode.code} ${responseCode.message}`);
+      error.responseCode = responseCode.code;
+      error.subscriptionIds = Array.from(doc.getElementsByTagName('m:ErrorSubscriptionIds'))
+        .flatMap(element => Array.from(element.getElementsByTagName('t:SubscriptionId')))
+        .map(element => element.textContent);
+      throw error;
+    }
+
+    const notifications = doc.getElementsByTagName('m:Notification');
+    const result = {
       success: true,
-      events: [] // Simplified for this example
+      events: [],
+      connectionStatus: this.getElementText(doc, 'm:ConnectionStatus')
+    };
+
+    for (let i = 0; i < notifications.length; i++) {
+      result.events.push(...this.parseNotification(notifications[i]).events);
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse a single Notification element into typed events
+   */
+  parseNotification(notificationElement) {
+    const eventTypes = {
+      't:NewMailEvent': 'NewMail',
+      't:CreatedEvent': 'Created',
+      't:ModifiedEvent': 'Modified',
+      't:DeletedEvent': 'Deleted',
+      't:MovedEvent': 'Moved',
+      't:CopiedEvent': 'Copied',
+      't:FreeBusyChangedEvent': 'FreeBusyChanged',
+      't:StatusEvent': 'Status'
     };
+
+    const notification = {
+      subscriptionId: this.getElementText(notificationElement, 't:SubscriptionId'),
+      watermark: this.getElementText(notificationElement, 't:PreviousWatermark'),
+      moreEvents: this.getElementText(notificationElement, 't:MoreEvents') === 'true',
+      events: []
+    };
+
+    for (let i = 0; i < notificationElement.children.length; i++) {
+      const eventElement = notificationElement.children[i];
+      const type = eventTypes[eventElement.tagName];
+      if (!type) continue;
+
+      const event = {
+        type: type,
+        watermark: this.getElementText(eventElement, 't:Watermark'),
+        timeStamp: this.getElementText(eventElement, 't:TimeStamp'),
+        isFolder: this.getElementAttribute(eventElement, 't:ItemId', 'Id') === null &&
+                  this.getElementAttribute(eventElement, 't:FolderId', 'Id') !== null,
+        itemId: this.getElementAttribute(eventElement, 't:ItemId', 'Id'),
+        folderId: this.getElementAttribute(eventElement, 't:FolderId', 'Id'),
+        parentFolderId: this.getElementAttribute(eventElement, 't:ParentFolderId', 'Id'),
+        oldItemId: this.getElementAttribute(eventElement, 't:OldItemId', 'Id'),
+        oldFolderId: this.getElementAttribute(eventElement, 't:OldFolderId', 'Id'),
+        oldParentFolderId: this.getElementAttribute(eventElement, 't:OldParentFolderId', 'Id')
+      };
+
+      if (event.watermark) {
+        notification.watermark = event.watermark;
+      }
+
+      notification.events.push(event);
+    }
+
+    return notification;
   }
 
   /**
@@ -1013,12 +3121,72 @@ class EWSClient {
    */
   parseUserConfigurationResponse(responseXml) {
     const doc = this.xmlParser.parseXML(responseXml);
+    const responseCode = this.xmlParser.parseEWSResponseCode(doc);
+
+    if (responseCode && !responseCode.isSuccess) {
+      const error = new Error(`GetUserConfiguration failed: ${responseCode.code} ${responseCode.message}`);
+      error.responseCode = responseCode.code;
+      throw error;
+    }
+
+    const dictionary = {};
+    const entries = doc.getElementsByTagName('t:DictionaryEntry');
+    for (let i = 0; i < entries.length; i++) {
+      const key = this.getElementText(entries[i].getElementsByTagName('t:DictionaryKey')[0], 't:Value');
+      const valueElement = entries[i].getElementsByTagName('t:DictionaryValue')[0];
+      if (key !== null) {
+        dictionary[key] = valueElement ? this.getElementText(valueElement, 't:Value') : null;
+      }
+    }
+
+    const xmlData = this.getElementText(doc, 't:XmlData');
+
+    return {
+      success: true,
+      configuration: {
+        name: this.getElementAttribute(doc, 't:UserConfigurationName', 'Name'),
+        dictionary: dictionary,
+        xmlData: xmlData ? this.decodeBase64Text(xmlData) : null,
+        binaryData: this.getElementText(doc, 't:BinaryData')
+      }
+    };
+  }
+
+  /**
+   * Parse the CategoryList XmlData into categories
+   */
+  parseMasterCategoryList(xmlData) {
+    if (!xmlData) {
+      return { success: true, categories: [], xmlData: null };
+    }
+
+    const doc = this.xmlParser.parseXML(xmlData);
+    const categories = Array.from(doc.getElementsByTagName('category')).map(element => {
+      const color = parseInt(element.getAttribute('color'), 10);
+      return {
+        name: element.getAttribute('name'),
+        color: isNaN(color) ? -1 : color,
+        colorHex: EWSClient.CATEGORY_COLORS[color] || null,
+        guid: element.getAttribute('guid')
+      };
+    });
+
     return {
       success: true,
-      configuration: {} // Simplified for this example
+      categories: categories,
+      xmlData: xmlData
     };
   }
 
+  /**
+   * Decode base64 into UTF-8 text
+   */
+  decodeBase64Text(base64) {
+    const binary = atob(base64.replace(/\s/g, ''));
+    const bytes = Uint8Array.from(binary, character => character.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+
   /**
    * Get text content of first matching element
    */
@@ -1035,6 +3203,24 @@ class EWSClient {
     return elements.length > 0 ? elements[0].getAttribute(attributeName) : null;
   }
 
+  /**
+   * Serialize a folder reference (FolderReference, { id, changeKey } or string)
+   * as a DistinguishedFolderId or FolderId element
+   */
+  buildFolderId(folder) {
+    const reference = FolderReference.from(folder);
+
+    if (reference.isDistinguished()) {
+      const mailbox = reference.mailbox
+        ? `<t:Mailbox><t:EmailAddress>${this.escapeXml(reference.mailbox)}</t:EmailAddress></t:Mailbox>`
+        : '';
+      return `<t:DistinguishedFolderId Id="${this.escapeXml(reference.distinguishedId)}">${mailbox}</t:DistinguishedFolderId>`;
+    }
+
+    const changeKey = reference.changeKey ? ` ChangeKey="${this.escapeXml(reference.changeKey)}"` : '';
+    return `<t:FolderId Id="${this.escapeXml(reference.id)}"${changeKey}/>`;
+  }
+
   /**
    * Escape XML special characters
    */
@@ -1048,6 +3234,26 @@ class EWSClient {
       .replace(/'/g, '&apos;');
   }
 
+  /**
+   * Encode attachment content as base64
+   * Accepts an already encoded string, a Blob/File or an ArrayBuffer
+   */
+  async encodeBase64(content) {
+    if (!content) return '';
+    if (typeof content === 'string') return content;
+
+    const buffer = content instanceof ArrayBuffer ? content : await content.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    const chunkSize = 0x8000; // Keep String.fromCharCode under the argument limit
+    let binary = '';
+
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+
+    return btoa(binary);
+  }
+
   /**
    * Batch operations for better performance
    */
@@ -1123,7 +3329,7 @@ class EWSClient {
       const soapBody = `
         <m:MoveItem>
           <m:ToFolderId>
-            <t:DistinguishedFolderId Id="${this.escapeXml(targetFolderId)}"/>
+            ${this.buildFolderId(targetFolderId)}
           </m:ToFolderId>
           <m:ItemIds>
             ${itemIds}
@@ -1164,3 +3370,17 @@ class EWSClient {
     }
   }
 }
+
+// Outlook category color presets (CategoryList color index -> RGB); -1 means no color
+EWSClient.CATEGORY_COLORS = [
+  '#E7A1A2', '#F9BA89', '#F7DD8F', '#FCFA90', '#78D168', '#9FDCC9', '#C6D2B0', '#9DB7E8',
+  '#B5A1E2', '#DAAEC2', '#DAD9DC', '#6B7994', '#BFBFBF', '#6F6F6F', '#4F4F4F', '#C11A25',
+  '#E2620D', '#C79930', '#B9B300', '#368F2B', '#329B7A', '#778B45', '#2858A5', '#5C3FA3',
+  '#93446B'
+];
+
+// Item elements parsed as messages; meeting messages carry extra details in message.meeting
+EWSClient.MESSAGE_ELEMENTS = ['t:Message', 't:MeetingRequest', 't:MeetingResponse', 't:MeetingCancellation'];
+
+// MergedFreeBusy digits (GetUserAvailability) -> LegacyFreeBusyStatus values
+EWSClient.MERGED_FREE_BUSY_TYPES = ['Free', 'Tentative', 'Busy', 'OOF', 'WorkingElsewhere', 'NoData'];
@@ -50,6 +50,60 @@ class ExchangeClient {
     });
   }
 
+  /**
+   * Get folder hierarchy changes since the given SyncState
+   */
+  async syncFolderHierarchy(account, syncState = null) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.syncFolderHierarchy(account, syncState);
+    });
+  }
+
+  /**
+   * Create folder under a parent folder
+   */
+  async createFolder(account, parentFolderId, displayName, folderClass = 'IPF.Note') {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.createFolder(account, parentFolderId, displayName, folderClass);
+    });
+  }
+
+  /**
+   * Rename folder
+   */
+  async renameFolder(account, folderId, changeKey, displayName) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.renameFolder(account, folderId, changeKey, displayName);
+    });
+  }
+
+  /**
+   * Move folder under another parent folder
+   */
+  async moveFolder(account, folderId, targetFolderId) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.moveFolder(account, folderId, targetFolderId);
+    });
+  }
+
+  /**
+   * Delete folder
+   */
+  async deleteFolder(account, folderId, deleteType = 'MoveToDeletedItems') {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.deleteFolder(account, folderId, deleteType);
+    });
+  }
+
+  /**
+   * Empty folder (optionally including subfolders)
+   */
+  async emptyFolder(account, folderId, deleteType = 'MoveToDeletedItems', deleteSubFolders = false) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.emptyFolder(account, folderId, deleteType, deleteSubFolders);
+    });
+  }
+
   /**
    * Get messages from a folder
    */
@@ -59,6 +113,16 @@ class ExchangeClient {
     });
   }
 
+  /**
+   * Search messages on the server (Restriction criteria or AQS query string)
+   * Results carry summary properties only; download a hit with getMessage
+   */
+  async searchMessages(account, criteria = {}, options = {}) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.searchMessages(account, criteria, options);
+    });
+  }
+
   /**
    * Get message details
    */
@@ -68,6 +132,15 @@ class ExchangeClient {
     });
   }
 
+  /**
+   * Get item changes in a folder since the given SyncState
+   */
+  async syncFolderItems(account, folderId, syncState = null, options = {}) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.syncFolderItems(account, folderId, syncState, options);
+    });
+  }
+
   /**
    * Send a message
    */
@@ -77,6 +150,96 @@ class ExchangeClient {
     });
   }
 
+  /**
+   * Reply to the sender of an item
+   * Not retried: a request that timed out may already have been sent
+   */
+  async replyToItem(account, itemId, changeKey, response) {
+    return await this.ewsClient.replyToItem(account, itemId, changeKey, response);
+  }
+
+  /**
+   * Reply to the sender and all recipients of an item
+   * Not retried: a request that timed out may already have been sent
+   */
+  async replyAllToItem(account, itemId, changeKey, response) {
+    return await this.ewsClient.replyAllToItem(account, itemId, changeKey, response);
+  }
+
+  /**
+   * Forward an item
+   * Not retried: a request that timed out may already have been sent
+   */
+  async forwardItem(account, itemId, changeKey, response) {
+    return await this.ewsClient.forwardItem(account, itemId, changeKey, response);
+  }
+
+  /**
+   * Answer a meeting request: 'accept', 'tentative' or 'decline'
+   * options: { body, sendResponse, proposedStart, proposedEnd }
+   */
+  async respondToMeeting(account, itemId, changeKey, response, options = {}) {
+    const operations = {
+      accept: 'acceptItem',
+      tentative: 'tentativelyAcceptItem',
+      decline: 'declineItem'
+    };
+    const operation = operations[response];
+    if (!operation) {
+      throw new Error(`Unknown meeting response: ${response}`);
+    }
+
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient[operation](account, itemId, changeKey, options);
+    });
+  }
+
+  /**
+   * Send a complete MIME message (as composed in Thunderbird)
+   * Not retried: a request that timed out may already have been delivered
+   */
+  async sendMimeMessage(account, mimeContent, options = {}) {
+    return await this.ewsClient.sendMimeMessage(account, mimeContent, options);
+  }
+
+  /**
+   * Get attachments with their base64 content
+   */
+  async getAttachments(account, attachmentIds, options = {}) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.getAttachments(account, attachmentIds, options);
+    });
+  }
+
+  /**
+   * Get a single attachment with its base64 content
+   */
+  async getAttachment(account, attachmentId, options = {}) {
+    const result = await this.getAttachments(account, [attachmentId], options);
+    return {
+      success: result.success,
+      attachment: result.attachments[0] || null
+    };
+  }
+
+  /**
+   * Add file or item attachments to an existing item
+   */
+  async createAttachments(account, parentItemId, attachments) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.createAttachments(account, parentItemId, attachments);
+    });
+  }
+
+  /**
+   * Delete attachments
+   */
+  async deleteAttachments(account, attachmentIds) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.deleteAttachments(account, attachmentIds);
+    });
+  }
+
   /**
    * Move message to folder
    */
@@ -95,6 +258,15 @@ class ExchangeClient {
     });
   }
 
+  /**
+   * Update read state, follow-up flag, importance and categories of a message
+   */
+  async updateMessage(account, messageId, changeKey, updates) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.updateMessage(account, messageId, changeKey, updates);
+    });
+  }
+
   /**
    * Delete message
    */
@@ -150,29 +322,111 @@ class ExchangeClient {
   }
 
   /**
-   * Create calendar item
+   * Get a single calendar item with its attendees
+   */
+  async getCalendarItem(account, itemId) {
+    return await this.executeWithRetry(async () => {
+      const result = await this.ewsClient.getCalendarItemsById(account, [itemId]);
+      return { success: true, item: result.items[0] || null };
+    });
+  }
+
+  /**
+   * Get calendar items (e.g. the exceptions of a series) by ItemId
+   */
+  async getCalendarItemsById(account, itemIds) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.getCalendarItemsById(account, itemIds);
+    });
+  }
+
+  /**
+   * Get the recurring masters of calendar occurrences
    */
-  async createCalendarItem(account, item) {
+  async getRecurringMasters(account, occurrenceIds) {
     return await this.executeWithRetry(async () => {
-      return await this.ewsClient.createCalendarItem(account, item);
+      return await this.ewsClient.getRecurringMasters(account, occurrenceIds);
     });
   }
 
   /**
-   * Update calendar item
+   * Create calendar item, optionally sending meeting invitations
    */
-  async updateCalendarItem(account, itemId, updates) {
+  async createCalendarItem(account, item, options = {}) {
     return await this.executeWithRetry(async () => {
-      return await this.ewsClient.updateCalendarItem(account, itemId, updates);
+      return await this.ewsClient.createCalendarItem(account, item, options);
+    });
+  }
+
+  /**
+   * Update calendar item, optionally sending meeting updates
+   */
+  async updateCalendarItem(account, itemId, updates, options = {}) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.updateCalendarItem(account, itemId, updates, options);
     });
   }
 
   /**
    * Delete calendar item
    */
-  async deleteCalendarItem(account, itemId) {
+  async deleteCalendarItem(account, itemId, options = {}) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.deleteCalendarItem(account, itemId, options);
+    });
+  }
+
+  /**
+   * Cancel a meeting organized by the user and notify the attendees
+   */
+  async cancelCalendarItem(account, itemId, changeKey, options = {}) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.cancelCalendarItem(account, itemId, changeKey, options);
+    });
+  }
+
+  /**
+   * Get free/busy of attendees and suggested meeting times
+   */
+  async getUserAvailability(account, attendees, window, options = {}) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.getUserAvailability(account, attendees, window, options);
+    });
+  }
+
+  /**
+   * Get the room lists of the organization
+   */
+  async getRoomLists(account) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.getRoomLists(account);
+    });
+  }
+
+  /**
+   * Get the rooms of a room list
+   */
+  async getRooms(account, roomListAddress) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.getRooms(account, roomListAddress);
+    });
+  }
+
+  /**
+   * Resolve a partial name or address against the directory
+   */
+  async resolveNames(account, query, options = {}) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.resolveNames(account, query, options);
+    });
+  }
+
+  /**
+   * Search people in the Global Address List
+   */
+  async findPeople(account, query, options = {}) {
     return await this.executeWithRetry(async () => {
-      return await this.ewsClient.deleteCalendarItem(account, itemId);
+      return await this.ewsClient.findPeople(account, query, options);
     });
   }
 
@@ -186,20 +440,54 @@ class ExchangeClient {
   }
 
   /**
-   * Subscribe to notifications
+   * Get the master category list (names and Outlook color presets)
    */
-  async subscribeToNotifications(account, folders = ['inbox']) {
+  async getMasterCategoryList(account) {
     return await this.executeWithRetry(async () => {
-      return await this.ewsClient.subscribeToNotifications(account, folders);
+      return await this.ewsClient.getMasterCategoryList(account);
     });
   }
 
   /**
-   * Get notification events
+   * Add categories to the master category list
+   */
+  async addMasterCategories(account, categories, xmlData = null) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.addMasterCategories(account, categories, xmlData);
+    });
+  }
+
+  /**
+   * Subscribe to notifications (pull subscription)
+   */
+  async subscribeToNotifications(account, folders = ['inbox'], options = {}) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.subscribeToNotifications(account, folders, options);
+    });
+  }
+
+  /**
+   * Subscribe to notifications (streaming subscription)
+   */
+  async subscribeToStreamingNotifications(account, folders = null) {
+    return await this.executeWithRetry(async () => {
+      return await this.ewsClient.subscribeToStreamingNotifications(account, folders);
+    });
+  }
+
+  /**
+   * Open a streaming events connection (not retried: the caller owns reconnection)
+   */
+  async getStreamingEvents(account, subscriptionIds, onResponse, options = {}) {
+    return await this.ewsClient.getStreamingEvents(account, subscriptionIds, onResponse, options);
+  }
+
+  /**
+   * Get notification events since the given watermark
    */
-  async getNotificationEvents(account, subscriptionId) {
+  async getNotificationEvents(account, subscriptionId, watermark) {
     return await this.executeWithRetry(async () => {
-      return await this.ewsClient.getNotificationEvents(account, subscriptionId);
+      return await this.ewsClient.getNotificationEvents(account, subscriptionId, watermark);
     });
   }
 
@@ -0,0 +1,83 @@
+/**
+ * Folder Reference
+ * Identifies an EWS folder either by distinguished name (optionally in another mailbox)
+ * or by its FolderId (optionally with ChangeKey)
+ */
+
+class FolderReference {
+  constructor({ id = null, changeKey = null, distinguishedId = null, mailbox = null } = {}) {
+    this.id = id;
+    this.changeKey = changeKey;
+    this.distinguishedId = distinguishedId;
+    this.mailbox = mailbox; // SMTP address of a shared/delegated mailbox
+  }
+
+  /**
+   * Reference a well-known folder such as 'inbox'
+   */
+  static distinguished(distinguishedId, mailbox = null) {
+    return new FolderReference({ distinguishedId: distinguishedId, mailbox: mailbox });
+  }
+
+  /**
+   * Reference a folder by FolderId
+   */
+  static fromFolderId(id, changeKey = null) {
+    return new FolderReference({ id: id, changeKey: changeKey });
+  }
+
+  /**
+   * Coerce a FolderReference, a folder info object ({ id, changeKey }) or a string
+   * Strings naming a distinguished folder become DistinguishedFolderIds, anything else a FolderId
+   */
+  static from(value) {
+    if (value instanceof FolderReference) {
+      return value;
+    }
+    if (typeof value === 'string') {
+      return FolderReference.DISTINGUISHED_IDS.includes(value)
+        ? FolderReference.distinguished(value)
+        : FolderReference.fromFolderId(value);
+    }
+    if (value && value.distinguishedId) {
+      return FolderReference.distinguished(value.distinguishedId, value.mailbox || null);
+    }
+    if (value && value.id) {
+      return FolderReference.fromFolderId(value.id, value.changeKey || null);
+    }
+    throw new Error('Invalid folder reference: ' + value);
+  }
+
+  /**
+   * Check if this references a folder by distinguished name
+   */
+  isDistinguished() {
+    return !!this.distinguishedId;
+  }
+
+  /**
+   * Copy of a FolderId reference carrying the given ChangeKey
+   */
+  withChangeKey(changeKey) {
+    if (this.isDistinguished() || !changeKey) {
+      return this;
+    }
+    return FolderReference.fromFolderId(this.id, changeKey);
+  }
+
+  /**
+   * Stable key for storing per-folder state
+   */
+  toKey() {
+    return this.isDistinguished()
+      ? `${this.distinguishedId}${this.mailbox ? `@${this.mailbox}` : ''}`
+      : this.id;
+  }
+}
+
+FolderReference.DISTINGUISHED_IDS = [
+  'msgfolderroot', 'root', 'inbox', 'outbox', 'sentitems', 'drafts', 'deleteditems',
+  'junkemail', 'archive', 'calendar', 'contacts', 'tasks', 'notes', 'journal',
+  'searchfolders', 'voicemail', 'conversationhistory', 'recoverableitemsroot',
+  'recoverableitemsdeletions', 'archivemsgfolderroot', 'archiveinbox', 'publicfoldersroot'
+];
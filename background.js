@@ -1,21 +1,24 @@
 // background.js
 
-import { fetchInboxMessages } from "./services/ews-client.js";
+// Le classi (SettingsManager, ExchangeClient, EmailSync, ...) sono caricate come
+// script globali dal manifest, prima di questo file.
+const syncManager = new SyncManager();
+const composeSend = new ComposeSend(syncManager);
 
 function log(...args) {
   console.log("Syncbird:", ...args);
 }
 
 /**
- * All’avvio del background script, logghiamo quali account Thunderbird sono presenti.
+ * All’avvio del background script carichiamo gli account Exchange configurati
+ * e avviamo la sincronizzazione periodica.
  */
 (async () => {
   log("Initializing background script");
   try {
-    let accounts = await browser.accounts.list();
-    log("Loaded Thunderbird accounts:", accounts);
+    await syncManager.start();
   } catch (err) {
-    log("Error listing accounts:", err);
+    log("Error starting sync manager:", err);
   }
   log("Background script initialized");
 })();
@@ -27,17 +30,244 @@ browser.accounts.onCreated.addListener((account) => {
   log("New account created:", account);
 });
 
+/**
+ * Quando la pagina di configurazione salva un account o cambiano le impostazioni,
+ * ricarichiamo gli account e ripianifichiamo il timer.
+ */
+browser.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== "local") {
+    return;
+  }
+
+  const settingsManager = syncManager.settingsManager;
+  try {
+    if (changes[settingsManager.accountsKey]) {
+      const known = new Set(syncManager.accounts.keys());
+      await syncManager.loadAccounts();
+      for (const accountId of syncManager.accounts.keys()) {
+        if (!known.has(accountId)) {
+          log("Running first sync for new account:", accountId);
+          await syncManager.syncAccount(accountId, false);
+        }
+      }
+    }
+    if (changes[settingsManager.storageKey]) {
+      await syncManager.schedule();
+    }
+  } catch (err) {
+    log("Error reloading configuration:", err);
+  }
+});
+
 /**
  * Listener per i nuovi messaggi in arrivo.
- * Quando Thunderbird riceve una mail, chiamiamo fetchInboxMessages() per verificare che le credenziali Basic Auth funzionino.
+ * Se la cartella appartiene a un account Syncbird lanciamo subito una sync incrementale.
  */
 browser.messages.onNewMailReceived.addListener(async (folder, messages) => {
   try {
+    const context = syncManager.findContextByThunderbirdAccount(folder.accountId);
+    if (!context) {
+      return;
+    }
     log("New mail received in folder:", folder.name, "Message IDs:", messages);
-    let items = await fetchInboxMessages();
-    log("Fetched items from Inbox (via EWS):", items);
+    await syncManager.syncAccount(context.account.id, true);
+  } catch (err) {
+    log("Error in onNewMailReceived:", err);
+  }
+});
+
+/**
+ * Stato letto, flag e tag modificati in Thunderbird: li propaghiamo su Exchange.
+ */
+browser.messages.onUpdated.addListener(async (message, changedProperties) => {
+  const context = syncManager.findContextByThunderbirdAccount(message.folder && message.folder.accountId);
+  if (context) {
+    await context.emailSync.syncMessageFlags(context.account, message, changedProperties);
+  }
+});
+
+/**
+ * Modifiche alle cartelle fatte in Thunderbird: le propaghiamo su Exchange.
+ */
+browser.folders.onCreated.addListener(async (createdFolder) => {
+  const context = syncManager.findContextByThunderbirdAccount(createdFolder.accountId);
+  if (context) {
+    await context.emailSync.handleThunderbirdFolderCreated(context.account, createdFolder);
+  }
+});
+
+browser.folders.onRenamed.addListener(async (originalFolder, renamedFolder) => {
+  const context = syncManager.findContextByThunderbirdAccount(originalFolder.accountId);
+  if (context) {
+    await context.emailSync.handleThunderbirdFolderRenamed(context.account, originalFolder, renamedFolder);
+  }
+});
+
+browser.folders.onMoved.addListener(async (originalFolder, movedFolder) => {
+  const context = syncManager.findContextByThunderbirdAccount(originalFolder.accountId);
+  if (context) {
+    await context.emailSync.handleThunderbirdFolderMoved(context.account, originalFolder, movedFolder);
+  }
+});
+
+browser.folders.onDeleted.addListener(async (folder) => {
+  const context = syncManager.findContextByThunderbirdAccount(folder.accountId);
+  if (context) {
+    await context.emailSync.handleThunderbirdFolderDeleted(context.account, folder);
+  }
+});
+
+/**
+ * Il pulsante di risposta agli inviti è attivo solo per i messaggi degli account Syncbird.
+ */
+browser.messageDisplay.onMessageDisplayed.addListener(async (tab, message) => {
+  const context = syncManager.findContextByThunderbirdAccount(message.folder && message.folder.accountId);
+  if (context) {
+    await browser.messageDisplayAction.enable(tab.id);
+  } else {
+    await browser.messageDisplayAction.disable(tab.id);
+  }
+});
+
+/**
+ * Richieste dal popup di risposta agli inviti (content/meeting-response.js).
+ */
+browser.runtime.onMessage.addListener((request) => {
+  if (request.type === "getMeeting") {
+    return getMeetingForMessage(request.messageId);
+  }
+  if (request.type === "respondToMeeting") {
+    return respondToMeetingMessage(request);
+  }
+  if (request.type === "getRoomPickerAccounts") {
+    return getRoomPickerAccounts();
+  }
+  if (request.type === "getRoomLists") {
+    return getRoomLists(request.accountId);
+  }
+  if (request.type === "getRoomAvailability") {
+    return getRoomAvailability(request);
+  }
+  if (request.type === "bookRoom") {
+    return bookRoom(request);
+  }
+  return undefined;
+});
+
+/**
+ * Risale dal messaggio Thunderbird all’account Syncbird e all’ItemId Exchange.
+ */
+async function findExchangeMessage(messageId) {
+  const message = await browser.messages.get(messageId);
+  const context = syncManager.findContextByThunderbirdAccount(message.folder.accountId);
+  if (!context) {
+    return null;
+  }
+  const exchangeId = await context.emailSync.getExchangeMessageId(context.account, message);
+  return exchangeId ? { context, exchangeId } : null;
+}
+
+async function getMeetingForMessage(messageId) {
+  const found = await findExchangeMessage(messageId);
+  if (!found) {
+    return null;
+  }
+  const message = await found.context.calendarSync.getMeetingMessage(found.context.account, found.exchangeId);
+  return message ? { subject: message.subject, ...message.meeting } : null;
+}
+
+async function respondToMeetingMessage(request) {
+  const found = await findExchangeMessage(request.messageId);
+  if (!found) {
+    throw new Error("Message is not synced with Exchange");
+  }
+  return await found.context.calendarSync.respondToMeeting(found.context.account, found.exchangeId, request.response, {
+    body: request.body,
+    sendResponse: request.sendResponse,
+    proposedStart: request.proposedStart,
+    proposedEnd: request.proposedEnd
+  });
+}
+
+/**
+ * Disponibilità dei partecipanti (vista di pianificazione dell’evento):
+ * la chiediamo a Exchange con GetUserAvailability tramite l’account dello stesso dominio.
+ */
+browser.syncbirdCalendar.onFreeBusyRequest.addListener(async (attendee, rangeStart, rangeEnd) => {
+  const context = syncManager.findContextForAddress(attendee);
+  if (!context) {
+    return [];
+  }
+  try {
+    const result = await context.calendarSync.getFreeBusy(
+      context.account, [attendee], new Date(rangeStart), new Date(rangeEnd), { suggestions: false }
+    );
+    return result.attendees[0].intervals.map((interval) => ({
+      start: interval.start.toISOString(),
+      end: interval.end.toISOString(),
+      status: interval.status
+    }));
   } catch (err) {
-    log("Error in onNewMailReceived (EWS Basic Auth):", err);
+    log("Error getting free/busy for", attendee, err);
+    return [];
   }
 });
 
+/**
+ * Richieste dal selettore delle sale riunioni (content/room-picker.js).
+ */
+function getRoomPickerContext(accountId) {
+  const context = syncManager.getAccountContext(accountId);
+  if (!context) {
+    throw new Error("Unknown account: " + accountId);
+  }
+  return context;
+}
+
+async function getRoomPickerAccounts() {
+  return Array.from(syncManager.accounts.values()).map((context) => ({
+    id: context.account.id,
+    name: context.account.displayName || context.account.email
+  }));
+}
+
+async function getRoomLists(accountId) {
+  const context = getRoomPickerContext(accountId);
+  const result = await context.exchangeClient.getRoomLists(context.account);
+  return result.items;
+}
+
+async function getRoomAvailability(request) {
+  const context = getRoomPickerContext(request.accountId);
+  const result = await context.calendarSync.getRoomAvailability(
+    context.account,
+    request.roomList,
+    new Date(request.dayStart),
+    new Date(request.dayEnd),
+    { start: new Date(request.start), end: new Date(request.end) }
+  );
+  return result.rooms;
+}
+
+async function bookRoom(request) {
+  const context = getRoomPickerContext(request.accountId);
+  const result = await context.calendarSync.bookRoom(context.account, {
+    subject: request.subject,
+    start: request.start,
+    end: request.end,
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    room: request.room,
+    attendees: request.attendees || []
+  });
+  // Il nuovo evento arriva nel calendario Thunderbird con la prossima sincronizzazione
+  syncManager.syncAccount(context.account.id, true).catch((err) => log("Error syncing after room booking:", err));
+  return { success: true, itemId: result.itemId };
+}
+
+/**
+ * Invio dalla finestra di composizione: per gli account Syncbird il messaggio
+ * viene inviato tramite EWS (CreateItem con MimeContent) invece che via SMTP.
+ */
+browser.compose.onBeforeSend.addListener((tab, details) => {
+  return composeSend.handleBeforeSend(tab, details);
+});
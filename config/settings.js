@@ -1,12 +1,13 @@
 /**
  * Syncbird Configuration Manager
- * Handles secure storage and retrieval of API credentials and settings
+ * Handles storage and retrieval of accounts and settings
+ * Account passwords live in Thunderbird's login manager (experiments/credentials), never in extension storage
  */
 
 class SettingsManager {
   constructor() {
     this.storageKey = 'syncbird_settings';
-    this.encryptionKey = null; // Would be generated securely in production
+    this.accountsKey = 'syncbird_accounts';
   }
 
   /**
@@ -49,6 +50,10 @@ class SettingsManager {
       },
       sync: {
         interval: 300000, // 5 minutes
+        pollInterval: 60000, // Pull subscription GetEvents interval
+        enableStreaming: true, // Streaming notifications, with pull polling as fallback
+        meetingInvitations: 'SendToAllAndSaveCopy', // Invitations for meetings organized in Thunderbird (or SendOnlyToAll, SendToNone)
+        meetingUpdates: 'SendToChangedAndSaveCopy', // Updates and attendee changes (or SendOnlyToChanged, SendToAllAndSaveCopy, ...)
         enableEmail: true,
         enableContacts: true,
         enableCalendar: true,
@@ -111,6 +116,116 @@ class SettingsManager {
     return settings.oauth;
   }
 
+  /**
+   * Get configured Exchange accounts, with their passwords from the login manager
+   * Passwords stored by earlier versions are moved to the login manager on the way
+   */
+  async getAccounts() {
+    try {
+      const accounts = await this.getStoredAccounts();
+      let migrated = false;
+
+      for (const account of accounts) {
+        const login = this.getLoginKey(account);
+        if (!login) continue;
+
+        if (account.password) {
+          await browser.syncbirdCredentials.setPassword(login.origin, login.username, account.password);
+          migrated = true;
+        } else {
+          account.password = await browser.syncbirdCredentials.getPassword(login.origin, login.username);
+        }
+      }
+
+      if (migrated) {
+        await this.storeAccounts(accounts);
+      }
+      return accounts;
+    } catch (error) {
+      console.error('Failed to get accounts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Accounts as kept in extension storage (without passwords)
+   */
+  async getStoredAccounts() {
+    const result = await browser.storage.local.get(this.accountsKey);
+    return result[this.accountsKey] || [];
+  }
+
+  /**
+   * Write accounts to extension storage, leaving their passwords out
+   */
+  async storeAccounts(accounts) {
+    await browser.storage.local.set({
+      [this.accountsKey]: accounts.map(({ password, ...account }) => account)
+    });
+  }
+
+  /**
+   * Login manager origin and username an account's password is saved under (null without a server)
+   */
+  getLoginKey(account) {
+    const ewsUrl = account.serverSettings && account.serverSettings.ewsUrl;
+    if (!ewsUrl) return null;
+
+    return {
+      origin: new URL(ewsUrl).origin,
+      username: account.username || account.email
+    };
+  }
+
+  /**
+   * Add or replace a configured Exchange account
+   */
+  async saveAccount(account) {
+    try {
+      const accounts = await this.getStoredAccounts();
+      const index = accounts.findIndex(existing => existing.id === account.id);
+
+      const login = this.getLoginKey(account);
+      if (account.password && login) {
+        await browser.syncbirdCredentials.setPassword(login.origin, login.username, account.password);
+      }
+
+      if (index === -1) {
+        accounts.push(account);
+      } else {
+        accounts[index] = account;
+      }
+
+      await this.storeAccounts(accounts);
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to save account:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove a configured Exchange account and its saved password
+   */
+  async removeAccount(accountId) {
+    try {
+      const accounts = await this.getStoredAccounts();
+      const account = accounts.find(candidate => candidate.id === accountId);
+      const login = account ? this.getLoginKey(account) : null;
+
+      if (login && !accounts.some(other => other.id !== accountId &&
+          JSON.stringify(this.getLoginKey(other)) === JSON.stringify(login))) {
+        await browser.syncbirdCredentials.removePassword(login.origin, login.username);
+      }
+
+      await this.storeAccounts(accounts.filter(candidate => candidate.id !== accountId));
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to remove account:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Clear all settings (for logout/reset)
    */
@@ -126,6 +241,7 @@ class SettingsManager {
 
   /**
    * Export settings for backup
+   * Accounts are not part of the export, so no credentials leave the profile
    */
   async exportSettings() {
     const settings = await this.getSettings();
@@ -1,5 +1,18 @@
 // content/add-account.js
 
+/**
+ * Ricava l’URL EWS dal campo "Webmail page / EWS endpoint":
+ * accetta un endpoint .asmx completo, un URL OWA o un semplice hostname.
+ */
+function buildEwsUrl(webmail) {
+  const value = webmail.replace(/\\/g, "");
+  if (/\.asmx$/i.test(value)) {
+    return value.includes("://") ? value : `https://${value}`;
+  }
+  const host = value.includes("://") ? new URL(value).host : value.split("/")[0];
+  return `https://${host}/EWS/Exchange.asmx`;
+}
+
 document.getElementById("createBtn").addEventListener("click", async () => {
   const statusEl = document.getElementById("status");
   statusEl.textContent = "";
@@ -19,7 +32,8 @@ document.getElementById("createBtn").addEventListener("click", async () => {
     return;
   }
 
-  // Costruzione dell’oggetto di configurazione per browser.accounts.create
+  // Costruzione dell’oggetto di configurazione per browser.accounts.create.
+  // Nessun server SMTP: l’invio passa da EWS (vedi services/compose-send.js).
   let newAccountConfig = {
     name: name,
     // L’indirizzo email è obbligatorio
@@ -42,16 +56,6 @@ document.getElementById("createBtn").addEventListener("click", async () => {
       port: 443,
       socketType: 3 // 3 = SSL/TLS, 2 = STARTTLS, 1 = None
     };
-    // Outgoing (SMTP) si può generare in automatico usando lo stesso host
-    newAccountConfig.outgoing = {
-      type: "smtp",
-      hostname: "smtp.office365.com",
-      username: username,
-      auth: "password",
-      password: password,
-      port: 587,
-      socketType: 2 // STARTTLS
-    };
   } else if (protocol === "OWA") {
     // Configurazione “Outlook Web Access” – in Thunderbird si traduce in protocollo “owaservice”
     newAccountConfig.incoming = {
@@ -63,15 +67,6 @@ document.getElementById("createBtn").addEventListener("click", async () => {
       port: 443,
       socketType: 3
     };
-    newAccountConfig.outgoing = {
-      type: "smtp",
-      hostname: "smtp.office365.com",
-      username: username,
-      auth: "password",
-      password: password,
-      port: 587,
-      socketType: 2
-    };
   } else if (protocol === "EAS") {
     // ActiveSync (sperimentale)
     newAccountConfig.incoming = {
@@ -83,20 +78,30 @@ document.getElementById("createBtn").addEventListener("click", async () => {
       port: 443,
       socketType: 3
     };
-    newAccountConfig.outgoing = {
-      type: "smtp",
-      hostname: "smtp.office365.com",
-      username: username,
-      auth: "password",
-      password: password,
-      port: 587,
-      socketType: 2
-    };
   }
 
   // Proviamo a creare l’account
   try {
-    await browser.accounts.create(newAccountConfig);
+    const createdAccount = await browser.accounts.create(newAccountConfig);
+
+    // Salviamo l’account per il sync manager del background script
+    const settingsManager = new SettingsManager();
+    const saveResult = await settingsManager.saveAccount({
+      id: crypto.randomUUID(),
+      thunderbirdAccountId: createdAccount ? createdAccount.id : null,
+      displayName: name,
+      email: email,
+      username: username,
+      password: password,
+      protocol: protocol,
+      serverSettings: {
+        ewsUrl: buildEwsUrl(webmail)
+      }
+    });
+    if (!saveResult.success) {
+      throw new Error(saveResult.error);
+    }
+
     statusEl.textContent = "Account created successfully!";
     statusEl.className = "success";
   } catch (err) {
@@ -0,0 +1,121 @@
+// content/meeting-response.js
+
+const statusEl = document.getElementById("status");
+const formEl = document.getElementById("responseForm");
+let displayedMessageId = null;
+
+function showStatus(text, className = "") {
+  statusEl.textContent = text;
+  statusEl.className = className;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "";
+}
+
+/**
+ * Mostra i dettagli della riunione e, se si tratta di un invito, il modulo di risposta.
+ */
+function showMeeting(meeting) {
+  document.getElementById("subject").textContent = meeting.subject || "Meeting";
+
+  const details = document.getElementById("details");
+  const lines = [
+    ["When", meeting.start ? `${formatDate(meeting.start)} – ${formatDate(meeting.end)}` : ""],
+    ["Where", meeting.location],
+    ["Organizer", meeting.organizer && (meeting.organizer.name || meeting.organizer.email)],
+    ["Your response", meeting.responseType]
+  ];
+  for (const [label, value] of lines) {
+    if (value) {
+      const p = document.createElement("p");
+      p.textContent = `${label}: ${value}`;
+      details.appendChild(p);
+    }
+  }
+
+  if (meeting.type === "MeetingCancellation") {
+    showStatus("This meeting has been cancelled by the organizer.");
+    return;
+  }
+  if (meeting.type !== "MeetingRequest") {
+    showStatus("This message is a meeting response, there is nothing to answer.");
+    return;
+  }
+  if (meeting.isOutOfDate) {
+    showStatus("This invitation has been replaced by a newer update.", "error");
+    return;
+  }
+
+  formEl.classList.remove("hidden");
+}
+
+/**
+ * Invia la risposta scelta al background script (vedi respondToMeetingMessage).
+ */
+async function respond(response) {
+  const proposedStart = document.getElementById("proposedStart").value;
+  const proposedEnd = document.getElementById("proposedEnd").value;
+
+  if (response !== "accept" && (proposedStart || proposedEnd)) {
+    if (!proposedStart || !proposedEnd || new Date(proposedEnd) <= new Date(proposedStart)) {
+      showStatus("Enter both a start and a later end to propose a new time.", "error");
+      return;
+    }
+  }
+
+  for (const button of formEl.querySelectorAll("button")) {
+    button.disabled = true;
+  }
+  showStatus("Sending response...");
+
+  try {
+    const useProposal = response !== "accept" && proposedStart;
+    await browser.runtime.sendMessage({
+      type: "respondToMeeting",
+      messageId: displayedMessageId,
+      response: response,
+      body: document.getElementById("body").value.trim() || null,
+      sendResponse: document.getElementById("sendResponse").checked,
+      proposedStart: useProposal ? new Date(proposedStart).toISOString() : null,
+      proposedEnd: useProposal ? new Date(proposedEnd).toISOString() : null
+    });
+    showStatus("Response sent.", "success");
+    setTimeout(() => window.close(), 1500);
+  } catch (err) {
+    console.error("Syncbird: failed to respond to meeting", err);
+    showStatus("Error: " + err.message, "error");
+    for (const button of formEl.querySelectorAll("button")) {
+      button.disabled = false;
+    }
+  }
+}
+
+for (const button of formEl.querySelectorAll("button")) {
+  button.addEventListener("click", () => respond(button.dataset.response));
+}
+
+(async () => {
+  try {
+    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    const message = tab && await browser.messageDisplay.getDisplayedMessage(tab.id);
+    if (!message) {
+      showStatus("No message displayed.");
+      return;
+    }
+
+    displayedMessageId = message.id;
+    showStatus("Loading...");
+    const meeting = await browser.runtime.sendMessage({ type: "getMeeting", messageId: message.id });
+    showStatus("");
+
+    if (!meeting) {
+      showStatus("This message is not a meeting invitation.");
+      return;
+    }
+    showMeeting(meeting);
+  } catch (err) {
+    console.error("Syncbird: failed to load meeting", err);
+    showStatus("Error: " + err.message, "error");
+  }
+})();
@@ -0,0 +1,192 @@
+// content/room-picker.js
+
+const statusEl = document.getElementById("status");
+const roomsEl = document.getElementById("rooms");
+const accountEl = document.getElementById("account");
+const roomListEl = document.getElementById("roomList");
+
+// Ore mostrate nella barra di disponibilità di ogni sala
+const TIMELINE_START_HOUR = 7;
+const TIMELINE_END_HOUR = 21;
+
+function showStatus(text, className = "") {
+  statusEl.textContent = text;
+  statusEl.className = className;
+}
+
+/**
+ * Data e ora locali scelte nel modulo.
+ */
+function getDateTime(time) {
+  const [year, month, day] = document.getElementById("date").value.split("-").map(Number);
+  const [hours, minutes] = time.split(":").map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
+}
+
+function getMeetingSlot() {
+  return {
+    start: getDateTime(document.getElementById("startTime").value),
+    end: getDateTime(document.getElementById("endTime").value)
+  };
+}
+
+/**
+ * Barra della giornata: occupato, provvisorio, fuori sede o sconosciuto; la riunione è evidenziata.
+ */
+function buildTimeline(intervals, slot) {
+  const timeline = document.createElement("div");
+  timeline.className = "timeline";
+
+  const dayStart = getDateTime(`${TIMELINE_START_HOUR}:00`).getTime();
+  const dayEnd = getDateTime(`${TIMELINE_END_HOUR}:00`).getTime();
+  const position = (element, start, end) => {
+    const from = Math.max(start, dayStart);
+    const to = Math.min(end, dayEnd);
+    element.style.left = `${((from - dayStart) / (dayEnd - dayStart)) * 100}%`;
+    element.style.width = `${((to - from) / (dayEnd - dayStart)) * 100}%`;
+    return to > from;
+  };
+
+  for (const interval of intervals) {
+    if (interval.status === "available" || interval.status === "working-elsewhere") {
+      continue;
+    }
+    const slotEl = document.createElement("div");
+    slotEl.className = `slot ${interval.status}`;
+    slotEl.title = `${interval.status}: ${new Date(interval.start).toLocaleTimeString()} – ${new Date(interval.end).toLocaleTimeString()}`;
+    if (position(slotEl, new Date(interval.start).getTime(), new Date(interval.end).getTime())) {
+      timeline.appendChild(slotEl);
+    }
+  }
+
+  const meetingEl = document.createElement("div");
+  meetingEl.className = "meeting";
+  if (position(meetingEl, slot.start.getTime(), slot.end.getTime())) {
+    timeline.appendChild(meetingEl);
+  }
+  return timeline;
+}
+
+function showRooms(rooms, slot) {
+  roomsEl.textContent = "";
+  if (rooms.length === 0) {
+    showStatus("This room list has no rooms.");
+    return;
+  }
+
+  for (const room of rooms) {
+    const row = document.createElement("div");
+    row.className = "room";
+
+    const name = document.createElement("span");
+    name.className = "name";
+    name.textContent = room.name || room.email;
+    name.title = room.email;
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = room.isFree ? "Book" : "Busy";
+    button.disabled = !room.isFree;
+    button.addEventListener("click", () => book(room, slot, button));
+
+    row.append(name, buildTimeline(room.intervals, slot), button);
+    roomsEl.appendChild(row);
+  }
+}
+
+/**
+ * Cerca le sale della lista scelta con la loro disponibilità per la giornata.
+ */
+async function findRooms() {
+  const slot = getMeetingSlot();
+  if (!roomListEl.value) {
+    showStatus("Choose a room list.", "error");
+    return;
+  }
+  if (isNaN(slot.start.getTime()) || slot.end <= slot.start) {
+    showStatus("Enter a date and an end later than the start.", "error");
+    return;
+  }
+
+  roomsEl.textContent = "";
+  showStatus("Loading rooms...");
+  try {
+    const rooms = await browser.runtime.sendMessage({
+      type: "getRoomAvailability",
+      accountId: accountEl.value,
+      roomList: roomListEl.value,
+      dayStart: getDateTime("00:00").toISOString(),
+      dayEnd: new Date(getDateTime("00:00").getTime() + 24 * 60 * 60 * 1000).toISOString(),
+      start: slot.start.toISOString(),
+      end: slot.end.toISOString()
+    });
+    showStatus("");
+    showRooms(rooms, slot);
+  } catch (err) {
+    console.error("Syncbird: failed to load rooms", err);
+    showStatus("Error: " + err.message, "error");
+  }
+}
+
+/**
+ * Prenota la sala: la riunione viene creata su Exchange con la sala come risorsa.
+ */
+async function book(room, slot, button) {
+  button.disabled = true;
+  showStatus(`Booking ${room.name || room.email}...`);
+  try {
+    await browser.runtime.sendMessage({
+      type: "bookRoom",
+      accountId: accountEl.value,
+      subject: document.getElementById("subject").value.trim() || room.name,
+      start: slot.start.toISOString(),
+      end: slot.end.toISOString(),
+      room: { name: room.name, email: room.email }
+    });
+    showStatus("Room booked. Its answer will appear on the event in your Exchange calendar.", "success");
+  } catch (err) {
+    console.error("Syncbird: failed to book room", err);
+    showStatus("Error: " + err.message, "error");
+    button.disabled = false;
+  }
+}
+
+async function loadRoomLists() {
+  roomListEl.textContent = "";
+  roomsEl.textContent = "";
+  showStatus("Loading room lists...");
+  try {
+    const roomLists = await browser.runtime.sendMessage({ type: "getRoomLists", accountId: accountEl.value });
+    for (const roomList of roomLists) {
+      roomListEl.appendChild(new Option(roomList.name || roomList.email, roomList.email));
+    }
+    showStatus(roomLists.length ? "" : "No room lists are published for this account.");
+  } catch (err) {
+    console.error("Syncbird: failed to load room lists", err);
+    showStatus("Error: " + err.message, "error");
+  }
+}
+
+document.getElementById("findRooms").addEventListener("click", findRooms);
+accountEl.addEventListener("change", loadRoomLists);
+
+(async () => {
+  const today = new Date();
+  const pad = (value) => String(value).padStart(2, "0");
+  document.getElementById("date").value = `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+
+  try {
+    const accounts = await browser.runtime.sendMessage({ type: "getRoomPickerAccounts" });
+    if (accounts.length === 0) {
+      showStatus("No Exchange account configured.");
+      return;
+    }
+    for (const account of accounts) {
+      accountEl.appendChild(new Option(account.name, account.id));
+    }
+    await loadRoomLists();
+  } catch (err) {
+    console.error("Syncbird: failed to load accounts", err);
+    showStatus("Error: " + err.message, "error");
+  }
+})();
@@ -0,0 +1,284 @@
+/**
+ * Syncbird Calendar experiment
+ * Parent-side implementation of browser.syncbirdCalendar: local Thunderbird calendars whose
+ * events CalendarSync reads and writes as iCalendar text, the events deleted in them by the user,
+ * and a free/busy provider answered by the background page
+ */
+
+/* global ExtensionAPI, ChromeUtils, Services, Cc, Ci */
+
+"use strict";
+
+// Thunderbird 128 ships ES modules, Thunderbird 115 the older JSMs
+function importModule(path) {
+  try {
+    return ChromeUtils.importESModule(`${path}.sys.mjs`);
+  } catch (error) {
+    return ChromeUtils.import(`${path}.jsm`);
+  }
+}
+
+var { cal } = importModule("resource:///modules/calendar/calUtils");
+var { ExtensionCommon } = importModule("resource://gre/modules/ExtensionCommon");
+var { ExtensionUtils } = importModule("resource://gre/modules/ExtensionUtils");
+var { ExtensionError } = ExtensionUtils;
+
+// Calendar property holding the key a calendar was created for
+const KEY_PROPERTY = "syncbird.key";
+// Calendar property holding the ids of events deleted outside this API (JSON array)
+const DELETED_PROPERTY = "syncbird.deleted";
+
+// "calendarId itemId" of deletions made through deleteItem: the sync already knows about them
+const apiDeletions = new Set();
+
+/**
+ * Registered calendar by id
+ */
+function getCalendar(calendarId) {
+  const calendar = cal.manager.getCalendarById(calendarId);
+  if (!calendar) {
+    throw new ExtensionError(`Calendar not found: ${calendarId}`);
+  }
+  return calendar;
+}
+
+/**
+ * ISO 8601 string to a UTC calIDateTime (null stays null)
+ */
+function toDateTime(value) {
+  return value ? cal.dtz.jsDateToDateTime(new Date(value), cal.dtz.UTC) : null;
+}
+
+/**
+ * Serialize an item and its overridden occurrences to a VCALENDAR
+ */
+function serializeItem(item) {
+  const serializer = Cc["@mozilla.org/calendar/ics-serializer;1"].createInstance(Ci.calIIcsSerializer);
+  serializer.addItems([item]);
+  return serializer.serializeToString();
+}
+
+/**
+ * Parse a VCALENDAR to its first event, with overridden occurrences attached to the series
+ */
+function parseItem(ics) {
+  const parser = Cc["@mozilla.org/calendar/ics-parser;1"].createInstance(Ci.calIIcsParser);
+  parser.parseString(addTimezones(ics));
+  const item = parser.getItems().find(parsed => parsed.isEvent());
+  if (!item) {
+    throw new ExtensionError("No VEVENT in iCalendar data");
+  }
+  return item;
+}
+
+/**
+ * Add the VTIMEZONE definitions Thunderbird knows for every TZID the data references
+ * but does not define, so zoned times are not read as floating
+ */
+function addTimezones(ics) {
+  const defined = new Set([...ics.matchAll(/^TZID:(.+)$/gm)].map(match => match[1].trim()));
+  const referenced = new Set([...ics.matchAll(/;TZID="?([^":;]+)"?[:;]/g)].map(match => match[1]));
+
+  const definitions = [];
+  for (const tzid of referenced) {
+    if (defined.has(tzid)) {
+      continue;
+    }
+    const timezone = cal.timezoneService.getTimezone(tzid);
+    if (timezone && timezone.icalComponent) {
+      definitions.push(timezone.icalComponent.serializeToICS().trim());
+    }
+  }
+
+  return definitions.length
+    ? ics.replace(/^BEGIN:VEVENT/m, `${definitions.join("\r\n")}\r\nBEGIN:VEVENT`)
+    : ics;
+}
+
+/**
+ * Ids of the events deleted in a calendar since the sync last forgot them
+ */
+function getDeletedItems(calendar) {
+  const deleted = calendar.getProperty(DELETED_PROPERTY);
+  return deleted ? JSON.parse(deleted) : [];
+}
+
+/**
+ * Observer recording deletions in Syncbird calendars, so the sync never has to infer them from absence
+ */
+const deletionObserver = {
+  QueryInterface: ChromeUtils.generateQI(["calIObserver"]),
+
+  onDeleteItem(item) {
+    const calendar = item.calendar;
+    if (!calendar || !calendar.getProperty(KEY_PROPERTY)) {
+      return;
+    }
+    if (apiDeletions.delete(`${calendar.id} ${item.id}`)) {
+      return;
+    }
+
+    const deleted = getDeletedItems(calendar);
+    if (!deleted.includes(item.id)) {
+      deleted.push(item.id);
+      calendar.setProperty(DELETED_PROPERTY, JSON.stringify(deleted));
+    }
+  },
+
+  onStartBatch() {},
+  onEndBatch() {},
+  onLoad() {},
+  onAddItem() {},
+  onModifyItem() {},
+  onError() {},
+  onPropertyChanged() {},
+  onPropertyDeleting() {}
+};
+
+/**
+ * calIFreeBusyInterval type for a FreeBusyInterval status
+ */
+function toFreeBusyType(status) {
+  const types = {
+    "available": Ci.calIFreeBusyInterval.FREE,
+    "working-elsewhere": Ci.calIFreeBusyInterval.FREE,
+    "tentative": Ci.calIFreeBusyInterval.BUSY_TENTATIVE,
+    "busy": Ci.calIFreeBusyInterval.BUSY,
+    "out-of-office": Ci.calIFreeBusyInterval.BUSY_UNAVAILABLE
+  };
+  return status in types ? types[status] : Ci.calIFreeBusyInterval.UNKNOWN;
+}
+
+/**
+ * Free/busy provider forwarding requests to the onFreeBusyRequest listener
+ */
+function createFreeBusyProvider(fire) {
+  return {
+    QueryInterface: ChromeUtils.generateQI(["calIFreeBusyProvider"]),
+
+    getFreeBusyIntervals(calId, rangeStart, rangeEnd, busyTypes, listener) {
+      const attendee = calId.replace(/^mailto:/i, "");
+      fire.async(
+        attendee,
+        cal.dtz.dateTimeToJsDate(rangeStart).toISOString(),
+        cal.dtz.dateTimeToJsDate(rangeEnd).toISOString()
+      ).then(intervals => {
+        const result = (intervals || [])
+          .map(interval => new cal.provider.FreeBusyInterval(
+            calId, toFreeBusyType(interval.status), toDateTime(interval.start), toDateTime(interval.end)
+          ))
+          .filter(interval => interval.freeBusyType === Ci.calIFreeBusyInterval.UNKNOWN ||
+            (interval.freeBusyType & busyTypes));
+        listener.onResult(null, result);
+      }).catch(error => {
+        console.error("Syncbird free/busy request failed:", error);
+        listener.onResult(null, []);
+      });
+      return null;
+    }
+  };
+}
+
+this.syncbirdCalendar = class extends ExtensionAPI {
+  onShutdown() {
+    if (this.observing) {
+      cal.manager.removeCalendarObserver(deletionObserver);
+      this.observing = false;
+    }
+  }
+
+  getAPI(context) {
+    if (!this.observing) {
+      cal.manager.addCalendarObserver(deletionObserver);
+      this.observing = true;
+    }
+
+    return {
+      syncbirdCalendar: {
+        async getOrCreateCalendar(name, key) {
+          let calendar = cal.manager.getCalendars().find(candidate => candidate.getProperty(KEY_PROPERTY) === key);
+          const created = !calendar;
+
+          if (!calendar) {
+            calendar = cal.manager.createCalendar("storage", Services.io.newURI("moz-storage-calendar://"));
+            calendar.name = name;
+            cal.manager.registerCalendar(calendar);
+            // Properties are stored under the id the calendar gets when registered
+            calendar.setProperty(KEY_PROPERTY, key);
+          } else if (calendar.name !== name) {
+            calendar.name = name;
+          }
+
+          return { id: calendar.id, name: calendar.name, created };
+        },
+
+        async getItems(calendarId, rangeStart, rangeEnd) {
+          const calendar = getCalendar(calendarId);
+          const items = await calendar.getItemsAsArray(
+            Ci.calICalendar.ITEM_FILTER_TYPE_EVENT, 0, toDateTime(rangeStart), toDateTime(rangeEnd)
+          );
+          return items.map(item => ({ id: item.id, ics: serializeItem(item) }));
+        },
+
+        async getItem(calendarId, itemId) {
+          const calendar = getCalendar(calendarId);
+          const item = await calendar.getItem(itemId);
+          return item ? { id: item.id, ics: serializeItem(item) } : null;
+        },
+
+        async createItem(calendarId, ics) {
+          const calendar = getCalendar(calendarId);
+          const added = await calendar.addItem(parseItem(ics));
+          return added.id;
+        },
+
+        async modifyItem(calendarId, itemId, ics) {
+          const calendar = getCalendar(calendarId);
+          const oldItem = await calendar.getItem(itemId);
+          if (!oldItem) {
+            throw new ExtensionError(`Calendar item not found: ${itemId}`);
+          }
+
+          const newItem = parseItem(ics);
+          newItem.id = itemId;
+          newItem.generation = oldItem.generation;
+          await calendar.modifyItem(newItem, oldItem);
+        },
+
+        async deleteItem(calendarId, itemId) {
+          const calendar = getCalendar(calendarId);
+          const item = await calendar.getItem(itemId);
+          if (item) {
+            const key = `${calendarId} ${itemId}`;
+            apiDeletions.add(key);
+            try {
+              await calendar.deleteItem(item);
+            } finally {
+              apiDeletions.delete(key);
+            }
+          }
+        },
+
+        async getDeletedItems(calendarId) {
+          return getDeletedItems(getCalendar(calendarId));
+        },
+
+        async forgetDeletedItems(calendarId, itemIds) {
+          const calendar = getCalendar(calendarId);
+          const remaining = getDeletedItems(calendar).filter(itemId => !itemIds.includes(itemId));
+          calendar.setProperty(DELETED_PROPERTY, JSON.stringify(remaining));
+        },
+
+        onFreeBusyRequest: new ExtensionCommon.EventManager({
+          context,
+          name: "syncbirdCalendar.onFreeBusyRequest",
+          register: fire => {
+            const provider = createFreeBusyProvider(fire);
+            cal.freeBusyService.addProvider(provider);
+            return () => cal.freeBusyService.removeProvider(provider);
+          }
+        }).api()
+      }
+    };
+  }
+};
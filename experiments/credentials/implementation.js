@@ -0,0 +1,54 @@
+/**
+ * Syncbird Credentials experiment
+ * Parent-side implementation of browser.syncbirdCredentials: account passwords kept in
+ * Thunderbird's login manager (encrypted with the primary password when one is set)
+ * instead of extension storage
+ */
+
+/* global ExtensionAPI, Services, Cc, Ci */
+
+"use strict";
+
+// HTTP realm the logins are saved under, shown in Thunderbird's saved passwords
+const REALM = "Syncbird";
+
+/**
+ * Saved Syncbird login for an origin and username, if any
+ */
+function findLogin(origin, username) {
+  return Services.logins.findLogins(origin, null, REALM).find(login => login.username === username) || null;
+}
+
+this.syncbirdCredentials = class extends ExtensionAPI {
+  getAPI(context) {
+    return {
+      syncbirdCredentials: {
+        async getPassword(origin, username) {
+          const login = findLogin(origin, username);
+          return login ? login.password : null;
+        },
+
+        async setPassword(origin, username, password) {
+          const login = Cc["@mozilla.org/login-manager/loginInfo;1"].createInstance(Ci.nsILoginInfo);
+          login.init(origin, null, REALM, username, password, "", "");
+
+          const existing = findLogin(origin, username);
+          if (existing) {
+            Services.logins.modifyLogin(existing, login);
+          } else if (Services.logins.addLoginAsync) {
+            await Services.logins.addLoginAsync(login);
+          } else {
+            Services.logins.addLogin(login);
+          }
+        },
+
+        async removePassword(origin, username) {
+          const login = findLogin(origin, username);
+          if (login) {
+            Services.logins.removeLogin(login);
+          }
+        }
+      }
+    };
+  }
+};
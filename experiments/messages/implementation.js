@@ -0,0 +1,85 @@
+/**
+ * Syncbird Messages experiment
+ * Parent-side implementation of browser.syncbirdMessages: message priority and the Exchange
+ * follow-up flag dates, neither of which the messages API exposes
+ */
+
+/* global ExtensionAPI, ChromeUtils, Ci */
+
+"use strict";
+
+// Thunderbird 128 ships ES modules, Thunderbird 115 the older JSMs
+function importModule(path) {
+  try {
+    return ChromeUtils.importESModule(`${path}.sys.mjs`);
+  } catch (error) {
+    return ChromeUtils.import(`${path}.jsm`);
+  }
+}
+
+var { ExtensionUtils } = importModule("resource://gre/modules/ExtensionUtils");
+var { ExtensionError } = ExtensionUtils;
+
+// Header properties kept in the folder database
+const FLAG_PROPERTY = "syncbird-flag";
+const SYNCED_IMPORTANCE_PROPERTY = "syncbird-importance";
+
+const PRIORITIES = {
+  "Low": Ci.nsMsgPriority.low,
+  "Normal": Ci.nsMsgPriority.normal,
+  "High": Ci.nsMsgPriority.high
+};
+
+/**
+ * Exchange importance for a message priority (lowest/highest fold into Low/High)
+ */
+function toImportance(priority) {
+  if (priority >= Ci.nsMsgPriority.high) {
+    return "High";
+  }
+  if (priority >= Ci.nsMsgPriority.lowest && priority <= Ci.nsMsgPriority.low) {
+    return "Low";
+  }
+  return "Normal";
+}
+
+this.syncbirdMessages = class extends ExtensionAPI {
+  getAPI(context) {
+    function getHeader(messageId) {
+      const msgHdr = context.extension.messageManager.get(messageId);
+      if (!msgHdr) {
+        throw new ExtensionError(`Message not found: ${messageId}`);
+      }
+      return msgHdr;
+    }
+
+    return {
+      syncbirdMessages: {
+        async getMessageProperties(messageId) {
+          const msgHdr = getHeader(messageId);
+          const flag = msgHdr.getStringProperty(FLAG_PROPERTY);
+
+          return {
+            importance: toImportance(msgHdr.priority),
+            syncedImportance: msgHdr.getStringProperty(SYNCED_IMPORTANCE_PROPERTY) || null,
+            flag: flag ? JSON.parse(flag) : null
+          };
+        },
+
+        async setMessageProperties(messageId, properties) {
+          const msgHdr = getHeader(messageId);
+
+          if (properties.importance) {
+            msgHdr.priority = PRIORITIES[properties.importance];
+            msgHdr.setStringProperty(SYNCED_IMPORTANCE_PROPERTY, properties.importance);
+          }
+          if (properties.flag !== undefined) {
+            msgHdr.setStringProperty(FLAG_PROPERTY, properties.flag ? JSON.stringify(properties.flag) : "");
+          }
+
+          msgHdr.folder.msgDatabase.commit(Ci.nsMsgDBCommitType.kLargeCommit);
+        }
+      }
+    };
+  }
+};
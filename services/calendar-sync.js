@@ -4,12 +4,30 @@
  */
 
 class CalendarSync {
-  constructor() {
+  constructor(idMapStore) {
     this.exchangeClient = null; // Will be injected
+    this.idMapStore = idMapStore; // Exchange <-> Thunderbird calendar item IDs (shared store)
+    this.recurrenceConverter = new RecurrenceConverter(); // EWS recurrence <-> RRULE
+    this.timeZoneConverter = new TimeZoneConverter(); // IANA <-> Windows time zone ids
+    this.iCalConverter = new ICalConverter(); // Thunderbird items <-> VCALENDAR text
     this.syncState = new Map(); // Track sync state per account
     this.lastSyncTimestamp = new Map();
     this.batchSize = 50; // Number of calendar items to sync in one batch
     this.syncWindowDays = 90; // Sync events within 90 days window (past 30 + future 60)
+    this.invitationPolicy = {
+      sendInvitations: 'SendToAllAndSaveCopy',
+      sendUpdates: 'SendToChangedAndSaveCopy'
+    };
+  }
+
+  /**
+   * Set how invitations and updates are sent for meetings organized in Thunderbird
+   */
+  setInvitationPolicy(sendInvitations, sendUpdates) {
+    this.invitationPolicy = {
+      sendInvitations: sendInvitations || this.invitationPolicy.sendInvitations,
+      sendUpdates: sendUpdates || this.invitationPolicy.sendUpdates
+    };
   }
 
   /**
@@ -108,23 +126,22 @@ class CalendarSync {
 
   /**
    * Get or create calendar for Exchange events
+   * The calendar is a local Thunderbird calendar (experiments/calendar) found again by account id
+   * A new calendar holds none of the mapped items, so the mappings start over with it
    */
   async getOrCreateCalendar(account) {
     try {
       const calendarName = `Exchange - ${account.displayName}`;
-      
-      // Note: Thunderbird calendar APIs might be limited in WebExtensions
-      // This is a simplified approach - real implementation would depend on
-      // available calendar APIs or Lightning extension integration
-      
-      console.log('Getting or creating calendar:', calendarName);
-      
-      // For now, we'll create a virtual calendar object
-      // In a real implementation, this would interact with Thunderbird's calendar system
+      const calendar = await browser.syncbirdCalendar.getOrCreateCalendar(calendarName, account.id);
+
+      if (calendar.created) {
+        console.log('Calendar created, resetting calendar item mappings for account:', account.email);
+        await this.idMapStore.clear(account.id, IdMappingStore.ITEM_TYPES.CALENDAR);
+      }
+
       return {
-        id: `exchange-calendar-${account.id}`,
-        name: calendarName,
-        type: 'exchange',
+        id: calendar.id,
+        name: calendar.name,
         accountId: account.id
       };
 
@@ -161,6 +178,12 @@ class CalendarSync {
     };
 
     try {
+      // Step 0: Deletions the user made in Thunderbird, before anything could recreate them
+      const deletionResults = await this.syncThunderbirdDeletions(account, calendar);
+      results.totalSynced += deletionResults.deleted;
+      results.deleted += deletionResults.deleted;
+      results.errors += deletionResults.errors;
+
       // Step 1: Sync from Exchange to Thunderbird
       const exchangeToThunderbirdResults = await this.syncExchangeToThunderbird(
         account, 
@@ -195,6 +218,44 @@ class CalendarSync {
     }
   }
 
+  /**
+   * Delete on Exchange the mapped items the user deleted in Thunderbird
+   * Only deletions recorded by the calendar count: an item missing from Thunderbird is no proof
+   */
+  async syncThunderbirdDeletions(account, calendar) {
+    const results = { deleted: 0, errors: 0 };
+    const deletedIds = await browser.syncbirdCalendar.getDeletedItems(calendar.id);
+    const synced = [];
+
+    for (const thunderbirdId of deletedIds) {
+      try {
+        const mapping = await this.idMapStore.getByThunderbirdId(
+          account.id, IdMappingStore.ITEM_TYPES.CALENDAR, thunderbirdId
+        );
+
+        if (mapping) {
+          const result = await this.deleteExchangeCalendarItem(account, mapping.exchangeId);
+          // Already gone on Exchange is as good as deleted
+          if (!result.success && result.responseCode !== 'ErrorItemNotFound') {
+            throw new Error(`DeleteItem failed: ${result.responseCode}`);
+          }
+          await this.idMapStore.removeByThunderbirdId(account.id, IdMappingStore.ITEM_TYPES.CALENDAR, thunderbirdId);
+          results.deleted++;
+        }
+        synced.push(thunderbirdId);
+      } catch (error) {
+        // Kept for the next sync
+        console.error('Failed to delete calendar item removed in Thunderbird:', error);
+        results.errors++;
+      }
+    }
+
+    if (synced.length > 0) {
+      await browser.syncbirdCalendar.forgetDeletedItems(calendar.id, synced);
+    }
+    return results;
+  }
+
   /**
    * Sync calendar items from Exchange to Thunderbird
    */
@@ -215,39 +276,64 @@ class CalendarSync {
       const thunderbirdItemMap = new Map();
       
       thunderbirdItems.forEach(item => {
-        const key = this.generateCalendarItemKey(item);
-        thunderbirdItemMap.set(key, item);
+        thunderbirdItemMap.set(item.id, item);
       });
 
       // Get calendar items from Exchange
-      const exchangeItems = await this.exchangeClient.getCalendarItems(
-        account, 
-        syncWindow.startDate, 
-        syncWindow.endDate
-      );
+      const exchangeItems = await this.getExchangeCalendarItems(account, syncWindow);
 
-      if (!exchangeItems.success || !exchangeItems.items) {
-        throw new Error('Failed to get Exchange calendar items');
-      }
+      const seenExchangeIds = new Set();
 
       // Process each Exchange calendar item
-      for (const exchangeItem of exchangeItems.items) {
+      for (const exchangeItem of exchangeItems) {
         try {
-          const itemKey = this.generateCalendarItemKeyFromExchange(exchangeItem);
-          const thunderbirdItem = thunderbirdItemMap.get(itemKey);
-
-          if (thunderbirdItem) {
-            // Update existing item if needed
-            if (this.needsUpdate(thunderbirdItem, exchangeItem)) {
-              const updatedItem = this.convertExchangeCalendarItem(exchangeItem);
-              await this.updateThunderbirdCalendarItem(calendar, thunderbirdItem.id, updatedItem);
-              results.updated++;
+          seenExchangeIds.add(exchangeItem.id);
+
+          const mapping = await this.idMapStore.getByExchangeId(
+            account.id, IdMappingStore.ITEM_TYPES.CALENDAR, exchangeItem.id
+          );
+          const thunderbirdItem = mapping ? thunderbirdItemMap.get(mapping.thunderbirdId) : null;
+
+          if (mapping && !thunderbirdItem) {
+            // Not in the window listing and not deleted by the user (see syncThunderbirdDeletions):
+            // either it moved out of the window in Thunderbird or it is gone without a trace, and then
+            // Exchange still has it
+            if (!await this.thunderbirdCalendarItemExists(calendar, mapping.thunderbirdId)) {
+              const created = await this.createThunderbirdCalendarItem(calendar, this.convertExchangeCalendarItem(exchangeItem));
+              await this.idMapStore.set(account.id, IdMappingStore.ITEM_TYPES.CALENDAR, {
+                exchangeId: exchangeItem.id,
+                changeKey: exchangeItem.changeKey,
+                thunderbirdId: created.id
+              });
+              results.created++;
               results.totalSynced++;
             }
+          } else if (thunderbirdItem) {
+            // Only changed on Exchange if the ChangeKey moved on
+            if (mapping.changeKey !== exchangeItem.changeKey) {
+              if (this.needsUpdate(thunderbirdItem, exchangeItem) ||
+                  this.occurrencesNeedUpdate(thunderbirdItem, exchangeItem) ||
+                  this.attendeeResponsesChanged(thunderbirdItem, exchangeItem)) {
+                const updatedItem = this.convertExchangeCalendarItem(exchangeItem);
+                await this.updateThunderbirdCalendarItem(calendar, thunderbirdItem.id, updatedItem);
+                // Taken again from the item as Thunderbird stored it, on the way back
+                await this.idMapStore.updateHash(account.id, IdMappingStore.ITEM_TYPES.CALENDAR, exchangeItem.id, null);
+                results.updated++;
+                results.totalSynced++;
+              }
+              await this.idMapStore.updateChangeKey(
+                account.id, IdMappingStore.ITEM_TYPES.CALENDAR, exchangeItem.id, exchangeItem.changeKey
+              );
+            }
           } else {
             // Create new item
             const newItem = this.convertExchangeCalendarItem(exchangeItem);
-            await this.createThunderbirdCalendarItem(calendar, newItem);
+            const created = await this.createThunderbirdCalendarItem(calendar, newItem);
+            await this.idMapStore.set(account.id, IdMappingStore.ITEM_TYPES.CALENDAR, {
+              exchangeId: exchangeItem.id,
+              changeKey: exchangeItem.changeKey,
+              thunderbirdId: created.id
+            });
             results.created++;
             results.totalSynced++;
           }
@@ -258,7 +344,26 @@ class CalendarSync {
         }
       }
 
-      console.log(`Exchange to Thunderbird calendar sync completed. Created: ${results.created}, Updated: ${results.updated}, Errors: ${results.errors}`);
+      // Mapped Thunderbird items no longer returned by Exchange were deleted there
+      for (const thunderbirdItem of thunderbirdItems) {
+        try {
+          const mapping = await this.idMapStore.getByThunderbirdId(
+            account.id, IdMappingStore.ITEM_TYPES.CALENDAR, thunderbirdItem.id
+          );
+
+          if (mapping && !seenExchangeIds.has(mapping.exchangeId)) {
+            await this.deleteThunderbirdCalendarItem(calendar, thunderbirdItem.id);
+            await this.idMapStore.removeByThunderbirdId(account.id, IdMappingStore.ITEM_TYPES.CALENDAR, thunderbirdItem.id);
+            results.deleted++;
+            results.totalSynced++;
+          }
+        } catch (error) {
+          console.error('Failed to delete calendar item removed from Exchange:', error);
+          results.errors++;
+        }
+      }
+
+      console.log(`Exchange to Thunderbird calendar sync completed. Created: ${results.created}, Updated: ${results.updated}, Deleted: ${results.deleted}, Errors: ${results.errors}`);
       return results;
 
     } catch (error) {
@@ -286,38 +391,87 @@ class CalendarSync {
       const thunderbirdItems = await this.getThunderbirdCalendarItems(calendar, syncWindow);
 
       // Get existing items from Exchange for comparison
-      const exchangeItems = await this.exchangeClient.getCalendarItems(
-        account, 
-        syncWindow.startDate, 
-        syncWindow.endDate
-      );
+      const exchangeItems = await this.getExchangeCalendarItems(account, syncWindow);
 
       const exchangeItemMap = new Map();
-      if (exchangeItems.success && exchangeItems.items) {
-        exchangeItems.items.forEach(item => {
-          const key = this.generateCalendarItemKeyFromExchange(item);
-          exchangeItemMap.set(key, item);
-        });
-      }
+      exchangeItems.forEach(item => {
+        exchangeItemMap.set(item.id, item);
+      });
 
       // Process each Thunderbird calendar item
       for (const thunderbirdItem of thunderbirdItems) {
         try {
-          const itemKey = this.generateCalendarItemKey(thunderbirdItem);
-          const exchangeItem = exchangeItemMap.get(itemKey);
+          const mapping = await this.idMapStore.getByThunderbirdId(
+            account.id, IdMappingStore.ITEM_TYPES.CALENDAR, thunderbirdItem.id
+          );
+          const exchangeItem = mapping ? exchangeItemMap.get(mapping.exchangeId) : null;
 
           if (exchangeItem) {
+            // Only changed in Thunderbird if it no longer matches the item as last synced
+            const hash = this.getThunderbirdItemHash(thunderbirdItem);
+            if (hash === mapping.hash) {
+              continue;
+            }
+            if (!mapping.hash) {
+              // Just written from Exchange (or mapped before hashes were kept): this is the synced state
+              await this.idMapStore.updateHash(account.id, IdMappingStore.ITEM_TYPES.CALENDAR, exchangeItem.id, hash);
+              continue;
+            }
+
+            const options = this.isOrganizer(exchangeItem) ? { sendUpdates: this.invitationPolicy.sendUpdates } : {};
+            let updated = false;
+
             // Update existing item in Exchange if needed
             if (this.thunderbirdItemNeedsUpdate(thunderbirdItem, exchangeItem)) {
               const updates = this.convertThunderbirdCalendarItem(thunderbirdItem);
-              await this.exchangeClient.updateCalendarItem(account, exchangeItem.id, updates);
+              if (!this.isOrganizer(exchangeItem)) {
+                // Attendees cannot change the guest list of someone else's meeting
+                delete updates.requiredAttendees;
+                delete updates.optionalAttendees;
+                delete updates.resources;
+              }
+              if (this.normalizeRecurrenceRule(thunderbirdItem) ===
+                  this.getRecurrenceRule(exchangeItem)) {
+                // Setting the recurrence again would drop every exception of the series
+                delete updates.recurrence;
+              }
+              const result = await this.exchangeClient.updateCalendarItem(account, exchangeItem.id, updates, options);
+              await this.idMapStore.updateChangeKey(
+                account.id, IdMappingStore.ITEM_TYPES.CALENDAR, exchangeItem.id, result.changeKey
+              );
+              updated = true;
+            }
+
+            if (await this.syncThunderbirdOccurrences(account, thunderbirdItem, exchangeItem) > 0) {
+              updated = true;
+            }
+
+            await this.idMapStore.updateHash(account.id, IdMappingStore.ITEM_TYPES.CALENDAR, exchangeItem.id, hash);
+
+            if (updated) {
               results.updated++;
               results.totalSynced++;
             }
-          } else {
+          } else if (!mapping) {
             // Create new item in Exchange
             const newItem = this.convertThunderbirdCalendarItem(thunderbirdItem);
-            await this.exchangeClient.createCalendarItem(account, newItem);
+            const result = await this.exchangeClient.createCalendarItem(account, newItem, {
+              sendInvitations: this.invitationPolicy.sendInvitations
+            });
+            await this.idMapStore.set(account.id, IdMappingStore.ITEM_TYPES.CALENDAR, {
+              exchangeId: result.itemId,
+              changeKey: result.changeKey,
+              thunderbirdId: thunderbirdItem.id,
+              hash: this.getThunderbirdItemHash(thunderbirdItem)
+            });
+
+            if (newItem.recurrence) {
+              // A new series only gets its exceptions once it exists
+              await this.syncThunderbirdOccurrences(account, thunderbirdItem, {
+                id: result.itemId,
+                recurrence: newItem.recurrence
+              });
+            }
             results.created++;
             results.totalSynced++;
           }
@@ -337,22 +491,167 @@ class CalendarSync {
     }
   }
 
+  /**
+   * Get Exchange calendar items in a sync window, with recurring series collapsed to their master
+   * CalendarView expands series into occurrences; only the master carries the recurrence pattern
+   */
+  async getExchangeCalendarItems(account, syncWindow) {
+    const result = await this.exchangeClient.getCalendarItems(
+      account,
+      syncWindow.startDate,
+      syncWindow.endDate
+    );
+
+    if (!result.success || !result.items) {
+      throw new Error('Failed to get Exchange calendar items');
+    }
+
+    const isOccurrence = item => ['Occurrence', 'Exception'].includes(item.calendarItemType);
+    const items = result.items.filter(item => !isOccurrence(item));
+    const occurrenceIds = result.items.filter(isOccurrence).map(item => item.id);
+    const seenIds = new Set(items.map(item => item.id));
+
+    for (let i = 0; i < occurrenceIds.length; i += this.batchSize) {
+      const masters = await this.exchangeClient.getRecurringMasters(account, occurrenceIds.slice(i, i + this.batchSize));
+      for (const master of masters.items) {
+        if (!seenIds.has(master.id)) {
+          seenIds.add(master.id);
+          items.push(master);
+        }
+      }
+    }
+
+    await this.attachExceptions(account, items);
+    return items;
+  }
+
+  /**
+   * Fetch the modified occurrences of each recurring master into master.exceptions
+   * The master only lists their ids and times; subject, location and body live on the exception itself
+   */
+  async attachExceptions(account, items) {
+    const exceptionIds = items.flatMap(item => (item.modifiedOccurrences || []).map(occurrence => occurrence.id));
+    const exceptions = new Map();
+
+    for (let i = 0; i < exceptionIds.length; i += this.batchSize) {
+      const result = await this.exchangeClient.getCalendarItemsById(account, exceptionIds.slice(i, i + this.batchSize));
+      result.items.forEach(exception => exceptions.set(exception.id, exception));
+    }
+
+    for (const item of items) {
+      item.exceptions = (item.modifiedOccurrences || [])
+        .filter(occurrence => exceptions.has(occurrence.id))
+        .map(occurrence => ({
+          ...exceptions.get(occurrence.id),
+          originalStart: exceptions.get(occurrence.id).originalStart || occurrence.originalStart
+        }));
+    }
+  }
+
+  /**
+   * Push occurrence changes of a Thunderbird series to Exchange:
+   * EXDATEs delete the occurrence, RECURRENCE-ID overrides update it
+   * Occurrences without an exception yet are addressed with OccurrenceItemId
+   * Returns the number of occurrences changed
+   */
+  async syncThunderbirdOccurrences(account, thunderbirdItem, exchangeItem) {
+    if (!exchangeItem.recurrence) return 0;
+
+    const organizer = this.isOrganizer(exchangeItem);
+    const deleted = new Set((exchangeItem.deletedOccurrences || []).map(start => new Date(start).getTime()));
+    const exceptions = new Map((exchangeItem.exceptions || [])
+      .map(exception => [new Date(exception.originalStart).getTime(), exception]));
+    let changed = 0;
+
+    for (const exceptionDate of thunderbirdItem.exceptionDates || []) {
+      const time = new Date(exceptionDate).getTime();
+      if (deleted.has(time)) continue;
+
+      const exception = exceptions.get(time);
+      await this.exchangeClient.deleteCalendarItem(
+        account,
+        exception ? exception.id : this.getOccurrenceReference(exchangeItem, exceptionDate),
+        organizer ? { sendCancellations: this.invitationPolicy.sendInvitations } : {}
+      );
+      changed++;
+    }
+
+    for (const override of thunderbirdItem.exceptions || []) {
+      const exception = exceptions.get(new Date(override.recurrenceId).getTime());
+      if (exception && this.getExceptionKey(override) === this.getExceptionKey(this.convertException(exception))) {
+        continue;
+      }
+
+      const converted = this.convertThunderbirdCalendarItem(override);
+      const updates = {
+        subject: converted.subject,
+        body: converted.body,
+        bodyType: converted.bodyType,
+        start: converted.start,
+        end: converted.end,
+        location: converted.location
+      };
+      await this.exchangeClient.updateCalendarItem(
+        account,
+        exception ? exception.id : this.getOccurrenceReference(exchangeItem, override.recurrenceId),
+        updates,
+        organizer ? { sendUpdates: this.invitationPolicy.sendUpdates } : {}
+      );
+      changed++;
+    }
+
+    return changed;
+  }
+
+  /**
+   * OccurrenceItemId reference for the occurrence of a series originally starting at originalStart
+   */
+  getOccurrenceReference(exchangeItem, originalStart) {
+    const instanceIndex = this.recurrenceConverter.getInstanceIndex(
+      exchangeItem.recurrence, originalStart, this.timeZoneConverter.toIana(exchangeItem.startTimeZone)
+    );
+    if (!instanceIndex) {
+      throw new Error(`No occurrence of the series starts at ${new Date(originalStart).toISOString()}`);
+    }
+
+    return { recurringMasterId: exchangeItem.id, instanceIndex: instanceIndex };
+  }
+
   /**
    * Get calendar items from Thunderbird
    */
   async getThunderbirdCalendarItems(calendar, syncWindow) {
     try {
-      // Note: This is a simplified implementation
-      // Real implementation would depend on available Thunderbird calendar APIs
-      console.log('Getting Thunderbird calendar items for calendar:', calendar.name);
-      
-      // For now, return empty array as Thunderbird calendar APIs in WebExtensions are limited
-      // In a real implementation, this would query the Lightning calendar database
-      return [];
+      const entries = await browser.syncbirdCalendar.getItems(
+        calendar.id, syncWindow.startDate.toISOString(), syncWindow.endDate.toISOString()
+      );
+
+      const items = [];
+      for (const entry of entries) {
+        try {
+          items.push({ ...this.iCalConverter.fromICS(entry.ics), id: entry.id });
+        } catch (error) {
+          console.warn('Skipping unreadable Thunderbird calendar item:', entry.id, error.message);
+        }
+      }
+      return items;
 
     } catch (error) {
+      // An empty list would make every Exchange item look new and get created again
       console.error('Failed to get Thunderbird calendar items:', error);
-      return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a Thunderbird calendar still holds an item, wherever it lies in time
+   */
+  async thunderbirdCalendarItemExists(calendar, itemId) {
+    try {
+      return !!await browser.syncbirdCalendar.getItem(calendar.id, itemId);
+    } catch (error) {
+      console.error('Failed to get Thunderbird calendar item:', error);
+      throw error;
     }
   }
 
@@ -362,12 +661,9 @@ class CalendarSync {
   async createThunderbirdCalendarItem(calendar, item) {
     try {
       console.log('Creating Thunderbird calendar item:', item.subject);
-      
-      // Note: This is a simplified implementation
-      // Real implementation would use Thunderbird calendar APIs
-      // For now, we'll log the operation
-      
-      return { success: true, id: `tb-item-${Date.now()}` };
+
+      const id = await browser.syncbirdCalendar.createItem(calendar.id, this.iCalConverter.toICS(item, crypto.randomUUID()));
+      return { success: true, id: id };
 
     } catch (error) {
       console.error('Failed to create Thunderbird calendar item:', error);
@@ -381,10 +677,9 @@ class CalendarSync {
   async updateThunderbirdCalendarItem(calendar, itemId, updates) {
     try {
       console.log('Updating Thunderbird calendar item:', itemId);
-      
-      // Note: This is a simplified implementation
-      // Real implementation would use Thunderbird calendar APIs
-      
+
+      // updates is a complete converted item: the stored event is replaced with it
+      await browser.syncbirdCalendar.modifyItem(calendar.id, itemId, this.iCalConverter.toICS(updates, itemId));
       return { success: true };
 
     } catch (error) {
@@ -393,28 +688,6 @@ class CalendarSync {
     }
   }
 
-  /**
-   * Generate calendar item key for deduplication
-   */
-  generateCalendarItemKey(thunderbirdItem) {
-    // Use subject + start time as key
-    const subject = thunderbirdItem.subject || thunderbirdItem.title || 'no-subject';
-    const startTime = thunderbirdItem.startDate ? new Date(thunderbirdItem.startDate).getTime() : 0;
-    
-    return `${subject}-${startTime}`;
-  }
-
-  /**
-   * Generate calendar item key from Exchange item
-   */
-  generateCalendarItemKeyFromExchange(exchangeItem) {
-    // Use subject + start time as key
-    const subject = exchangeItem.subject || 'no-subject';
-    const startTime = exchangeItem.start ? new Date(exchangeItem.start).getTime() : 0;
-    
-    return `${subject}-${startTime}`;
-  }
-
   /**
    * Convert Exchange calendar item to Thunderbird format
    */
@@ -427,17 +700,36 @@ class CalendarSync {
       startDate: exchangeItem.start ? new Date(exchangeItem.start) : new Date(),
       endDate: exchangeItem.end ? new Date(exchangeItem.end) : new Date(),
       location: exchangeItem.location || '',
+
+      // All-day events span whole days (DTSTART/DTEND as DATE values, end exclusive)
+      isAllDay: !!exchangeItem.isAllDayEvent,
+
+      // IANA time zones the event is anchored in (null when Exchange does not report one)
+      timeZone: this.timeZoneConverter.toIana(exchangeItem.startTimeZone),
+      endTimeZone: this.timeZoneConverter.toIana(exchangeItem.endTimeZone),
       
       // Status and priority
       status: this.convertFreeBusyStatus(exchangeItem.freeBusyStatus),
       priority: 'normal', // Default priority
+      privacy: this.convertSensitivity(exchangeItem.sensitivity),
+
+      // Reminder as a VALARM relative to the start
+      alarms: exchangeItem.reminderIsSet ? [this.convertReminderToAlarm(exchangeItem.reminderMinutesBeforeStart)] : [],
       
       // Organizer and attendees
       organizer: this.convertEmailAddress(exchangeItem.organizer),
-      attendees: this.convertEmailAddresses(exchangeItem.attendees),
+      attendees: this.convertAttendees(exchangeItem),
+      isMeeting: !!exchangeItem.isMeeting,
+      isOrganizer: this.isOrganizer(exchangeItem),
+      isCancelled: !!exchangeItem.isCancelled,
       
-      // Recurrence (simplified)
-      isRecurring: false, // Would need more complex logic for recurrence
+      // Recurrence as an iCalendar RRULE value
+      isRecurring: !!exchangeItem.recurrence,
+      recurrenceRule: this.getRecurrenceRule(exchangeItem),
+
+      // Deleted occurrences (EXDATE) and modified occurrences (RECURRENCE-ID overrides)
+      exceptionDates: (exchangeItem.deletedOccurrences || []).map(start => new Date(start)),
+      exceptions: (exchangeItem.exceptions || []).map(exception => this.convertException(exception)),
       
       // Metadata
       exchangeId: exchangeItem.id,
@@ -448,19 +740,49 @@ class CalendarSync {
     return item;
   }
 
+  /**
+   * Convert a modified occurrence to a Thunderbird override identified by its RECURRENCE-ID
+   */
+  convertException(exception) {
+    return {
+      ...this.convertExchangeCalendarItem(exception),
+      recurrenceId: new Date(exception.originalStart)
+    };
+  }
+
   /**
    * Convert Thunderbird calendar item to Exchange format
    */
   convertThunderbirdCalendarItem(thunderbirdItem) {
+    const start = thunderbirdItem.startDate || new Date();
     const item = {
       subject: thunderbirdItem.subject || thunderbirdItem.title || '',
       body: thunderbirdItem.body || thunderbirdItem.description || '',
-      start: thunderbirdItem.startDate || new Date(),
+      start: start,
       end: thunderbirdItem.endDate || new Date(),
       location: thunderbirdItem.location || '',
+      isAllDayEvent: !!thunderbirdItem.isAllDay,
+
+      // Without a zone a recurring series is anchored in UTC and moves by an hour across DST
+      startTimeZone: this.timeZoneConverter.toWindowsOrDefault(thunderbirdItem.timeZone),
+      endTimeZone: this.timeZoneConverter.toWindowsOrDefault(thunderbirdItem.endTimeZone || thunderbirdItem.timeZone),
       
       // Status
       freeBusyStatus: this.convertStatusToFreeBusy(thunderbirdItem.status),
+      sensitivity: this.convertPrivacyToSensitivity(thunderbirdItem.privacy),
+
+      // Exchange keeps a single reminder per item: the first VALARM relative to the start
+      ...this.convertAlarmsToReminder(thunderbirdItem.alarms),
+
+      // Attendees by role; adding any turns the item into a meeting
+      requiredAttendees: this.getAttendeesByRole(thunderbirdItem.attendees, 'required'),
+      optionalAttendees: this.getAttendeesByRole(thunderbirdItem.attendees, 'optional'),
+      resources: this.getAttendeesByRole(thunderbirdItem.attendees, 'resource'),
+
+      // Series are created and updated as one recurring master
+      recurrence: thunderbirdItem.recurrenceRule
+        ? this.recurrenceConverter.fromRRule(thunderbirdItem.recurrenceRule, start, { timeZone: thunderbirdItem.timeZone })
+        : null,
       
       // Body type
       bodyType: 'Text' // Default to text, could be HTML if rich content is detected
@@ -499,6 +821,78 @@ class CalendarSync {
     return statusMap[status] || 'Busy';
   }
 
+  /**
+   * Convert Exchange Sensitivity to an iCalendar CLASS value
+   */
+  convertSensitivity(sensitivity) {
+    const sensitivityMap = {
+      'Private': 'PRIVATE',
+      'Confidential': 'CONFIDENTIAL'
+    };
+
+    return sensitivityMap[sensitivity] || 'PUBLIC';
+  }
+
+  /**
+   * Convert an iCalendar CLASS value to Exchange Sensitivity
+   */
+  convertPrivacyToSensitivity(privacy) {
+    const privacyMap = {
+      'PRIVATE': 'Private',
+      'CONFIDENTIAL': 'Confidential'
+    };
+
+    return privacyMap[(privacy || '').toUpperCase()] || 'Normal';
+  }
+
+  /**
+   * Convert an Exchange reminder to a display VALARM triggered before the start
+   */
+  convertReminderToAlarm(minutesBeforeStart) {
+    const minutes = Math.max(0, parseInt(minutesBeforeStart) || 0);
+    let trigger;
+    if (minutes === 0) {
+      trigger = 'PT0S';
+    } else if (minutes % 1440 === 0) {
+      trigger = `-P${minutes / 1440}D`;
+    } else if (minutes % 60 === 0) {
+      trigger = `-PT${minutes / 60}H`;
+    } else {
+      trigger = `-PT${minutes}M`;
+    }
+
+    return { action: 'DISPLAY', trigger: trigger, related: 'START' };
+  }
+
+  /**
+   * Convert Thunderbird VALARMs to Exchange reminder fields
+   */
+  convertAlarmsToReminder(alarms) {
+    const minutes = (alarms || [])
+      .map(alarm => this.getAlarmMinutesBeforeStart(alarm))
+      .find(value => value !== null);
+
+    return minutes === undefined
+      ? { reminderIsSet: false }
+      : { reminderIsSet: true, reminderMinutesBeforeStart: minutes };
+  }
+
+  /**
+   * Minutes before the start for a VALARM trigger such as '-PT15M' or '-P1DT2H' (null if not start-relative)
+   */
+  getAlarmMinutesBeforeStart(alarm) {
+    if (!alarm || (alarm.related && alarm.related !== 'START')) return null;
+
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(alarm.trigger || '');
+    if (!match) return null;
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+    const total = parseInt(weeks) * 10080 + parseInt(days) * 1440 + parseInt(hours) * 60 +
+      parseInt(minutes) + Math.floor(parseInt(seconds) / 60);
+    // Exchange cannot remind after the start
+    return sign !== '-' && total > 0 ? null : total;
+  }
+
   /**
    * Convert Exchange email address to Thunderbird format
    */
@@ -522,6 +916,142 @@ class CalendarSync {
       .filter(addr => addr !== null);
   }
 
+  /**
+   * RRULE value for an Exchange item's recurrence (null for single items or unsupported patterns)
+   */
+  getRecurrenceRule(exchangeItem) {
+    try {
+      return this.recurrenceConverter.toRRule(exchangeItem.recurrence, {
+        isAllDay: !!exchangeItem.isAllDayEvent,
+        start: exchangeItem.start,
+        timeZone: this.timeZoneConverter.toIana(exchangeItem.startTimeZone)
+      });
+    } catch (error) {
+      console.warn('Failed to convert recurrence of calendar item:', exchangeItem.subject, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Normalize a Thunderbird RRULE so equivalent rules compare equal to converted Exchange ones
+   */
+  normalizeRecurrenceRule(thunderbirdItem) {
+    const rrule = thunderbirdItem.recurrenceRule;
+    if (!rrule) return null;
+
+    try {
+      const recurrence = this.recurrenceConverter.fromRRule(rrule, thunderbirdItem.startDate || new Date(), {
+        timeZone: thunderbirdItem.timeZone
+      });
+      return this.recurrenceConverter.toRRule(recurrence, {
+        isAllDay: !!thunderbirdItem.isAllDay,
+        start: thunderbirdItem.startDate,
+        timeZone: thunderbirdItem.timeZone
+      });
+    } catch (error) {
+      return rrule;
+    }
+  }
+
+  /**
+   * Convert Exchange attendees to a single Thunderbird list with role and participation status
+   */
+  convertAttendees(exchangeItem) {
+    const roles = {
+      requiredAttendees: 'required',
+      optionalAttendees: 'optional',
+      resources: 'resource'
+    };
+
+    return Object.keys(roles).flatMap(field => (exchangeItem[field] || []).map(attendee => ({
+      ...this.convertEmailAddress(attendee),
+      role: roles[field],
+      participationStatus: this.convertResponseType(attendee.responseType)
+    })));
+  }
+
+  /**
+   * Convert Exchange attendee ResponseType to Thunderbird participation status
+   */
+  convertResponseType(responseType) {
+    const statusMap = {
+      'Organizer': 'accepted',
+      'Accept': 'accepted',
+      'Tentative': 'tentative',
+      'Decline': 'declined'
+    };
+
+    return statusMap[responseType] || 'needs-action';
+  }
+
+  /**
+   * Pick the attendees with a role for RequiredAttendees, OptionalAttendees or Resources
+   */
+  getAttendeesByRole(attendees, role) {
+    return (attendees || [])
+      .filter(attendee => attendee.email && (attendee.role || 'required') === role)
+      .map(attendee => ({ name: attendee.name || null, email: attendee.email }));
+  }
+
+  /**
+   * Comparable form of an attendee list (role and address only)
+   */
+  getAttendeeKey(attendees) {
+    return (attendees || [])
+      .filter(attendee => attendee.email)
+      .map(attendee => `${attendee.role || 'required'}:${attendee.email.toLowerCase()}`)
+      .sort()
+      .join(',');
+  }
+
+  /**
+   * Check if attendees (e.g. a booked room accepting or declining) answered on Exchange
+   * Only checked from Exchange to Thunderbird: responses are never written back
+   */
+  attendeeResponsesChanged(thunderbirdItem, exchangeItem) {
+    const responseKey = attendees => (attendees || [])
+      .filter(attendee => attendee.email)
+      .map(attendee => `${attendee.email.toLowerCase()}:${attendee.participationStatus || 'needs-action'}`)
+      .sort()
+      .join(',');
+
+    return responseKey(thunderbirdItem.attendees) !== responseKey(this.convertAttendees(exchangeItem));
+  }
+
+  /**
+   * Comparable form of an occurrence override
+   */
+  getExceptionKey(exception) {
+    const time = value => (value ? new Date(value).getTime() : 0);
+    return [
+      time(exception.recurrenceId),
+      time(exception.startDate),
+      time(exception.endDate),
+      exception.subject || '',
+      exception.location || ''
+    ].join('|');
+  }
+
+  /**
+   * Check if deleted or modified occurrences differ between a Thunderbird series and its Exchange master
+   */
+  occurrencesNeedUpdate(thunderbirdItem, exchangeItem) {
+    const key = (exceptionDates, exceptions) => JSON.stringify([
+      (exceptionDates || []).map(date => new Date(date).getTime()).sort(),
+      (exceptions || []).map(exception => this.getExceptionKey(exception)).sort()
+    ]);
+
+    return key(thunderbirdItem.exceptionDates, thunderbirdItem.exceptions) !==
+      key(exchangeItem.deletedOccurrences, (exchangeItem.exceptions || []).map(exception => this.convertException(exception)));
+  }
+
+  /**
+   * Check if the user organizes an Exchange item (plain appointments count as organized)
+   */
+  isOrganizer(exchangeItem) {
+    return !exchangeItem.isMeeting || exchangeItem.myResponseType === 'Organizer';
+  }
+
   /**
    * Check if Thunderbird item needs update based on Exchange item
    */
@@ -534,8 +1064,8 @@ class CalendarSync {
     ];
 
     for (const field of fieldsToCompare) {
-      const tbValue = thunderbirdItem[field.tb] || '';
-      const exValue = exchangeItem[field.ex] || '';
+      const tbValue = this.normalizeText(thunderbirdItem[field.tb]);
+      const exValue = this.normalizeText(exchangeItem[field.ex]);
       
       if (tbValue !== exValue) {
         return true;
@@ -553,9 +1083,64 @@ class CalendarSync {
       return true;
     }
 
+    if (this.getAttendeeKey(thunderbirdItem.attendees) !== this.getAttendeeKey(this.convertAttendees(exchangeItem))) {
+      return true;
+    }
+
+    if (this.normalizeRecurrenceRule(thunderbirdItem) !==
+        this.getRecurrenceRule(exchangeItem)) {
+      return true;
+    }
+
+    if (!!thunderbirdItem.isAllDay !== !!exchangeItem.isAllDayEvent ||
+        (thunderbirdItem.privacy || 'PUBLIC').toUpperCase() !== this.convertSensitivity(exchangeItem.sensitivity)) {
+      return true;
+    }
+
+    const reminder = this.convertAlarmsToReminder(thunderbirdItem.alarms);
+    if (reminder.reminderIsSet !== !!exchangeItem.reminderIsSet ||
+        (reminder.reminderIsSet && reminder.reminderMinutesBeforeStart !== exchangeItem.reminderMinutesBeforeStart)) {
+      return true;
+    }
+
+    // Same instants in another zone still matter: the zone decides where a series lands after DST
+    if (thunderbirdItem.timeZone && exchangeItem.startTimeZone &&
+        this.timeZoneConverter.toWindows(thunderbirdItem.timeZone) !== exchangeItem.startTimeZone) {
+      return true;
+    }
+
     return false;
   }
 
+  /**
+   * Comparable form of a text field: iCalendar keeps bare line feeds, Exchange CRLF and trailing blank lines
+   */
+  normalizeText(value) {
+    return (value || '').replace(/\r\n?/g, '\n').replace(/\s+$/, '');
+  }
+
+  /**
+   * Hash of everything an item would send to Exchange, including its overridden and deleted occurrences
+   */
+  getThunderbirdItemHash(thunderbirdItem) {
+    const text = JSON.stringify([
+      this.convertThunderbirdCalendarItem(thunderbirdItem),
+      (thunderbirdItem.exceptionDates || []).map(date => new Date(date).getTime()),
+      (thunderbirdItem.exceptions || []).map(exception => [
+        new Date(exception.recurrenceId).getTime(),
+        this.convertThunderbirdCalendarItem(exception)
+      ])
+    ]);
+
+    // 32-bit FNV-1a over the UTF-16 code units
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+  }
+
   /**
    * Check if Thunderbird item needs to be updated in Exchange
    */
@@ -578,6 +1163,15 @@ class CalendarSync {
         return await this.sync(account);
       }
 
+      // Check if sync is already in progress
+      const state = this.syncState.get(account.id);
+      if (state && state.inProgress) {
+        console.log('Calendar sync already in progress for account:', account.email);
+        return { success: false, error: 'Sync already in progress' };
+      }
+
+      this.updateSyncState(account.id, { inProgress: true, lastError: null });
+
       // For incremental sync, we'll use a shorter time window
       const incrementalWindow = this.getIncrementalSyncWindow(new Date(lastSync));
       const calendar = await this.getOrCreateCalendar(account);
@@ -590,12 +1184,14 @@ class CalendarSync {
       const results = await this.performBidirectionalSync(account, calendar, incrementalWindow);
 
       this.lastSyncTimestamp.set(account.id, new Date().toISOString());
+      this.updateSyncState(account.id, { inProgress: false });
 
       console.log(`Incremental calendar sync completed. Synced: ${results.totalSynced}`);
       return { success: true, totalSynced: results.totalSynced };
 
     } catch (error) {
       console.error('Incremental calendar sync failed:', error);
+      this.updateSyncState(account.id, { inProgress: false, lastError: error.message });
       throw error;
     }
   }
@@ -626,16 +1222,23 @@ class CalendarSync {
         // Delete from Exchange
         const exchangeItemId = await this.findExchangeItemId(account, itemId);
         if (exchangeItemId) {
-          await this.exchangeClient.deleteCalendarItem(account, exchangeItemId);
+          await this.deleteExchangeCalendarItem(account, exchangeItemId);
         }
       } else {
         // Delete from Thunderbird
         const thunderbirdItemId = await this.findThunderbirdItemId(account, itemId);
         if (thunderbirdItemId) {
-          await this.deleteThunderbirdCalendarItem(thunderbirdItemId);
+          const calendar = await this.getOrCreateCalendar(account);
+          await this.deleteThunderbirdCalendarItem(calendar, thunderbirdItemId);
         }
       }
 
+      if (isThunderbirdItem) {
+        await this.idMapStore.removeByThunderbirdId(account.id, IdMappingStore.ITEM_TYPES.CALENDAR, itemId);
+      } else {
+        await this.idMapStore.removeByExchangeId(account.id, IdMappingStore.ITEM_TYPES.CALENDAR, itemId);
+      }
+
       return { success: true };
 
     } catch (error) {
@@ -644,16 +1247,31 @@ class CalendarSync {
     }
   }
 
+  /**
+   * Delete a calendar item on Exchange
+   * Meetings the user organizes are cancelled with CancelCalendarItem so the attendees are told
+   */
+  async deleteExchangeCalendarItem(account, exchangeItemId) {
+    const result = await this.exchangeClient.getCalendarItem(account, exchangeItemId);
+    const item = result.item;
+
+    if (item && item.isMeeting && item.myResponseType === 'Organizer' && !item.isCancelled &&
+        this.convertAttendees(item).length > 0) {
+      console.log('Cancelling meeting:', item.subject);
+      return await this.exchangeClient.cancelCalendarItem(account, item.id, item.changeKey);
+    }
+
+    return await this.exchangeClient.deleteCalendarItem(account, exchangeItemId);
+  }
+
   /**
    * Delete calendar item from Thunderbird
    */
-  async deleteThunderbirdCalendarItem(itemId) {
+  async deleteThunderbirdCalendarItem(calendar, itemId) {
     try {
       console.log('Deleting Thunderbird calendar item:', itemId);
-      
-      // Note: This is a simplified implementation
-      // Real implementation would use Thunderbird calendar APIs
-      
+
+      await browser.syncbirdCalendar.deleteItem(calendar.id, itemId);
       return { success: true };
 
     } catch (error) {
@@ -666,18 +1284,172 @@ class CalendarSync {
    * Find Exchange item ID for Thunderbird item
    */
   async findExchangeItemId(account, thunderbirdItemId) {
-    // This would require maintaining a mapping between Thunderbird and Exchange item IDs
-    // For now, return null as this is complex to implement without proper change tracking
-    return null;
+    const mapping = await this.idMapStore.getByThunderbirdId(
+      account.id, IdMappingStore.ITEM_TYPES.CALENDAR, thunderbirdItemId
+    );
+    return mapping ? mapping.exchangeId : null;
   }
 
   /**
    * Find Thunderbird item ID for Exchange item
    */
   async findThunderbirdItemId(account, exchangeItemId) {
-    // This would require maintaining a mapping between Exchange and Thunderbird item IDs
-    // For now, return null as this is complex to implement without proper change tracking
-    return null;
+    const mapping = await this.idMapStore.getByExchangeId(
+      account.id, IdMappingStore.ITEM_TYPES.CALENDAR, exchangeItemId
+    );
+    return mapping ? mapping.thunderbirdId : null;
+  }
+
+  /**
+   * Get an Exchange message with its meeting details (null when it is not a meeting message)
+   */
+  async getMeetingMessage(account, exchangeItemId) {
+    const result = await this.exchangeClient.getMessage(account, exchangeItemId);
+    return result.message && result.message.meeting ? result.message : null;
+  }
+
+  /**
+   * Answer a meeting request received in the mailbox: 'accept', 'tentative' or 'decline'
+   * Exchange updates the calendar item itself; it reaches Thunderbird with the next calendar sync
+   */
+  async respondToMeeting(account, exchangeItemId, response, options = {}) {
+    try {
+      const message = await this.getMeetingMessage(account, exchangeItemId);
+      if (!message || message.meeting.type !== 'MeetingRequest') {
+        throw new Error('Message is not a meeting request');
+      }
+
+      const result = await this.exchangeClient.respondToMeeting(
+        account, message.id, message.changeKey, response, options
+      );
+      console.log(`Meeting request answered (${response}):`, message.subject);
+
+      return result;
+    } catch (error) {
+      console.error('Failed to respond to meeting:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Free/busy of attendees in Thunderbird's status vocabulary, with Exchange's suggested meeting times
+   * Returns { attendees: [{ email, intervals: [{ start, end, status }] }], suggestions }
+   */
+  async getFreeBusy(account, attendees, startDate, endDate, options = {}) {
+    try {
+      const result = await this.exchangeClient.getUserAvailability(account, attendees, { startDate, endDate }, options);
+
+      return {
+        success: true,
+        attendees: result.attendees.map(attendee => ({
+          email: attendee.email,
+          intervals: attendee.success ? this.mergeFreeBusySlots(attendee.mergedFreeBusy) : []
+        })),
+        suggestions: result.suggestions
+      };
+    } catch (error) {
+      console.error('Failed to get free/busy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Join adjacent merged free/busy slots with the same status ('unknown' where Exchange has no data)
+   */
+  mergeFreeBusySlots(slots) {
+    const intervals = [];
+    for (const slot of slots) {
+      const status = slot.busyType === 'NoData' ? 'unknown' : this.convertFreeBusyStatus(slot.busyType);
+      const last = intervals[intervals.length - 1];
+      if (last && last.status === status && last.end.getTime() === slot.start.getTime()) {
+        last.end = slot.end;
+      } else {
+        intervals.push({ start: slot.start, end: slot.end, status: status });
+      }
+    }
+    return intervals;
+  }
+
+  /**
+   * Rooms of a room list with their free/busy between startDate and endDate
+   * With a meeting slot, isFree tells whether the room is free for all of it
+   */
+  async getRoomAvailability(account, roomListAddress, startDate, endDate, slot = null) {
+    try {
+      const { items: rooms } = await this.exchangeClient.getRooms(account, roomListAddress);
+
+      const intervals = new Map();
+      for (let i = 0; i < rooms.length; i += this.batchSize) {
+        const batch = rooms.slice(i, i + this.batchSize)
+          .map(room => ({ email: room.email, attendeeType: 'Room' }));
+        const result = await this.getFreeBusy(account, batch, startDate, endDate, { suggestions: false });
+        result.attendees.forEach(attendee => intervals.set(attendee.email.toLowerCase(), attendee.intervals));
+      }
+
+      return {
+        success: true,
+        rooms: rooms.map(room => {
+          const roomIntervals = intervals.get(room.email.toLowerCase()) || [];
+          return {
+            name: room.name,
+            email: room.email,
+            intervals: roomIntervals,
+            isFree: slot ? this.isFreeBetween(roomIntervals, slot.start, slot.end) : null
+          };
+        })
+      };
+    } catch (error) {
+      console.error('Failed to get room availability:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that no interval overlapping start..end is busy (unknown counts as not free)
+   */
+  isFreeBetween(intervals, start, end) {
+    const from = new Date(start).getTime();
+    const to = new Date(end).getTime();
+    const overlapping = intervals.filter(interval => interval.start.getTime() < to && interval.end.getTime() > from);
+
+    return overlapping.length > 0 && overlapping.every(interval =>
+      interval.status === 'available' || interval.status === 'working-elsewhere');
+  }
+
+  /**
+   * Book a room: create a meeting with the room as Resource attendee
+   * The room's accept or decline comes back as the attendee's response with the next calendar sync
+   * booking: { subject, body, start, end, timeZone, room: { name, email }, attendees }
+   */
+  async bookRoom(account, booking) {
+    try {
+      const timeZone = this.timeZoneConverter.toWindowsOrDefault(booking.timeZone);
+      const item = {
+        subject: booking.subject || booking.room.name,
+        body: booking.body || '',
+        bodyType: 'Text',
+        start: new Date(booking.start),
+        end: new Date(booking.end),
+        location: booking.room.name || booking.room.email,
+        startTimeZone: timeZone,
+        endTimeZone: timeZone,
+        freeBusyStatus: 'Busy',
+        requiredAttendees: booking.attendees || [],
+        resources: [{ name: booking.room.name, email: booking.room.email }]
+      };
+
+      // The room only books itself when it receives the request
+      const sendInvitations = this.invitationPolicy.sendInvitations === 'SendToNone'
+        ? 'SendOnlyToAll'
+        : this.invitationPolicy.sendInvitations;
+      const result = await this.exchangeClient.createCalendarItem(account, item, { sendInvitations: sendInvitations });
+      console.log('Room booked:', booking.room.email, item.subject);
+
+      return result;
+    } catch (error) {
+      console.error('Failed to book room:', error);
+      throw error;
+    }
   }
 
   /**
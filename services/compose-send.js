@@ -0,0 +1,234 @@
+/**
+ * Compose Send Service
+ * Intercepts sends from Thunderbird compose windows for Syncbird accounts
+ * and delivers them through EWS instead of SMTP: replies and forwards as
+ * response objects, everything else as the full MIME message
+ */
+
+class ComposeSend {
+  constructor(syncManager) {
+    this.syncManager = syncManager;
+  }
+
+  /**
+   * compose.onBeforeSend handler
+   * Returns { cancel: true } when the message was handled (sent or failed) through EWS
+   */
+  async handleBeforeSend(tab, details) {
+    const context = await this.findContextForIdentity(details.identityId);
+    if (!context) {
+      // Not a Syncbird account: let Thunderbird send it
+      return {};
+    }
+
+    const { account } = context;
+    console.log('Sending message through EWS for account:', account.email);
+
+    try {
+      const sent = await this.sendResponse(context, tab, details);
+      if (!sent) {
+        await this.sendComposedMessage(context, tab, details);
+      }
+      await browser.tabs.remove(tab.id);
+      return { cancel: true };
+    } catch (error) {
+      console.error('Failed to send message through EWS:', error);
+      await this.notifyFailure(error);
+      // Keep the compose window open so the user can retry
+      return { cancel: true };
+    }
+  }
+
+  /**
+   * Find the sync context for the account owning a compose identity
+   */
+  async findContextForIdentity(identityId) {
+    if (!identityId) return null;
+
+    try {
+      const identity = await browser.identities.get(identityId);
+      return identity ? this.syncManager.findContextByThunderbirdAccount(identity.accountId) : null;
+    } catch (error) {
+      console.error('Failed to resolve compose identity:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Send replies and forwards of synced Exchange messages as EWS response objects,
+   * so the original gets its replied/forwarded state and the conversation stays threaded
+   * Returns false when the message has to go through the plain MIME path instead
+   */
+  async sendResponse(context, tab, details) {
+    if (!['reply', 'forward'].includes(details.type) || !details.relatedMessageId) {
+      return false;
+    }
+
+    const { account } = context;
+    const mapping = await context.emailSync.idMapStore.getByThunderbirdId(
+      account.id, IdMappingStore.ITEM_TYPES.MESSAGE, details.relatedMessageId
+    );
+    if (!mapping) {
+      return false;
+    }
+
+    const to = this.parseRecipients(details.to);
+    const cc = this.parseRecipients(details.cc);
+    // ForwardItem already carries the original's attachments: upload only the ones added in the compose window
+    const original = details.type === 'forward'
+      ? await browser.messages.listAttachments(details.relatedMessageId)
+      : [];
+    const response = {
+      subject: details.subject,
+      // The compose body already quotes the original, so it replaces the whole body
+      body: details.isPlainText ? details.plainTextBody : details.body,
+      bodyType: details.isPlainText ? 'Text' : 'HTML',
+      to: to,
+      cc: cc,
+      bcc: this.parseRecipients(details.bcc),
+      attachments: await this.getComposeAttachments(tab, original.map(attachment => attachment.name))
+    };
+
+    try {
+      if (details.type === 'forward') {
+        await context.exchangeClient.forwardItem(account, mapping.exchangeId, mapping.changeKey, response);
+      } else if (cc.length > 0 || to.length > 1) {
+        // Thunderbird does not tell reply from reply-all; more than one recipient means reply-all
+        await context.exchangeClient.replyAllToItem(account, mapping.exchangeId, mapping.changeKey, response);
+      } else {
+        await context.exchangeClient.replyToItem(account, mapping.exchangeId, mapping.changeKey, response);
+      }
+    } catch (error) {
+      // Anything else may have been sent already: sending the MIME copy could deliver it twice
+      if (!ComposeSend.MISSING_ORIGINAL_ERRORS.includes(error.responseCode)) {
+        throw error;
+      }
+      console.warn('Original message is gone on the server, sending as a new message:', error.responseCode);
+      return false;
+    }
+
+    console.log(`Message sent through EWS as ${details.type}:`, details.subject);
+    return true;
+  }
+
+  /**
+   * Read compose window attachments as files for CreateAttachment, skipping the excluded names
+   */
+  async getComposeAttachments(tab, excludedNames = []) {
+    const attachments = await browser.compose.listAttachments(tab.id);
+    const files = [];
+
+    for (const attachment of attachments) {
+      if (excludedNames.includes(attachment.name)) continue;
+
+      const file = await attachment.getFile();
+      files.push({
+        name: attachment.name,
+        contentType: file.type || 'application/octet-stream',
+        content: file
+      });
+    }
+
+    return files;
+  }
+
+  /**
+   * Save the composed message as a draft, read back its MIME source and send it with CreateItem
+   * The draft carries everything Thunderbird assembled: attachments, threading headers, encodings
+   */
+  async sendComposedMessage(context, tab, details) {
+    const saved = await browser.compose.saveMessage(tab.id, { mode: 'draft' });
+    const draft = saved && saved.messages && saved.messages[0];
+    if (!draft) {
+      throw new Error('Could not save the message before sending');
+    }
+
+    try {
+      const rawMessage = await browser.messages.getRaw(draft.id);
+      const result = await context.exchangeClient.sendMimeMessage(context.account, btoa(this.stripDraftHeaders(rawMessage)), {
+        bcc: this.parseRecipients(details.bcc)
+      });
+
+      console.log('Message sent through EWS:', details.subject);
+      return result;
+    } finally {
+      // The copy in Sent Items comes back through sync; the local draft is no longer needed
+      await browser.messages.delete([draft.id], true).catch(error => {
+        console.error('Failed to delete temporary draft:', error);
+      });
+    }
+  }
+
+  /**
+   * Remove the headers Thunderbird only keeps on drafts (identity, Fcc, draft state) from the MIME source
+   */
+  stripDraftHeaders(rawMessage) {
+    const match = rawMessage.match(/\r?\n\r?\n/);
+    const headerEnd = match ? match.index : rawMessage.length;
+    const lines = rawMessage.slice(0, headerEnd).split(/\r?\n/);
+    const kept = [];
+    let dropping = false;
+
+    for (const line of lines) {
+      // Folded continuation lines belong to the previous header
+      if (/^[ \t]/.test(line)) {
+        if (!dropping) kept.push(line);
+        continue;
+      }
+      const name = line.split(':')[0].trim().toLowerCase();
+      dropping = ComposeSend.DRAFT_HEADERS.includes(name);
+      if (!dropping) kept.push(line);
+    }
+
+    return kept.join('\r\n') + rawMessage.slice(headerEnd);
+  }
+
+  /**
+   * Convert compose recipients ("Name <address>" strings) into { name, email } objects
+   * Address book references are left to the MIME headers
+   */
+  parseRecipients(recipients) {
+    const list = Array.isArray(recipients) ? recipients : (recipients ? [recipients] : []);
+
+    return list
+      .filter(recipient => typeof recipient === 'string')
+      .map(recipient => {
+        const match = recipient.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+        return match
+          ? { name: match[1] || null, email: match[2] }
+          : { email: recipient.trim() };
+      });
+  }
+
+  /**
+   * Tell the user a send failed
+   */
+  async notifyFailure(error) {
+    try {
+      await browser.notifications.create({
+        type: 'basic',
+        title: 'Syncbird',
+        message: `Sending failed: ${error.message}`
+      });
+    } catch (notificationError) {
+      console.error('Failed to show notification:', notificationError);
+    }
+  }
+}
+
+// Headers written on drafts that must not reach the recipients
+ComposeSend.DRAFT_HEADERS = [
+  'x-mozilla-draft-info',
+  'x-identity-key',
+  'x-account-key',
+  'x-mozilla-status',
+  'x-mozilla-status2',
+  'x-mozilla-keys',
+  'fcc'
+];
+
+// Response object errors meaning the original is not on the server, so nothing was sent
+ComposeSend.MISSING_ORIGINAL_ERRORS = [
+  'ErrorItemNotFound',
+  'ErrorInvalidReferenceItem'
+];
@@ -4,8 +4,9 @@
  */
 
 class ContactSync {
-  constructor() {
+  constructor(idMapStore) {
     this.exchangeClient = null; // Will be injected
+    this.idMapStore = idMapStore; // Exchange <-> Thunderbird contact IDs (shared store)
     this.syncState = new Map(); // Track sync state per account
     this.lastSyncTimestamp = new Map();
     this.batchSize = 100; // Number of contacts to sync in one batch
@@ -25,6 +26,7 @@ class ContactSync {
         totalSynced: 0,
         created: 0,
         updated: 0,
+        deleted: 0,
         errors: 0,
         lastSyncDuration: 0
       }
@@ -69,6 +71,7 @@ class ContactSync {
           totalSynced: syncResults.totalSynced,
           created: syncResults.created,
           updated: syncResults.updated,
+          deleted: syncResults.deleted,
           errors: syncResults.errors,
           lastSyncDuration: syncDuration
         }
@@ -76,13 +79,14 @@ class ContactSync {
 
       this.lastSyncTimestamp.set(account.id, new Date().toISOString());
 
-      console.log(`Contact sync completed for ${account.email}. Total: ${syncResults.totalSynced}, Created: ${syncResults.created}, Updated: ${syncResults.updated}, Errors: ${syncResults.errors}`);
+      console.log(`Contact sync completed for ${account.email}. Total: ${syncResults.totalSynced}, Created: ${syncResults.created}, Updated: ${syncResults.updated}, Deleted: ${syncResults.deleted}, Errors: ${syncResults.errors}`);
 
       return {
         success: true,
         totalSynced: syncResults.totalSynced,
         created: syncResults.created,
         updated: syncResults.updated,
+        deleted: syncResults.deleted,
         errors: syncResults.errors,
         duration: syncDuration
       };
@@ -138,6 +142,7 @@ class ContactSync {
       totalSynced: 0,
       created: 0,
       updated: 0,
+      deleted: 0,
       errors: 0
     };
 
@@ -148,6 +153,7 @@ class ContactSync {
       results.totalSynced += exchangeToThunderbirdResults.totalSynced;
       results.created += exchangeToThunderbirdResults.created;
       results.updated += exchangeToThunderbirdResults.updated;
+      results.deleted += exchangeToThunderbirdResults.deleted;
       results.errors += exchangeToThunderbirdResults.errors;
 
       // Step 2: Sync from Thunderbird to Exchange
@@ -156,6 +162,7 @@ class ContactSync {
       results.totalSynced += thunderbirdToExchangeResults.totalSynced;
       results.created += thunderbirdToExchangeResults.created;
       results.updated += thunderbirdToExchangeResults.updated;
+      results.deleted += thunderbirdToExchangeResults.deleted;
       results.errors += thunderbirdToExchangeResults.errors;
 
       return results;
@@ -176,6 +183,7 @@ class ContactSync {
       totalSynced: 0,
       created: 0,
       updated: 0,
+      deleted: 0,
       errors: 0
     };
 
@@ -185,11 +193,12 @@ class ContactSync {
       const thunderbirdContactMap = new Map();
       
       thunderbirdContacts.forEach(contact => {
-        const key = this.generateContactKey(contact);
-        thunderbirdContactMap.set(key, contact);
+        thunderbirdContactMap.set(contact.id, contact);
       });
 
       // Get contacts from Exchange
+      const seenExchangeIds = new Set();
+      let listingComplete = true;
       let offset = 0;
       let hasMore = true;
 
@@ -201,27 +210,48 @@ class ContactSync {
           });
 
           if (!exchangeContacts.success || !exchangeContacts.contacts) {
+            listingComplete = false;
             break;
           }
 
           // Process each contact
           for (const exchangeContact of exchangeContacts.contacts) {
             try {
-              const contactKey = this.generateContactKeyFromExchange(exchangeContact);
-              const thunderbirdContact = thunderbirdContactMap.get(contactKey);
-
-              if (thunderbirdContact) {
-                // Update existing contact if needed
-                if (this.needsUpdate(thunderbirdContact, exchangeContact)) {
-                  const updatedContact = this.convertExchangeContact(exchangeContact);
-                  await browser.contacts.update(thunderbirdContact.id, updatedContact);
-                  results.updated++;
-                  results.totalSynced++;
+              seenExchangeIds.add(exchangeContact.id);
+
+              const mapping = await this.idMapStore.getByExchangeId(
+                account.id, IdMappingStore.ITEM_TYPES.CONTACT, exchangeContact.id
+              );
+              const thunderbirdContact = mapping ? thunderbirdContactMap.get(mapping.thunderbirdId) : null;
+
+              if (mapping && !thunderbirdContact) {
+                // Deleted in Thunderbird since the last sync
+                await this.exchangeClient.deleteContact(account, exchangeContact.id);
+                await this.idMapStore.removeByExchangeId(account.id, IdMappingStore.ITEM_TYPES.CONTACT, exchangeContact.id);
+                results.deleted++;
+                results.totalSynced++;
+              } else if (thunderbirdContact) {
+                // Only changed on Exchange if the ChangeKey moved on
+                if (mapping.changeKey !== exchangeContact.changeKey) {
+                  if (this.needsUpdate(thunderbirdContact, exchangeContact)) {
+                    const updatedContact = this.convertExchangeContact(exchangeContact);
+                    await browser.contacts.update(thunderbirdContact.id, updatedContact.properties);
+                    results.updated++;
+                    results.totalSynced++;
+                  }
+                  await this.idMapStore.updateChangeKey(
+                    account.id, IdMappingStore.ITEM_TYPES.CONTACT, exchangeContact.id, exchangeContact.changeKey
+                  );
                 }
               } else {
                 // Create new contact
                 const newContact = this.convertExchangeContact(exchangeContact);
-                await browser.contacts.create(addressBook.id, newContact);
+                const thunderbirdId = await browser.contacts.create(addressBook.id, newContact.properties);
+                await this.idMapStore.set(account.id, IdMappingStore.ITEM_TYPES.CONTACT, {
+                  exchangeId: exchangeContact.id,
+                  changeKey: exchangeContact.changeKey,
+                  thunderbirdId: thunderbirdId
+                });
                 results.created++;
                 results.totalSynced++;
               }
@@ -244,10 +274,34 @@ class ContactSync {
         } catch (error) {
           console.error('Failed to get contacts batch:', error);
           results.errors++;
+          listingComplete = false;
           break;
         }
       }
 
+      // Mapped contacts missing from a complete Exchange listing were deleted on Exchange
+      if (listingComplete) {
+        const mappings = await this.idMapStore.getAll(account.id, IdMappingStore.ITEM_TYPES.CONTACT);
+
+        for (const mapping of mappings) {
+          if (seenExchangeIds.has(mapping.exchangeId)) {
+            continue;
+          }
+
+          try {
+            if (thunderbirdContactMap.has(mapping.thunderbirdId)) {
+              await browser.contacts.delete(mapping.thunderbirdId);
+              results.deleted++;
+              results.totalSynced++;
+            }
+            await this.idMapStore.removeByExchangeId(account.id, IdMappingStore.ITEM_TYPES.CONTACT, mapping.exchangeId);
+          } catch (error) {
+            console.error('Failed to delete contact removed from Exchange:', error);
+            results.errors++;
+          }
+        }
+      }
+
       console.log(`Exchange to Thunderbird sync completed. Created: ${results.created}, Updated: ${results.updated}, Errors: ${results.errors}`);
       return results;
 
@@ -267,6 +321,7 @@ class ContactSync {
       totalSynced: 0,
       created: 0,
       updated: 0,
+      deleted: 0,
       errors: 0
     };
 
@@ -279,28 +334,37 @@ class ContactSync {
       const exchangeContactMap = new Map();
       
       exchangeContacts.forEach(contact => {
-        const key = this.generateContactKeyFromExchange(contact);
-        exchangeContactMap.set(key, contact);
+        exchangeContactMap.set(contact.id, contact);
       });
 
       // Process each Thunderbird contact
       for (const thunderbirdContact of thunderbirdContacts) {
         try {
-          const contactKey = this.generateContactKey(thunderbirdContact);
-          const exchangeContact = exchangeContactMap.get(contactKey);
+          const mapping = await this.idMapStore.getByThunderbirdId(
+            account.id, IdMappingStore.ITEM_TYPES.CONTACT, thunderbirdContact.id
+          );
+          const exchangeContact = mapping ? exchangeContactMap.get(mapping.exchangeId) : null;
 
           if (exchangeContact) {
             // Update existing contact in Exchange if needed
             if (this.thunderbirdContactNeedsUpdate(thunderbirdContact, exchangeContact)) {
               const updates = this.convertThunderbirdContact(thunderbirdContact);
-              await this.exchangeClient.updateContact(account, exchangeContact.id, updates);
+              const result = await this.exchangeClient.updateContact(account, exchangeContact.id, updates);
+              await this.idMapStore.updateChangeKey(
+                account.id, IdMappingStore.ITEM_TYPES.CONTACT, exchangeContact.id, result.changeKey
+              );
               results.updated++;
               results.totalSynced++;
             }
-          } else {
+          } else if (!mapping) {
             // Create new contact in Exchange
             const newContact = this.convertThunderbirdContact(thunderbirdContact);
-            await this.exchangeClient.createContact(account, newContact);
+            const result = await this.exchangeClient.createContact(account, newContact);
+            await this.idMapStore.set(account.id, IdMappingStore.ITEM_TYPES.CONTACT, {
+              exchangeId: result.itemId,
+              changeKey: result.changeKey,
+              thunderbirdId: thunderbirdContact.id
+            });
             results.created++;
             results.totalSynced++;
           }
@@ -352,38 +416,6 @@ class ContactSync {
     return allContacts;
   }
 
-  /**
-   * Generate contact key for deduplication
-   */
-  generateContactKey(thunderbirdContact) {
-    // Use email as primary key, fallback to name
-    if (thunderbirdContact.properties && thunderbirdContact.properties.PrimaryEmail) {
-      return thunderbirdContact.properties.PrimaryEmail.toLowerCase();
-    }
-    
-    const firstName = thunderbirdContact.properties?.FirstName || '';
-    const lastName = thunderbirdContact.properties?.LastName || '';
-    const displayName = thunderbirdContact.properties?.DisplayName || '';
-    
-    return `${firstName} ${lastName} ${displayName}`.trim().toLowerCase();
-  }
-
-  /**
-   * Generate contact key from Exchange contact
-   */
-  generateContactKeyFromExchange(exchangeContact) {
-    // Use email as primary key, fallback to name
-    if (exchangeContact.email) {
-      return exchangeContact.email.toLowerCase();
-    }
-    
-    const displayName = exchangeContact.displayName || '';
-    const firstName = exchangeContact.firstName || '';
-    const lastName = exchangeContact.lastName || '';
-    
-    return `${firstName} ${lastName} ${displayName}`.trim().toLowerCase();
-  }
-
   /**
    * Convert Exchange contact to Thunderbird format
    */
@@ -603,6 +635,7 @@ class ContactSync {
       totalSynced: 0,
       created: 0,
       updated: 0,
+      deleted: 0,
       errors: 0
     };
   }
@@ -626,6 +659,12 @@ class ContactSync {
         }
       }
 
+      if (isThunderbirdContact) {
+        await this.idMapStore.removeByThunderbirdId(account.id, IdMappingStore.ITEM_TYPES.CONTACT, contactId);
+      } else {
+        await this.idMapStore.removeByExchangeId(account.id, IdMappingStore.ITEM_TYPES.CONTACT, contactId);
+      }
+
       return { success: true };
 
     } catch (error) {
@@ -638,18 +677,20 @@ class ContactSync {
    * Find Exchange contact ID for Thunderbird contact
    */
   async findExchangeContactId(account, thunderbirdContactId) {
-    // This would require maintaining a mapping between Thunderbird and Exchange contact IDs
-    // For now, return null as this is complex to implement without proper change tracking
-    return null;
+    const mapping = await this.idMapStore.getByThunderbirdId(
+      account.id, IdMappingStore.ITEM_TYPES.CONTACT, thunderbirdContactId
+    );
+    return mapping ? mapping.exchangeId : null;
   }
 
   /**
    * Find Thunderbird contact ID for Exchange contact
    */
   async findThunderbirdContactId(account, exchangeContactId) {
-    // This would require maintaining a mapping between Exchange and Thunderbird contact IDs
-    // For now, return null as this is complex to implement without proper change tracking
-    return null;
+    const mapping = await this.idMapStore.getByExchangeId(
+      account.id, IdMappingStore.ITEM_TYPES.CONTACT, exchangeContactId
+    );
+    return mapping ? mapping.thunderbirdId : null;
   }
 
   /**
@@ -0,0 +1,227 @@
+/**
+ * Directory Search Service
+ * Looks up colleagues in the Exchange Global Address List (FindPeople, falling back to ResolveNames)
+ * and offers them to compose autocomplete through a read-only Thunderbird address book
+ */
+
+class DirectorySearch {
+  constructor() {
+    this.exchangeClient = null; // Will be injected
+    this.accounts = new Map(); // Current account object per account ID
+    this.listeners = new Map(); // Address book provider listener per account ID
+    this.cache = new Map(); // `${accountId}:${query}` -> { timestamp, items, complete }
+    this.pending = new Map(); // Lookups in flight, shared by identical queries
+    this.findPeopleUnsupported = new Set(); // Accounts whose server rejected FindPeople
+    this.minQueryLength = 3; // Shorter queries never reach the server
+    this.maxResults = 25; // Entries asked from FindPeople
+    this.cacheTtl = 10 * 60 * 1000; // Keep results for 10 minutes
+    this.maxCacheEntries = 200;
+  }
+
+  /**
+   * Initialize directory search for an account and register its address book
+   */
+  async init(account, exchangeClient) {
+    this.exchangeClient = exchangeClient;
+    this.updateAccount(account);
+
+    const listener = async (node, searchString) => {
+      const query = (searchString || '').trim().toLowerCase();
+      const items = await this.search(this.accounts.get(account.id), query);
+      return {
+        results: items.map(item => this.toContactProperties(item)),
+        // Only a result known to hold every match lets Thunderbird narrow it down without asking again
+        isCompleteResult: this.isCompleteResult(account.id, query)
+      };
+    };
+
+    browser.addressBooks.provider.onSearchRequest.addListener(listener, {
+      addressBookName: `Exchange Directory - ${account.displayName}`,
+      isSecure: true,
+      id: `syncbird-directory-${account.id}`
+    });
+    this.listeners.set(account.id, listener);
+
+    console.log('Directory search initialized for account:', account.email);
+  }
+
+  /**
+   * Pick up changed credentials for an account
+   */
+  updateAccount(account) {
+    this.accounts.set(account.id, account);
+  }
+
+  /**
+   * Search the directory, answering from the cache when possible
+   */
+  async search(account, query) {
+    const normalized = query.trim().toLowerCase();
+    if (!account || normalized.length < this.minQueryLength) {
+      return [];
+    }
+
+    const cached = this.getCachedResults(account.id, normalized);
+    if (cached) {
+      return cached;
+    }
+
+    const key = `${account.id}:${normalized}`;
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.lookup(account, normalized).finally(() => this.pending.delete(key)));
+    }
+    return await this.pending.get(key);
+  }
+
+  /**
+   * Query Exchange and cache the result (failures return nothing and are not cached)
+   */
+  async lookup(account, query) {
+    try {
+      let result;
+      let limit = this.maxResults;
+
+      if (!this.findPeopleUnsupported.has(account.id)) {
+        try {
+          result = await this.exchangeClient.findPeople(account, query, { maxEntries: this.maxResults });
+        } catch (error) {
+          // Exchange 2010 has no FindPeople and rejects the request; anything else (throttling, outages) is transient
+          if (!DirectorySearch.FIND_PEOPLE_UNSUPPORTED_ERRORS.includes(error.responseCode)) throw error;
+          console.warn('FindPeople unavailable, using ResolveNames:', error.message);
+          this.findPeopleUnsupported.add(account.id);
+        }
+      }
+      if (!result) {
+        result = await this.exchangeClient.resolveNames(account, query);
+        limit = DirectorySearch.RESOLVE_NAMES_LIMIT;
+      }
+
+      const seen = new Set();
+      const items = result.items.filter(item => {
+        const email = item.email && item.email.toLowerCase();
+        if (!email || seen.has(email)) return false;
+        seen.add(email);
+        return true;
+      });
+
+      this.setCachedResults(account.id, query, items, result.items.length < limit);
+      return items;
+
+    } catch (error) {
+      console.error('Directory search failed:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Cached results for a query, or filtered from a complete result of a shorter query
+   */
+  getCachedResults(accountId, query) {
+    const now = Date.now();
+
+    for (let length = query.length; length >= this.minQueryLength; length--) {
+      const entry = this.cache.get(`${accountId}:${query.slice(0, length)}`);
+      if (!entry || now - entry.timestamp > this.cacheTtl) continue;
+
+      if (length === query.length) {
+        return entry.items;
+      }
+      if (entry.complete) {
+        return entry.items.filter(item => this.matches(item, query));
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if the cached results for a query (or a shorter query it refines) hold every match
+   */
+  isCompleteResult(accountId, query) {
+    const now = Date.now();
+
+    for (let length = query.length; length >= this.minQueryLength; length--) {
+      const entry = this.cache.get(`${accountId}:${query.slice(0, length)}`);
+      if (entry && now - entry.timestamp <= this.cacheTtl) {
+        return entry.complete;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Cache results, dropping the oldest entries beyond maxCacheEntries
+   */
+  setCachedResults(accountId, query, items, complete) {
+    const key = `${accountId}:${query}`;
+    this.cache.delete(key);
+    this.cache.set(key, { timestamp: Date.now(), items: items, complete: complete });
+
+    while (this.cache.size > this.maxCacheEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Check if a directory entry matches a query the way the server search would (word prefixes)
+   */
+  matches(item, query) {
+    return [item.displayName, item.firstName, item.lastName, item.email]
+      .filter(value => value)
+      .some(value => value.toLowerCase().split(/[\s.,@_-]+/).some(word => word.startsWith(query)) ||
+        value.toLowerCase().startsWith(query));
+  }
+
+  /**
+   * Convert a directory entry to Thunderbird contact properties
+   */
+  toContactProperties(item) {
+    const properties = {
+      DisplayName: item.displayName || item.name || item.email,
+      PrimaryEmail: item.email
+    };
+
+    if (item.firstName) properties.FirstName = item.firstName;
+    if (item.lastName) properties.LastName = item.lastName;
+    if (item.company) properties.Company = item.company;
+    if (item.jobTitle) properties.JobTitle = item.jobTitle;
+    if (item.department) properties.Department = item.department;
+    if (item.phone) properties.WorkPhone = item.phone;
+
+    return properties;
+  }
+
+  /**
+   * Remove the address book and cached results of an account (or of all accounts)
+   */
+  cleanup(accountId) {
+    const accountIds = accountId ? [accountId] : Array.from(this.listeners.keys());
+
+    for (const id of accountIds) {
+      const listener = this.listeners.get(id);
+      if (listener) {
+        browser.addressBooks.provider.onSearchRequest.removeListener(listener);
+      }
+      this.listeners.delete(id);
+      this.accounts.delete(id);
+      this.findPeopleUnsupported.delete(id);
+
+      for (const key of Array.from(this.cache.keys())) {
+        if (key.startsWith(`${id}:`)) {
+          this.cache.delete(key);
+        }
+      }
+    }
+  }
+}
+
+// ResolveNames returns at most 100 candidates
+DirectorySearch.RESOLVE_NAMES_LIMIT = 100;
+
+// Errors meaning the server does not support FindPeople at all
+DirectorySearch.FIND_PEOPLE_UNSUPPORTED_ERRORS = [
+  'ErrorInvalidRequest',
+  'ErrorInvalidServerVersion',
+  'ErrorSchemaValidation'
+];
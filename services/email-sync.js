@@ -4,10 +4,17 @@
  */
 
 class EmailSync {
-  constructor() {
+  constructor(idMapStore, syncStateStore) {
     this.exchangeClient = null; // Will be injected
+    this.idMapStore = idMapStore; // Exchange ItemId <-> Thunderbird message ID (shared store)
+    this.syncStateStore = syncStateStore; // SyncFolderItems / SyncFolderHierarchy state (shared store)
+    this.rootFolderIds = new Map(); // msgfolderroot FolderId per account
+    this.suppressedFolderEvents = new Map(); // Folder events we are causing ourselves -> expiry timestamp
+    this.suppressionTtl = 60000; // Forget a suppression if its event never arrives
+    this.suppressedMessageEvents = new Set(); // Thunderbird message IDs we are updating ourselves
     this.syncState = new Map(); // Track sync state per account
     this.lastSyncTimestamp = new Map();
+    this.queuedEvents = new Map(); // Notification events received during a running sync, per account ID
     this.batchSize = 50; // Number of emails to sync in one batch
   }
 
@@ -56,7 +63,8 @@ class EmailSync {
       }
 
       // Sync folder structure first
-      await this.syncFolderStructure(account, thunderbirdAccount);
+      await this.syncFolderHierarchy(account, thunderbirdAccount);
+      await this.syncMasterCategories(account);
 
       // Sync emails in all folders
       const syncResults = await this.syncAllFolders(account, thunderbirdAccount);
@@ -73,6 +81,7 @@ class EmailSync {
       });
 
       this.lastSyncTimestamp.set(account.id, new Date().toISOString());
+      this.processQueuedNotificationEvents(account);
 
       console.log(`Email sync completed for ${account.email}. Synced: ${syncResults.totalSynced}, Errors: ${syncResults.errors}`);
 
@@ -90,53 +99,435 @@ class EmailSync {
         inProgress: false,
         lastError: error.message
       });
+      this.processQueuedNotificationEvents(account);
 
       throw error;
     }
   }
 
   /**
-   * Sync folder structure between Exchange and Thunderbird
+   * Mirror the Exchange folder tree into Thunderbird using SyncFolderHierarchy
    */
-  async syncFolderStructure(account, thunderbirdAccount) {
-    console.log('Syncing folder structure for account:', account.email);
+  async syncFolderHierarchy(account, thunderbirdAccount) {
+    console.log('Syncing folder hierarchy for account:', account.email);
+
+    const stateKey = 'folderHierarchy';
+    const results = {
+      created: 0,
+      updated: 0,
+      deleted: 0,
+      errors: 0
+    };
 
     try {
-      // Get Exchange folder hierarchy
-      const folderHierarchy = await this.exchangeClient.getFolderHierarchy(account);
-      
-      if (!folderHierarchy.success) {
-        throw new Error('Failed to get Exchange folder hierarchy');
-      }
+      const rootFolderId = await this.getRootFolderId(account);
+      let syncState = await this.syncStateStore.get(account.id, stateKey);
+      let includesLastFolderInRange = false;
 
-      // Get existing Thunderbird folders
-      const existingFolders = await browser.folders.getAll(thunderbirdAccount.id);
-      const existingFolderMap = new Map();
-      
-      existingFolders.forEach(folder => {
-        existingFolderMap.set(folder.name, folder);
-      });
+      while (!includesLastFolderInRange) {
+        let changes;
+        try {
+          changes = await this.exchangeClient.syncFolderHierarchy(account, syncState);
+        } catch (error) {
+          if (error.responseCode === 'ErrorInvalidSyncStateData' && syncState) {
+            console.warn('Invalid folder hierarchy SyncState, resetting');
+            await this.syncStateStore.remove(account.id, stateKey);
+            syncState = null;
+            continue;
+          }
+          throw error;
+        }
+
+        const thunderbirdFolders = await browser.folders.getAll(thunderbirdAccount.id);
+
+        // Parents may arrive after their children; retry deferred folders until no progress
+        let pending = [...changes.creates, ...changes.updates].filter(folder => this.isMailFolder(folder));
+        let progress = true;
+
+        while (pending.length > 0 && progress) {
+          const deferred = [];
+          progress = false;
+
+          for (const folder of pending) {
+            try {
+              const outcome = await this.mirrorExchangeFolder(
+                account, thunderbirdAccount, thunderbirdFolders, folder, rootFolderId
+              );
+
+              if (outcome === 'deferred') {
+                deferred.push(folder);
+                continue;
+              }
+
+              progress = true;
+              if (outcome === 'created') results.created++;
+              if (outcome === 'updated') results.updated++;
+            } catch (error) {
+              console.warn('Failed to mirror folder:', folder.displayName, error);
+              results.errors++;
+              progress = true;
+            }
+          }
 
-      // Create missing folders in Thunderbird
-      for (const exchangeFolder of folderHierarchy.folders) {
-        if (!existingFolderMap.has(exchangeFolder.displayName)) {
+          pending = deferred;
+        }
+
+        pending.forEach(folder => {
+          console.warn('Parent folder not found for:', folder.displayName);
+          results.errors++;
+        });
+
+        for (const deleted of changes.deletes) {
           try {
-            await browser.folders.create(thunderbirdAccount.id, exchangeFolder.displayName);
-            console.log('Created folder:', exchangeFolder.displayName);
+            if (await this.deleteMirroredFolder(account, deleted.id)) {
+              results.deleted++;
+            }
           } catch (error) {
-            console.warn('Failed to create folder:', exchangeFolder.displayName, error);
+            console.warn('Failed to delete mirrored folder:', deleted.id, error);
+            results.errors++;
           }
         }
+
+        syncState = changes.syncState;
+        includesLastFolderInRange = changes.includesLastFolderInRange;
+        // The token must never get ahead of the mappings it has reported
+        await this.idMapStore.flush();
+        await this.syncStateStore.set(account.id, stateKey, syncState);
       }
 
-      console.log('Folder structure sync completed');
+      console.log(`Folder hierarchy sync completed. Created: ${results.created}, Updated: ${results.updated}, Deleted: ${results.deleted}, Errors: ${results.errors}`);
+      return results;
 
     } catch (error) {
-      console.error('Folder structure sync failed:', error);
+      console.error('Folder hierarchy sync failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Get (and cache) the FolderId of the mailbox message folder root
+   */
+  async getRootFolderId(account) {
+    if (!this.rootFolderIds.has(account.id)) {
+      const result = await this.exchangeClient.getFolder(account, 'msgfolderroot');
+      this.rootFolderIds.set(account.id, result.folder.id);
+    }
+    return this.rootFolderIds.get(account.id);
+  }
+
+  /**
+   * Check if an Exchange folder holds mail (calendar, contacts, tasks are skipped)
+   */
+  isMailFolder(folder) {
+    if (folder.folderType && folder.folderType !== 'Folder') {
+      return false;
+    }
+    return !folder.folderClass || folder.folderClass.startsWith('IPF.Note');
+  }
+
+  /**
+   * Create, move or rename the Thunderbird counterpart of an Exchange folder
+   * Returns 'created', 'updated', 'unchanged' or 'deferred' (parent not mirrored yet)
+   */
+  async mirrorExchangeFolder(account, thunderbirdAccount, thunderbirdFolders, folder, rootFolderId) {
+    const itemType = IdMappingStore.ITEM_TYPES.FOLDER;
+
+    // Resolve the Thunderbird parent path ('' is the account root)
+    let parentPath = '';
+    if (folder.parentFolderId && folder.parentFolderId !== rootFolderId) {
+      const parentMapping = await this.idMapStore.getByExchangeId(account.id, itemType, folder.parentFolderId);
+      if (!parentMapping) {
+        return 'deferred';
+      }
+      parentPath = parentMapping.thunderbirdId;
+    }
+
+    const mapping = await this.idMapStore.getByExchangeId(account.id, itemType, folder.id);
+
+    if (!mapping) {
+      // Adopt an unmapped Thunderbird folder with the same name (Inbox, Sent, ...) before creating one
+      let thunderbirdFolder = thunderbirdFolders.find(candidate =>
+        this.getParentPath(candidate.path) === parentPath &&
+        (candidate.name === folder.displayName ||
+          (this.mapFolderName(candidate.name) !== null &&
+            this.mapFolderName(candidate.name) === this.mapFolderName(folder.displayName)))
+      );
+
+      if (thunderbirdFolder && await this.idMapStore.getByThunderbirdId(account.id, itemType, thunderbirdFolder.path)) {
+        thunderbirdFolder = null;
+      }
+
+      let outcome = 'unchanged';
+      if (!thunderbirdFolder) {
+        const parent = parentPath ? { accountId: thunderbirdAccount.id, path: parentPath } : thunderbirdAccount;
+        // The path is only known once created; the event is recognised by parent path and name
+        this.suppressFolderEvent(this.getFolderCreationKey(parentPath, folder.displayName));
+        thunderbirdFolder = await browser.folders.create(parent, folder.displayName);
+        thunderbirdFolders.push(thunderbirdFolder);
+        console.log('Created folder:', thunderbirdFolder.path);
+        outcome = 'created';
+      }
+
+      await this.idMapStore.set(account.id, itemType, {
+        exchangeId: folder.id,
+        changeKey: folder.changeKey,
+        thunderbirdId: thunderbirdFolder.path
+      });
+      return outcome;
+    }
+
+    let currentPath = mapping.thunderbirdId;
+    let outcome = 'unchanged';
+
+    // Moved on Exchange
+    if (this.getParentPath(currentPath) !== parentPath) {
+      const destination = parentPath ? { accountId: thunderbirdAccount.id, path: parentPath } : thunderbirdAccount;
+      this.suppressFolderEvent(currentPath);
+      const moved = await browser.folders.move({ accountId: thunderbirdAccount.id, path: currentPath }, destination);
+      await this.remapFolderPaths(account, currentPath, moved.path);
+      currentPath = moved.path;
+      outcome = 'updated';
+    }
+
+    // Renamed on Exchange
+    const currentFolder = thunderbirdFolders.find(candidate => candidate.path === mapping.thunderbirdId);
+    const currentName = currentFolder ? currentFolder.name : currentPath.split('/').pop();
+    if (folder.displayName && currentName !== folder.displayName) {
+      this.suppressFolderEvent(currentPath);
+      const renamed = await browser.folders.rename({ accountId: thunderbirdAccount.id, path: currentPath }, folder.displayName);
+      await this.remapFolderPaths(account, currentPath, renamed.path);
+      outcome = 'updated';
+    }
+
+    await this.idMapStore.updateChangeKey(account.id, itemType, folder.id, folder.changeKey);
+    return outcome;
+  }
+
+  /**
+   * Delete the Thunderbird counterpart of a folder deleted on Exchange
+   */
+  async deleteMirroredFolder(account, exchangeFolderId) {
+    const itemType = IdMappingStore.ITEM_TYPES.FOLDER;
+    const mapping = await this.idMapStore.getByExchangeId(account.id, itemType, exchangeFolderId);
+    if (!mapping) {
+      return false;
+    }
+
+    this.suppressFolderEvent(mapping.thunderbirdId);
+    await browser.folders.delete({ accountId: account.thunderbirdAccountId, path: mapping.thunderbirdId });
+    await this.removeFolderMappings(account, mapping.thunderbirdId);
+    return true;
+  }
+
+  /**
+   * Rewrite folder mappings after a Thunderbird folder (and its subfolders) changed path
+   */
+  async remapFolderPaths(account, oldPath, newPath) {
+    const itemType = IdMappingStore.ITEM_TYPES.FOLDER;
+    const mappings = await this.idMapStore.getAll(account.id, itemType);
+
+    for (const mapping of mappings) {
+      if (mapping.thunderbirdId === oldPath || mapping.thunderbirdId.startsWith(`${oldPath}/`)) {
+        await this.idMapStore.set(account.id, itemType, {
+          exchangeId: mapping.exchangeId,
+          changeKey: mapping.changeKey,
+          thunderbirdId: newPath + mapping.thunderbirdId.substring(oldPath.length)
+        });
+      }
+    }
+  }
+
+  /**
+   * Drop mappings for a Thunderbird folder and its subfolders
+   */
+  async removeFolderMappings(account, path) {
+    const itemType = IdMappingStore.ITEM_TYPES.FOLDER;
+    const mappings = await this.idMapStore.getAll(account.id, itemType);
+
+    for (const mapping of mappings) {
+      if (mapping.thunderbirdId === path || mapping.thunderbirdId.startsWith(`${path}/`)) {
+        await this.idMapStore.removeByExchangeId(account.id, itemType, mapping.exchangeId);
+      }
+    }
+  }
+
+  /**
+   * Get parent path of a Thunderbird folder path ('' for top-level folders)
+   */
+  getParentPath(path) {
+    const index = path.lastIndexOf('/');
+    return index > 0 ? path.substring(0, index) : '';
+  }
+
+  /**
+   * Ignore the next Thunderbird folder event for a key (a folder path, or a creation key)
+   */
+  suppressFolderEvent(key) {
+    const now = Date.now();
+    for (const [suppressedKey, expires] of this.suppressedFolderEvents) {
+      if (expires <= now) {
+        this.suppressedFolderEvents.delete(suppressedKey);
+      }
+    }
+    this.suppressedFolderEvents.set(key, now + this.suppressionTtl);
+  }
+
+  /**
+   * Check (and consume) whether a Thunderbird folder event was caused by our own mirroring
+   */
+  isSuppressedFolderEvent(key) {
+    const expires = this.suppressedFolderEvents.get(key);
+    this.suppressedFolderEvents.delete(key);
+    return expires !== undefined && expires > Date.now();
+  }
+
+  /**
+   * Suppression key of a folder we create, whatever path Thunderbird gives it
+   */
+  getFolderCreationKey(parentPath, name) {
+    return `create:${parentPath}\n${name}`;
+  }
+
+  /**
+   * Push a folder created in Thunderbird to Exchange
+   */
+  async handleThunderbirdFolderCreated(account, folder) {
+    if (this.isSuppressedFolderEvent(this.getFolderCreationKey(this.getParentPath(folder.path), folder.name))) {
+      return { success: true };
+    }
+
+    const itemType = IdMappingStore.ITEM_TYPES.FOLDER;
+    try {
+      // Already mirrored (e.g. created by syncFolderHierarchy under an unexpected path)
+      if (await this.idMapStore.getByThunderbirdId(account.id, itemType, folder.path)) {
+        return { success: true };
+      }
+
+      const parentPath = this.getParentPath(folder.path);
+      let parentFolderId;
+      if (parentPath) {
+        const parentMapping = await this.idMapStore.getByThunderbirdId(account.id, itemType, parentPath);
+        if (!parentMapping) {
+          throw new Error(`Parent folder is not synced: ${parentPath}`);
+        }
+        parentFolderId = parentMapping.exchangeId;
+      } else {
+        parentFolderId = await this.getRootFolderId(account);
+      }
+
+      const result = await this.exchangeClient.createFolder(account, parentFolderId, folder.name);
+      if (!result.success) {
+        throw new Error(`CreateFolder failed: ${result.responseCode}`);
+      }
+      await this.idMapStore.set(account.id, itemType, {
+        exchangeId: result.folderId,
+        changeKey: result.changeKey,
+        thunderbirdId: folder.path
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to push folder creation to Exchange:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Push a Thunderbird folder rename to Exchange
+   */
+  async handleThunderbirdFolderRenamed(account, originalFolder, renamedFolder) {
+    if (this.isSuppressedFolderEvent(originalFolder.path)) return { success: true };
+
+    const itemType = IdMappingStore.ITEM_TYPES.FOLDER;
+    try {
+      const mapping = await this.idMapStore.getByThunderbirdId(account.id, itemType, originalFolder.path);
+      if (!mapping) return { success: false };
+
+      const result = await this.exchangeClient.renameFolder(account, mapping.exchangeId, mapping.changeKey, renamedFolder.name);
+      if (!result.success) {
+        throw new Error(`UpdateFolder failed: ${result.responseCode}`);
+      }
+      await this.remapFolderPaths(account, originalFolder.path, renamedFolder.path);
+      await this.idMapStore.updateChangeKey(account.id, itemType, mapping.exchangeId, result.changeKey);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to push folder rename to Exchange:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Push a Thunderbird folder move to Exchange
+   */
+  async handleThunderbirdFolderMoved(account, originalFolder, movedFolder) {
+    if (this.isSuppressedFolderEvent(originalFolder.path)) return { success: true };
+
+    const itemType = IdMappingStore.ITEM_TYPES.FOLDER;
+    try {
+      const mapping = await this.idMapStore.getByThunderbirdId(account.id, itemType, originalFolder.path);
+      if (!mapping) return { success: false };
+
+      const parentPath = this.getParentPath(movedFolder.path);
+      let targetFolderId;
+      if (parentPath) {
+        const parentMapping = await this.idMapStore.getByThunderbirdId(account.id, itemType, parentPath);
+        if (!parentMapping) {
+          throw new Error(`Destination folder is not synced: ${parentPath}`);
+        }
+        targetFolderId = parentMapping.exchangeId;
+      } else {
+        targetFolderId = await this.getRootFolderId(account);
+      }
+
+      const result = await this.exchangeClient.moveFolder(account, mapping.exchangeId, targetFolderId);
+      if (!result.success) {
+        throw new Error(`MoveFolder failed: ${result.responseCode}`);
+      }
+      await this.remapFolderPaths(account, originalFolder.path, movedFolder.path);
+
+      // MoveFolder may hand back a new FolderId
+      if (result.folderId && result.folderId !== mapping.exchangeId) {
+        await this.idMapStore.set(account.id, itemType, {
+          exchangeId: result.folderId,
+          changeKey: result.changeKey,
+          thunderbirdId: movedFolder.path
+        });
+      } else {
+        await this.idMapStore.updateChangeKey(account.id, itemType, mapping.exchangeId, result.changeKey);
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to push folder move to Exchange:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Push a Thunderbird folder deletion to Exchange
+   */
+  async handleThunderbirdFolderDeleted(account, folder) {
+    if (this.isSuppressedFolderEvent(folder.path)) return { success: true };
+
+    const itemType = IdMappingStore.ITEM_TYPES.FOLDER;
+    try {
+      const mapping = await this.idMapStore.getByThunderbirdId(account.id, itemType, folder.path);
+      if (!mapping) return { success: false };
+
+      const result = await this.exchangeClient.deleteFolder(account, mapping.exchangeId);
+      if (!result.success) {
+        throw new Error(`DeleteFolder failed: ${result.responseCode}`);
+      }
+      await this.removeFolderMappings(account, folder.path);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to push folder deletion to Exchange:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Sync emails in all folders
    */
@@ -196,18 +587,11 @@ class EmailSync {
     };
 
     try {
-      // Map Thunderbird folder name to Exchange folder ID
-      const exchangeFolderId = this.mapFolderName(thunderbirdFolder.name);
-      
-      // Get existing messages in Thunderbird folder
-      const existingMessages = await browser.messages.list(thunderbirdFolder.id);
-      const existingMessageMap = new Map();
-      
-      existingMessages.messages.forEach(message => {
-        // Use message ID or subject+date as key for deduplication
-        const key = this.generateMessageKey(message);
-        existingMessageMap.set(key, message);
-      });
+      const exchangeFolder = await this.getExchangeFolderReference(account, thunderbirdFolder);
+      if (!exchangeFolder) {
+        console.log('Folder is not mirrored from Exchange, skipping:', thunderbirdFolder.name);
+        return results;
+      }
 
       // Get messages from Exchange
       let offset = 0;
@@ -215,7 +599,7 @@ class EmailSync {
 
       while (hasMore) {
         try {
-          const exchangeMessages = await this.exchangeClient.getMessages(account, exchangeFolderId, {
+          const exchangeMessages = await this.exchangeClient.getMessages(account, exchangeFolder, {
             maxItems: this.batchSize,
             offset: offset
           });
@@ -227,10 +611,11 @@ class EmailSync {
           // Process each message
           for (const exchangeMessage of exchangeMessages.messages) {
             try {
-              const messageKey = this.generateMessageKeyFromExchange(exchangeMessage);
-              
-              // Skip if message already exists
-              if (existingMessageMap.has(messageKey)) {
+              // Skip if message was already imported
+              const mapping = await this.idMapStore.getByExchangeId(
+                account.id, IdMappingStore.ITEM_TYPES.MESSAGE, exchangeMessage.id
+              );
+              if (mapping) {
                 continue;
               }
 
@@ -238,12 +623,7 @@ class EmailSync {
               const fullMessage = await this.exchangeClient.getMessage(account, exchangeMessage.id);
               
               if (fullMessage.success) {
-                // Convert Exchange message to Thunderbird format
-                const thunderbirdMessage = this.convertExchangeMessage(fullMessage.message);
-                
-                // Add message to Thunderbird folder
-                await this.addMessageToThunderbird(thunderbirdFolder, thunderbirdMessage);
-                
+                await this.importExchangeMessage(account, thunderbirdFolder, fullMessage.message);
                 results.synced++;
               }
 
@@ -295,7 +675,23 @@ class EmailSync {
   }
 
   /**
-   * Map Thunderbird folder name to Exchange folder ID
+   * Resolve the Exchange folder behind a Thunderbird folder
+   * Mirrored folders use their FolderId; unmapped well-known folders fall back to the distinguished name
+   */
+  async getExchangeFolderReference(account, thunderbirdFolder) {
+    const mapping = await this.idMapStore.getByThunderbirdId(
+      account.id, IdMappingStore.ITEM_TYPES.FOLDER, thunderbirdFolder.path
+    );
+    if (mapping) {
+      return FolderReference.fromFolderId(mapping.exchangeId);
+    }
+
+    const distinguishedId = this.mapFolderName(thunderbirdFolder.name);
+    return distinguishedId ? FolderReference.distinguished(distinguishedId) : null;
+  }
+
+  /**
+   * Map a well-known Thunderbird folder name to an Exchange distinguished folder ID (null otherwise)
    */
   mapFolderName(folderName) {
     const folderMapping = {
@@ -309,31 +705,63 @@ class EmailSync {
       'Spam': 'junkemail'
     };
 
-    return folderMapping[folderName] || folderName.toLowerCase();
+    return folderMapping[folderName] || null;
   }
 
   /**
-   * Generate message key for deduplication
+   * Convert an Exchange message, add it to a Thunderbird folder and record the ID mapping
    */
-  generateMessageKey(message) {
-    // Use Internet Message ID if available, otherwise use subject + date
-    if (message.headerMessageId) {
-      return message.headerMessageId;
+  async importExchangeMessage(account, thunderbirdFolder, exchangeMessage) {
+    // Convert Exchange message to Thunderbird format
+    const thunderbirdMessage = this.convertExchangeMessage(exchangeMessage);
+    thunderbirdMessage.tags = await this.getTagKeysForCategories(thunderbirdMessage.categories);
+
+    // Add message to Thunderbird folder
+    const result = await this.addMessageToThunderbird(thunderbirdFolder, thunderbirdMessage);
+
+    if (result && result.id) {
+      await this.idMapStore.set(account.id, IdMappingStore.ITEM_TYPES.MESSAGE, {
+        exchangeId: exchangeMessage.id,
+        changeKey: exchangeMessage.changeKey,
+        thunderbirdId: result.id
+      });
+      await browser.syncbirdMessages.setMessageProperties(result.id, {
+        importance: thunderbirdMessage.importance,
+        flag: this.toFollowUpFlag(thunderbirdMessage.flag)
+      });
     }
-    
-    const subject = message.subject || 'no-subject';
-    const date = message.date ? new Date(message.date).getTime() : 0;
-    return `${subject}-${date}`;
+
+    return result;
   }
 
   /**
-   * Generate message key from Exchange message
+   * Download a server search result into its mirrored Thunderbird folder
+   * Returns the existing Thunderbird message when it was already synced
    */
-  generateMessageKeyFromExchange(exchangeMessage) {
-    // Use subject + received date for key
-    const subject = exchangeMessage.subject || 'no-subject';
-    const date = exchangeMessage.dateTimeReceived ? new Date(exchangeMessage.dateTimeReceived).getTime() : 0;
-    return `${subject}-${date}`;
+  async downloadMessage(account, exchangeMessage) {
+    const existing = await this.idMapStore.getByExchangeId(
+      account.id, IdMappingStore.ITEM_TYPES.MESSAGE, exchangeMessage.id
+    );
+    if (existing) {
+      return { success: true, id: existing.thunderbirdId, existing: true };
+    }
+
+    const folderMapping = await this.idMapStore.getByExchangeId(
+      account.id, IdMappingStore.ITEM_TYPES.FOLDER, exchangeMessage.parentFolderId
+    );
+    if (!folderMapping) {
+      throw new Error('Folder of search result is not mirrored in Thunderbird');
+    }
+
+    const thunderbirdAccount = await this.getThunderbirdAccount(account);
+    const folders = await browser.folders.getAll(thunderbirdAccount.id);
+    const folder = folders.find(candidate => candidate.path === folderMapping.thunderbirdId);
+    if (!folder) {
+      throw new Error('Thunderbird folder not found: ' + folderMapping.thunderbirdId);
+    }
+
+    const fullMessage = await this.exchangeClient.getMessage(account, exchangeMessage.id);
+    return await this.importExchangeMessage(account, folder, fullMessage.message);
   }
 
   /**
@@ -356,22 +784,36 @@ class EmailSync {
       
       // Message flags
       read: exchangeMessage.isRead || false,
-      flagged: false, // Default value
+      flagged: exchangeMessage.flagStatus === 'Flagged',
+      flag: exchangeMessage.flag || null,
+      importance: exchangeMessage.importance || 'Normal',
+      categories: exchangeMessage.categories || [],
       
       // Other properties
       size: exchangeMessage.size || 0,
       hasAttachments: exchangeMessage.hasAttachments || false,
+      headerMessageId: exchangeMessage.internetMessageId || null,
       
-      // Headers
-      headers: {
-        'Message-ID': exchangeMessage.id,
-        'Content-Type': exchangeMessage.bodyType === 'HTML' ? 'text/html' : 'text/plain'
-      }
+      // Original RFC 822 message as returned by GetItem (base64)
+      mimeContent: exchangeMessage.mimeContent || null
     };
 
     return message;
   }
 
+  /**
+   * Exchange follow-up flag as stored by syncbirdMessages (dates only when set)
+   */
+  toFollowUpFlag(flag) {
+    if (!flag || !flag.status) return null;
+
+    const followUp = { status: flag.status };
+    for (const field of ['startDate', 'dueDate', 'completeDate']) {
+      if (flag[field]) followUp[field] = flag[field];
+    }
+    return followUp;
+  }
+
   /**
    * Convert Exchange email address to Thunderbird format
    */
@@ -397,23 +839,24 @@ class EmailSync {
   }
 
   /**
-   * Add message to Thunderbird folder
+   * Add message to Thunderbird folder by importing its original MIME content
    */
   async addMessageToThunderbird(folder, message) {
     try {
-      // Create raw message content
-      const rawMessage = this.createRawMessage(message);
-      
-      // Add message to folder
-      // Note: This is a simplified approach. In a real implementation,
-      // you would need to use Thunderbird's message creation APIs
-      // which might require different approaches depending on the Thunderbird version
-      
-      console.log('Adding message to Thunderbird folder:', message.subject);
-      
-      // For now, we'll log the operation since direct message creation
-      // in Thunderbird extensions has limitations
-      return { success: true };
+      if (!message.mimeContent) {
+        throw new Error('Message has no MIME content to import');
+      }
+
+      const file = this.createMessageFile(message.mimeContent);
+
+      const header = await browser.messages.import(file, folder, {
+        read: message.read,
+        flagged: message.flagged,
+        tags: message.tags || []
+      });
+
+      console.log('Imported message into Thunderbird folder:', folder.name, message.subject);
+      return { success: true, id: header.id };
 
     } catch (error) {
       console.error('Failed to add message to Thunderbird:', error);
@@ -422,58 +865,73 @@ class EmailSync {
   }
 
   /**
-   * Create raw message content in RFC 2822 format
+   * Decode base64 MimeContent into an .eml File, keeping the original bytes intact
    */
-  createRawMessage(message) {
-    const headers = [];
-    
-    // Add basic headers
-    headers.push(`Subject: ${message.subject}`);
-    headers.push(`From: ${message.from}`);
-    headers.push(`Date: ${message.date.toUTCString()}`);
-    
-    if (message.to && message.to.length > 0) {
-      headers.push(`To: ${message.to.join(', ')}`);
-    }
-    
-    if (message.cc && message.cc.length > 0) {
-      headers.push(`Cc: ${message.cc.join(', ')}`);
-    }
-    
-    // Add Message-ID
-    if (message.headers['Message-ID']) {
-      headers.push(`Message-ID: ${message.headers['Message-ID']}`);
+  createMessageFile(mimeContent) {
+    const binary = atob(mimeContent.replace(/\s+/g, ''));
+    const bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
     }
-    
-    // Add Content-Type
-    const contentType = message.headers['Content-Type'] || 'text/plain';
-    headers.push(`Content-Type: ${contentType}; charset=utf-8`);
-    
-    // Combine headers and body
-    const rawMessage = headers.join('\r\n') + '\r\n\r\n' + message.body;
-    
-    return rawMessage;
+
+    return new File([bytes], 'message.eml', { type: 'message/rfc822' });
   }
 
   /**
-   * Sync message flags (read/unread, flagged, etc.) from Thunderbird to Exchange
+   * Sync read state, follow-up flag, importance and tags (as categories) from Thunderbird to Exchange
    */
-  async syncMessageFlags(account, thunderbirdMessage) {
+  async syncMessageFlags(account, thunderbirdMessage, changedProperties = null) {
+    if (this.suppressedMessageEvents.delete(thunderbirdMessage.id)) {
+      // Change applied by applyFolderChanges: Exchange already has it
+      return { success: true, skipped: true };
+    }
+
     try {
       // Find corresponding Exchange message
-      const exchangeMessageId = this.getExchangeMessageId(thunderbirdMessage);
+      const itemType = IdMappingStore.ITEM_TYPES.MESSAGE;
+      const mapping = await this.idMapStore.getByThunderbirdId(account.id, itemType, thunderbirdMessage.id);
       
-      if (!exchangeMessageId) {
+      if (!mapping) {
         console.warn('No Exchange message ID found for Thunderbird message');
         return { success: false };
       }
 
-      // Update read status in Exchange if changed
-      if (thunderbirdMessage.read !== undefined) {
-        await this.exchangeClient.markMessage(account, exchangeMessageId, thunderbirdMessage.read);
+      const changed = changedProperties || thunderbirdMessage;
+      const properties = await browser.syncbirdMessages.getMessageProperties(thunderbirdMessage.id);
+      const updates = {};
+
+      if (changed.read !== undefined) {
+        updates.isRead = thunderbirdMessage.read;
+      }
+      if (changed.flagged !== undefined) {
+        updates.flag = this.getFlagForFlagged(thunderbirdMessage.flagged, properties.flag);
+      }
+      if (changed.tags !== undefined) {
+        updates.categories = await this.getCategoriesForTagKeys(thunderbirdMessage.tags || []);
+      }
+      // Priority changes raise no event, so they are compared on every change of the message
+      if (properties.syncedImportance && properties.importance !== properties.syncedImportance) {
+        updates.importance = properties.importance;
       }
 
-      return { success: true };
+      if (Object.keys(updates).length === 0) {
+        return { success: true };
+      }
+
+      const result = await this.exchangeClient.updateMessage(account, mapping.exchangeId, mapping.changeKey, updates);
+      if (result.changeKey) {
+        await this.idMapStore.updateChangeKey(account.id, itemType, mapping.exchangeId, result.changeKey);
+      }
+
+      if (result.success && (updates.flag || updates.importance)) {
+        await browser.syncbirdMessages.setMessageProperties(thunderbirdMessage.id, {
+          importance: properties.importance,
+          ...(updates.flag ? { flag: updates.flag } : {})
+        });
+      }
+
+      return { success: result.success };
 
     } catch (error) {
       console.error('Failed to sync message flags:', error);
@@ -481,95 +939,523 @@ class EmailSync {
     }
   }
 
+
+  /**
+   * Exchange follow-up flag for a Thunderbird flagged state
+   * Flagging again keeps the start and due dates of the last synced flag
+   */
+  getFlagForFlagged(flagged, syncedFlag) {
+    if (!flagged) {
+      return { status: 'NotFlagged' };
+    }
+
+    const flag = { status: 'Flagged' };
+    if (syncedFlag && syncedFlag.status === 'Flagged') {
+      if (syncedFlag.startDate) flag.startDate = syncedFlag.startDate;
+      if (syncedFlag.dueDate) flag.dueDate = syncedFlag.dueDate;
+    }
+    return flag;
+  }
+
   /**
    * Get Exchange message ID from Thunderbird message
    */
-  getExchangeMessageId(thunderbirdMessage) {
-    // Try to extract Exchange message ID from headers
-    if (thunderbirdMessage.headerMessageId) {
-      return thunderbirdMessage.headerMessageId;
-    }
-    
-    // Fallback methods could be implemented here
-    return null;
+  async getExchangeMessageId(account, thunderbirdMessage) {
+    const mapping = await this.idMapStore.getByThunderbirdId(
+      account.id, IdMappingStore.ITEM_TYPES.MESSAGE, thunderbirdMessage.id
+    );
+    return mapping ? mapping.exchangeId : null;
   }
 
   /**
-   * Perform incremental sync (only new messages since last sync)
+   * Perform incremental sync (only changes since the stored per-folder SyncState)
    */
   async incrementalSync(account) {
     console.log('Starting incremental email sync for account:', account.email);
 
     try {
-      const lastSync = this.lastSyncTimestamp.get(account.id);
-      if (!lastSync) {
+      // A stored hierarchy SyncState means the account was synced before, possibly in an earlier session;
+      // folders without their own SyncState yet start SyncFolderItems from scratch, skipping mapped items
+      const hierarchyState = await this.syncStateStore.get(account.id, 'folderHierarchy');
+      if (!hierarchyState) {
         // If no previous sync, perform full sync
         return await this.sync(account);
       }
 
-      const lastSyncDate = new Date(lastSync);
+      const state = this.syncState.get(account.id);
+      if (state && state.inProgress) {
+        console.log('Email sync already in progress for account:', account.email);
+        return { success: false, error: 'Sync already in progress' };
+      }
+
       const thunderbirdAccount = await this.getThunderbirdAccount(account);
       
       if (!thunderbirdAccount) {
         throw new Error('Thunderbird account not found');
       }
 
-      // Get new messages since last sync
-      const newMessages = await this.getNewMessages(account, lastSyncDate);
-      
-      let totalSynced = 0;
-      for (const message of newMessages) {
+      this.updateSyncState(account.id, { inProgress: true, lastError: null });
+
+      // Pick up folder creates, renames, moves and deletions first
+      await this.syncFolderHierarchy(account, thunderbirdAccount);
+      await this.syncMasterCategories(account);
+
+      const folders = await browser.folders.getAll(thunderbirdAccount.id);
+      const results = {
+        totalSynced: 0,
+        created: 0,
+        updated: 0,
+        deleted: 0,
+        errors: 0
+      };
+
+      for (const folder of folders) {
         try {
-          const fullMessage = await this.exchangeClient.getMessage(account, message.id);
-          if (fullMessage.success) {
-            const thunderbirdMessage = this.convertExchangeMessage(fullMessage.message);
-            const folder = await this.getTargetFolder(thunderbirdAccount, message);
-            await this.addMessageToThunderbird(folder, thunderbirdMessage);
-            totalSynced++;
-          }
+          const folderResults = await this.syncFolderChanges(account, folder);
+          results.totalSynced += folderResults.created + folderResults.updated + folderResults.deleted;
+          results.created += folderResults.created;
+          results.updated += folderResults.updated;
+          results.deleted += folderResults.deleted;
+          results.errors += folderResults.errors;
         } catch (error) {
-          console.error('Failed to sync new message:', error);
+          console.error(`Failed to sync changes for folder ${folder.name}:`, error);
+          results.errors++;
         }
       }
 
+      this.updateSyncState(account.id, { inProgress: false });
       this.lastSyncTimestamp.set(account.id, new Date().toISOString());
+      this.processQueuedNotificationEvents(account);
 
-      console.log(`Incremental sync completed. Synced ${totalSynced} new messages.`);
-      return { success: true, totalSynced: totalSynced };
+      console.log(`Incremental sync completed. Created: ${results.created}, Updated: ${results.updated}, Deleted: ${results.deleted}, Errors: ${results.errors}`);
+      return { success: true, ...results };
 
     } catch (error) {
       console.error('Incremental sync failed:', error);
+      this.updateSyncState(account.id, { inProgress: false, lastError: error.message });
+      this.processQueuedNotificationEvents(account);
       throw error;
     }
   }
 
   /**
-   * Get new messages since last sync date
+   * Apply SyncFolderItems changes for one folder, persisting the SyncState after each batch
    */
-  async getNewMessages(account, sinceDate) {
-    // This would require EWS query with date filter
-    // For now, return empty array as this is a complex query
-    console.log('Getting new messages since:', sinceDate);
-    return [];
+  async syncFolderChanges(account, thunderbirdFolder) {
+    const results = {
+      created: 0,
+      updated: 0,
+      deleted: 0,
+      errors: 0
+    };
+
+    const exchangeFolder = await this.getExchangeFolderReference(account, thunderbirdFolder);
+    if (!exchangeFolder) {
+      return results;
+    }
+    const stateKey = `folderItems:${exchangeFolder.toKey()}`;
+
+    let syncState = await this.syncStateStore.get(account.id, stateKey);
+    let includesLastItemInRange = false;
+
+    while (!includesLastItemInRange) {
+      let changes;
+      try {
+        changes = await this.exchangeClient.syncFolderItems(account, exchangeFolder, syncState, {
+          maxChanges: this.batchSize
+        });
+      } catch (error) {
+        if (error.responseCode === 'ErrorInvalidSyncStateData' && syncState) {
+          // Server no longer accepts our token: start over from an empty state
+          console.warn('Invalid SyncState for folder, resetting:', thunderbirdFolder.name);
+          await this.syncStateStore.remove(account.id, stateKey);
+          syncState = null;
+          continue;
+        }
+        throw error;
+      }
+
+      await this.applyFolderChanges(account, thunderbirdFolder, changes, results);
+
+      syncState = changes.syncState;
+      includesLastItemInRange = changes.includesLastItemInRange;
+      // The token must never get ahead of the mappings it has reported
+      await this.idMapStore.flush();
+      await this.syncStateStore.set(account.id, stateKey, syncState);
+    }
+
+    return results;
   }
 
   /**
-   * Get target folder for a message
+   * Apply one batch of SyncFolderItems changes to a Thunderbird folder
    */
-  async getTargetFolder(thunderbirdAccount, exchangeMessage) {
+  async applyFolderChanges(account, thunderbirdFolder, changes, results) {
+    const itemType = IdMappingStore.ITEM_TYPES.MESSAGE;
+
+    for (const created of changes.creates) {
+      try {
+        if (await this.idMapStore.getByExchangeId(account.id, itemType, created.id)) {
+          continue;
+        }
+
+        const fullMessage = await this.exchangeClient.getMessage(account, created.id);
+        if (fullMessage.success) {
+          await this.importExchangeMessage(account, thunderbirdFolder, fullMessage.message);
+          results.created++;
+        }
+      } catch (error) {
+        console.error('Failed to sync new message:', error);
+        results.errors++;
+      }
+    }
+
+    // Updates carry read state, flag, importance and categories; read flag changes only IsRead
+    const messageChanges = [
+      ...changes.updates.map(updated => ({
+        id: updated.id,
+        changeKey: updated.changeKey,
+        properties: {
+          read: updated.isRead,
+          flagged: updated.flagStatus === 'Flagged',
+          flag: this.toFollowUpFlag(updated.flag),
+          importance: updated.importance || 'Normal',
+          categories: updated.categories
+        }
+      })),
+      ...changes.readFlagChanges.map(change => ({ id: change.id, properties: { read: change.isRead } }))
+    ];
+
+    for (const change of messageChanges) {
+      try {
+        const mapping = await this.idMapStore.getByExchangeId(account.id, itemType, change.id);
+        if (!mapping) continue;
+
+        if (await this.updateThunderbirdMessage(mapping.thunderbirdId, change.properties)) {
+          results.updated++;
+        }
+        if (change.changeKey) {
+          await this.idMapStore.updateChangeKey(account.id, itemType, change.id, change.changeKey);
+        }
+      } catch (error) {
+        console.error('Failed to update message:', error);
+        results.errors++;
+      }
+    }
+
+    for (const deleted of changes.deletes) {
+      try {
+        const mapping = await this.idMapStore.getByExchangeId(account.id, itemType, deleted.id);
+        if (!mapping) continue;
+
+        await browser.messages.delete([mapping.thunderbirdId], true);
+        await this.idMapStore.removeByExchangeId(account.id, itemType, deleted.id);
+        results.deleted++;
+      } catch (error) {
+        console.error('Failed to delete message:', error);
+        results.errors++;
+      }
+    }
+  }
+
+  /**
+   * Sync only the folders touched by pull subscription events
+   * Events arriving during a running sync are queued and handled when it finishes
+   */
+  async handleNotificationEvents(account, events) {
+    const state = this.syncState.get(account.id);
+    if (state && state.inProgress) {
+      this.queuedEvents.set(account.id, (this.queuedEvents.get(account.id) || []).concat(events));
+      return { success: true, queued: events.length };
+    }
+
+    const thunderbirdAccount = await this.getThunderbirdAccount(account);
+    if (!thunderbirdAccount) {
+      throw new Error('Thunderbird account not found');
+    }
+
+    const results = {
+      created: 0,
+      updated: 0,
+      deleted: 0,
+      errors: 0
+    };
+
+    this.updateSyncState(account.id, { inProgress: true, lastError: null });
+
     try {
-      const folders = await browser.folders.getAll(thunderbirdAccount.id);
-      
-      // For now, default to inbox
-      // In a real implementation, you would map the Exchange folder to Thunderbird folder
-      return folders.find(folder => folder.name.toLowerCase() === 'inbox') || folders[0];
-      
+      // Folder events change the tree itself: replay the hierarchy first
+      if (events.some(event => event.isFolder)) {
+        await this.syncFolderHierarchy(account, thunderbirdAccount);
+      }
+
+      const affectedFolderIds = new Set();
+      for (const event of events) {
+        if (event.isFolder || event.type === 'Status') continue;
+        if (event.parentFolderId) affectedFolderIds.add(event.parentFolderId);
+        if (event.oldParentFolderId) affectedFolderIds.add(event.oldParentFolderId);
+      }
+
+      if (affectedFolderIds.size > 0) {
+        const folders = await browser.folders.getAll(thunderbirdAccount.id);
+
+        for (const exchangeFolderId of affectedFolderIds) {
+          const mapping = await this.idMapStore.getByExchangeId(
+            account.id, IdMappingStore.ITEM_TYPES.FOLDER, exchangeFolderId
+          );
+          const folder = mapping && folders.find(candidate => candidate.path === mapping.thunderbirdId);
+          if (!folder) continue;
+
+          try {
+            const folderResults = await this.syncFolderChanges(account, folder);
+            results.created += folderResults.created;
+            results.updated += folderResults.updated;
+            results.deleted += folderResults.deleted;
+            results.errors += folderResults.errors;
+          } catch (error) {
+            console.error(`Failed to sync changes for folder ${folder.name}:`, error);
+            results.errors++;
+          }
+        }
+      }
+
+      this.updateSyncState(account.id, { inProgress: false });
+      this.processQueuedNotificationEvents(account);
+      return { success: true, ...results };
+
     } catch (error) {
-      console.error('Failed to get target folder:', error);
+      console.error('Failed to handle notification events:', error);
+      this.updateSyncState(account.id, { inProgress: false, lastError: error.message });
+      this.processQueuedNotificationEvents(account);
       throw error;
     }
   }
 
+  /**
+   * Handle the notification events queued while a sync was running
+   */
+  processQueuedNotificationEvents(account) {
+    const events = this.queuedEvents.get(account.id);
+    if (!events) return;
+
+    this.queuedEvents.delete(account.id);
+    this.handleNotificationEvents(account, events).catch(error => {
+      console.error('Failed to handle queued notification events:', error);
+      // Keep them for the end of the next sync
+      this.queuedEvents.set(account.id, events.concat(this.queuedEvents.get(account.id) || []));
+    });
+  }
+
+  /**
+   * Apply Exchange read state, flag, importance and categories to a Thunderbird message
+   * Only differing properties are written; returns false when nothing changed
+   */
+  async updateThunderbirdMessage(thunderbirdMessageId, properties) {
+    const current = await browser.messages.get(thunderbirdMessageId);
+    const update = {};
+    const propertiesChanged = await this.updateMessageProperties(thunderbirdMessageId, properties);
+
+    if (properties.read !== undefined && current.read !== properties.read) {
+      update.read = properties.read;
+    }
+    if (properties.flagged !== undefined && current.flagged !== properties.flagged) {
+      update.flagged = properties.flagged;
+    }
+    if (properties.categories !== undefined) {
+      const tags = await this.getTagKeysForCategories(properties.categories);
+      if ([...tags].sort().join(',') !== [...(current.tags || [])].sort().join(',')) {
+        update.tags = tags;
+      }
+    }
+
+    if (Object.keys(update).length === 0) {
+      return propertiesChanged;
+    }
+
+    this.suppressedMessageEvents.add(thunderbirdMessageId);
+    await browser.messages.update(thunderbirdMessageId, update);
+    return true;
+  }
+
+  /**
+   * Apply Exchange importance and follow-up dates through syncbirdMessages
+   * These raise no messages.onUpdated event, so nothing needs suppressing
+   */
+  async updateMessageProperties(thunderbirdMessageId, properties) {
+    if (properties.importance === undefined && properties.flag === undefined) {
+      return false;
+    }
+
+    const current = await browser.syncbirdMessages.getMessageProperties(thunderbirdMessageId);
+    const update = {};
+
+    if (properties.importance !== undefined &&
+        (current.importance !== properties.importance || current.syncedImportance !== properties.importance)) {
+      update.importance = properties.importance;
+    }
+    if (properties.flag !== undefined && JSON.stringify(current.flag) !== JSON.stringify(properties.flag)) {
+      update.flag = properties.flag;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return false;
+    }
+
+    await browser.syncbirdMessages.setMessageProperties(thunderbirdMessageId, update);
+    return current.importance !== properties.importance || update.flag !== undefined;
+  }
+
+  /**
+   * Mirror the Exchange master category list into Thunderbird tags (name and color)
+   * and add Thunderbird tags created since the last sync to the master list
+   * Failures are logged only: categories must not block mail sync
+   */
+  async syncMasterCategories(account) {
+    const results = {
+      created: 0,
+      updated: 0,
+      exported: 0,
+      errors: 0
+    };
+
+    try {
+      const masterList = await this.exchangeClient.getMasterCategoryList(account);
+      const tags = await browser.messages.listTags();
+      const knownTags = await this.syncStateStore.get(account.id, 'knownTags');
+      const knownTagKeys = new Set(knownTags || []);
+      const categoryNames = new Set();
+
+      for (const category of masterList.categories) {
+        categoryNames.add(category.name.toLowerCase());
+
+        try {
+          let tag = tags.find(candidate => candidate.tag.toLowerCase() === category.name.toLowerCase());
+          if (!tag) {
+            tag = { key: this.getTagKey(category.name), tag: category.name, color: category.colorHex || '#808080' };
+            await browser.messages.createTag(tag.key, tag.tag, tag.color);
+            tags.push(tag);
+            results.created++;
+          } else if (category.colorHex && tag.color.toUpperCase() !== category.colorHex) {
+            await browser.messages.updateTag(tag.key, { color: category.colorHex });
+            results.updated++;
+          }
+          knownTagKeys.add(tag.key);
+        } catch (error) {
+          console.error('Failed to mirror category:', category.name, error);
+          results.errors++;
+        }
+      }
+
+      // On the first run every existing tag counts as known, so Thunderbird's defaults stay local
+      const newTags = knownTags
+        ? tags.filter(tag => !knownTagKeys.has(tag.key) && !categoryNames.has(tag.tag.toLowerCase()))
+        : [];
+
+      if (newTags.length > 0) {
+        await this.exchangeClient.addMasterCategories(account, newTags.map(tag => ({
+          name: tag.tag,
+          color: this.getNearestCategoryColor(tag.color)
+        })), masterList.xmlData);
+        results.exported = newTags.length;
+      }
+
+      await this.syncStateStore.set(account.id, 'knownTags', tags.map(tag => tag.key));
+
+      console.log(`Categories synced. Created: ${results.created}, Updated: ${results.updated}, Exported: ${results.exported}`);
+
+    } catch (error) {
+      console.error('Failed to sync master categories:', error);
+      results.errors++;
+    }
+
+    return results;
+  }
+
+  /**
+   * Find the Outlook category color preset closest to a Thunderbird tag color
+   */
+  getNearestCategoryColor(hexColor) {
+    const toRgb = hex => {
+      const value = parseInt((hex || '').replace('#', ''), 16);
+      return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    };
+
+    if (!/^#?[0-9a-f]{6}$/i.test(hexColor || '')) {
+      return -1;
+    }
+
+    const [r, g, b] = toRgb(hexColor);
+    let nearest = -1;
+    let nearestDistance = Infinity;
+
+    EWSClient.CATEGORY_COLORS.forEach((presetColor, index) => {
+      const [pr, pg, pb] = toRgb(presetColor);
+      const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+      if (distance < nearestDistance) {
+        nearest = index;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Map Exchange category names to Thunderbird tag keys, creating missing tags
+   */
+  async getTagKeysForCategories(categories) {
+    if (!categories || categories.length === 0) {
+      return [];
+    }
+
+    const tags = await browser.messages.listTags();
+    const keys = [];
+
+    for (const category of categories) {
+      let tag = tags.find(candidate => candidate.tag.toLowerCase() === category.toLowerCase());
+      if (!tag) {
+        tag = { key: this.getTagKey(category), tag: category, color: '#808080' };
+        await browser.messages.createTag(tag.key, tag.tag, tag.color);
+        tags.push(tag);
+      }
+      keys.push(tag.key);
+    }
+
+    return keys;
+  }
+
+  /**
+   * Map Thunderbird tag keys to Exchange category names
+   */
+  async getCategoriesForTagKeys(tagKeys) {
+    const tags = await browser.messages.listTags();
+
+    return tagKeys
+      .map(key => tags.find(tag => tag.key === key))
+      .filter(Boolean)
+      .map(tag => tag.tag);
+  }
+
+  /**
+   * Build a Thunderbird tag key for an Exchange category
+   * Names that lose characters in the readable part get a hash of the full name, so they cannot collide
+   */
+  getTagKey(category) {
+    const name = category.toLowerCase();
+    const readable = name.replace(/[^a-z0-9_]/g, '_');
+    if (readable === name) {
+      return `syncbird_${readable}`;
+    }
+
+    // 32-bit FNV-1a over the UTF-16 code units
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < name.length; i++) {
+      hash ^= name.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `syncbird_${readable}_${hash.toString(36)}`;
+  }
+
   /**
    * Update sync state for an account
    */
@@ -600,9 +1486,11 @@ class EmailSync {
     if (accountId) {
       this.syncState.delete(accountId);
       this.lastSyncTimestamp.delete(accountId);
+      this.queuedEvents.delete(accountId);
     } else {
       this.syncState.clear();
       this.lastSyncTimestamp.clear();
+      this.queuedEvents.clear();
     }
   }
 }
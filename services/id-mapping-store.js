@@ -0,0 +1,248 @@
+/**
+ * ID Mapping Store
+ * Persists the link between Exchange items (ItemId + ChangeKey) and Thunderbird items,
+ * keyed per account and per item type
+ */
+
+class IdMappingStore {
+  constructor() {
+    this.storagePrefix = 'syncbird_idmap';
+    this.cache = new Map(); // Loaded mappings per storage key
+    this.loading = new Map(); // Reads in flight per storage key
+    this.dirty = new Set(); // Storage keys changed since the last flush
+    this.flushTimer = null;
+    this.flushDelay = 2000; // Batch writes made within 2 seconds into one
+  }
+
+  /**
+   * Build storage key for an account and item type
+   */
+  getStorageKey(accountId, itemType) {
+    return `${this.storagePrefix}_${accountId}_${itemType}`;
+  }
+
+  /**
+   * Load mappings for an account and item type
+   * Concurrent callers share one read, so none of them writes into a map that is then replaced
+   */
+  async load(accountId, itemType) {
+    const storageKey = this.getStorageKey(accountId, itemType);
+
+    if (this.cache.has(storageKey)) {
+      return this.cache.get(storageKey);
+    }
+    if (this.loading.has(storageKey)) {
+      return await this.loading.get(storageKey);
+    }
+
+    const loading = browser.storage.local.get(storageKey)
+      .then(result => result[storageKey] || { byExchangeId: {}, byThunderbirdId: {} })
+      .catch(error => {
+        console.error('Failed to load ID mappings:', error);
+        return { byExchangeId: {}, byThunderbirdId: {} };
+      })
+      .then(mappings => {
+        // clear() while the read was in flight drops the result
+        if (this.loading.get(storageKey) === loading) {
+          this.loading.delete(storageKey);
+          this.cache.set(storageKey, mappings);
+        }
+        return mappings;
+      });
+    this.loading.set(storageKey, loading);
+
+    return await loading;
+  }
+
+  /**
+   * Queue the mappings of an account and item type for the next flush, so a sync
+   * touching many items writes each blob once instead of once per item
+   */
+  save(accountId, itemType) {
+    this.dirty.add(this.getStorageKey(accountId, itemType));
+    this.scheduleFlush();
+  }
+
+  /**
+   * Start the flush timer unless one is already pending
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      // flush() logs its own failures and requeues the blobs
+      this.flush().catch(() => {});
+    }, this.flushDelay);
+  }
+
+  /**
+   * Write every queued mapping blob now
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const storageKeys = Array.from(this.dirty).filter(storageKey => this.cache.has(storageKey));
+    this.dirty.clear();
+    if (storageKeys.length === 0) return;
+
+    const changes = {};
+    for (const storageKey of storageKeys) {
+      changes[storageKey] = this.cache.get(storageKey);
+    }
+
+    try {
+      await browser.storage.local.set(changes);
+    } catch (error) {
+      console.error('Failed to save ID mappings:', error);
+      // Retry with the next flush
+      storageKeys.forEach(storageKey => this.dirty.add(storageKey));
+      this.scheduleFlush();
+      throw error;
+    }
+  }
+
+  /**
+   * Get mapping by Exchange ItemId
+   */
+  async getByExchangeId(accountId, itemType, exchangeId) {
+    const mappings = await this.load(accountId, itemType);
+    return mappings.byExchangeId[exchangeId] || null;
+  }
+
+  /**
+   * Get mapping by Thunderbird item ID
+   */
+  async getByThunderbirdId(accountId, itemType, thunderbirdId) {
+    const mappings = await this.load(accountId, itemType);
+    const exchangeId = mappings.byThunderbirdId[thunderbirdId];
+    return exchangeId ? mappings.byExchangeId[exchangeId] || null : null;
+  }
+
+  /**
+   * Get all mappings for an account and item type
+   */
+  async getAll(accountId, itemType) {
+    const mappings = await this.load(accountId, itemType);
+    return Object.values(mappings.byExchangeId);
+  }
+
+  /**
+   * Record (or replace) a mapping
+   */
+  async set(accountId, itemType, entry) {
+    const mappings = await this.load(accountId, itemType);
+
+    // Drop stale links left by a previous mapping of either side
+    const previous = mappings.byExchangeId[entry.exchangeId];
+    if (previous && previous.thunderbirdId !== entry.thunderbirdId) {
+      delete mappings.byThunderbirdId[previous.thunderbirdId];
+    }
+    const previousExchangeId = mappings.byThunderbirdId[entry.thunderbirdId];
+    if (previousExchangeId && previousExchangeId !== entry.exchangeId) {
+      delete mappings.byExchangeId[previousExchangeId];
+    }
+
+    const mapping = {
+      exchangeId: entry.exchangeId,
+      changeKey: entry.changeKey || null,
+      thunderbirdId: entry.thunderbirdId,
+      hash: entry.hash || null, // Thunderbird side as last synced, for services that track it
+      updated: new Date().toISOString()
+    };
+
+    mappings.byExchangeId[mapping.exchangeId] = mapping;
+    mappings.byThunderbirdId[mapping.thunderbirdId] = mapping.exchangeId;
+
+    this.save(accountId, itemType);
+    return mapping;
+  }
+
+  /**
+   * Update the stored ChangeKey for an Exchange item
+   */
+  async updateChangeKey(accountId, itemType, exchangeId, changeKey) {
+    const mappings = await this.load(accountId, itemType);
+    const mapping = mappings.byExchangeId[exchangeId];
+    if (!mapping || !changeKey) return null;
+
+    mapping.changeKey = changeKey;
+    mapping.updated = new Date().toISOString();
+
+    this.save(accountId, itemType);
+    return mapping;
+  }
+
+  /**
+   * Update the stored hash of the Thunderbird side of an item (null until it is known)
+   */
+  async updateHash(accountId, itemType, exchangeId, hash) {
+    const mappings = await this.load(accountId, itemType);
+    const mapping = mappings.byExchangeId[exchangeId];
+    if (!mapping) return null;
+
+    mapping.hash = hash || null;
+    mapping.updated = new Date().toISOString();
+
+    this.save(accountId, itemType);
+    return mapping;
+  }
+
+  /**
+   * Remove mapping by Exchange ItemId
+   */
+  async removeByExchangeId(accountId, itemType, exchangeId) {
+    const mappings = await this.load(accountId, itemType);
+    const mapping = mappings.byExchangeId[exchangeId];
+    if (!mapping) return;
+
+    delete mappings.byExchangeId[exchangeId];
+    delete mappings.byThunderbirdId[mapping.thunderbirdId];
+
+    this.save(accountId, itemType);
+  }
+
+  /**
+   * Remove mapping by Thunderbird item ID
+   */
+  async removeByThunderbirdId(accountId, itemType, thunderbirdId) {
+    const mappings = await this.load(accountId, itemType);
+    const exchangeId = mappings.byThunderbirdId[thunderbirdId];
+    if (!exchangeId) return;
+
+    delete mappings.byThunderbirdId[thunderbirdId];
+    delete mappings.byExchangeId[exchangeId];
+
+    this.save(accountId, itemType);
+  }
+
+  /**
+   * Clear mappings for an account (all item types unless one is given)
+   */
+  async clear(accountId, itemType = null) {
+    const itemTypes = itemType ? [itemType] : Object.values(IdMappingStore.ITEM_TYPES);
+
+    for (const type of itemTypes) {
+      const storageKey = this.getStorageKey(accountId, type);
+      this.cache.delete(storageKey);
+      this.loading.delete(storageKey);
+      this.dirty.delete(storageKey);
+
+      try {
+        await browser.storage.local.remove(storageKey);
+      } catch (error) {
+        console.error('Failed to clear ID mappings:', error);
+      }
+    }
+  }
+}
+
+IdMappingStore.ITEM_TYPES = {
+  MESSAGE: 'message',
+  FOLDER: 'folder',
+  CONTACT: 'contact',
+  CALENDAR: 'calendar'
+};
@@ -0,0 +1,408 @@
+/**
+ * Notification Manager
+ * Keeps one EWS streaming subscription per account, falling back to a pull subscription
+ * polled with GetEvents and the stored watermark when the server rejects streaming
+ */
+
+class NotificationManager {
+  constructor(syncStateStore) {
+    this.syncStateStore = syncStateStore;
+    this.contexts = new Map(); // Account context per account ID
+    this.pollTimer = null;
+    this.pollInterval = null;
+    this.polling = false;
+    this.stateKey = 'subscription';
+    this.defaultPollInterval = 60000;
+    this.streams = new Map(); // Streaming connection state per account ID
+    this.connectionTimeout = 29; // Minutes; EWS caps a streaming connection at 30
+    this.maxStreamFailures = 5;
+    this.maxReconnectDelay = 300000;
+  }
+
+  /**
+   * Start receiving notifications for an account
+   * Streaming is tried first; pull subscription polling is the fallback
+   */
+  async addAccount(context, useStreaming = true) {
+    this.contexts.set(context.account.id, context);
+
+    if (useStreaming) {
+      // Long-lived loop: runs until the account is removed or streaming gives up
+      this.runStream(context).catch(error => {
+        console.error('Streaming notifications stopped for account:', context.account.email, error);
+      });
+      return;
+    }
+
+    try {
+      await this.ensureSubscription(context);
+    } catch (error) {
+      // Polling retries the subscription; scheduled sync still covers the account meanwhile
+      console.error('Failed to subscribe to notifications for account:', context.account.email, error);
+    }
+  }
+
+  /**
+   * Stop polling for an account and drop its subscription on the server
+   * A streaming subscription cannot be resumed, so it is always dropped
+   */
+  async removeAccount(accountId, unsubscribe = true) {
+    const context = this.contexts.get(accountId);
+    if (!context) return;
+
+    this.contexts.delete(accountId);
+    await this.stopStream(context);
+
+    const subscription = await this.syncStateStore.get(accountId, this.stateKey);
+    if (unsubscribe && subscription) {
+      try {
+        await context.exchangeClient.unsubscribeFromNotifications(context.account, subscription.subscriptionId);
+      } catch (error) {
+        console.error('Failed to unsubscribe from notifications:', error);
+      }
+      await this.syncStateStore.remove(accountId, this.stateKey);
+    }
+  }
+
+  /**
+   * (Re)start the polling timer
+   */
+  start(interval) {
+    interval = interval || this.defaultPollInterval;
+
+    if (this.pollTimer && interval === this.pollInterval) {
+      return;
+    }
+
+    this.stop();
+
+    this.pollInterval = interval;
+    this.pollTimer = setInterval(() => {
+      this.pollAll().catch(error => {
+        console.error('Notification polling failed:', error);
+      });
+    }, interval);
+
+    console.log(`Polling notifications every ${interval}ms`);
+  }
+
+  /**
+   * Stop the polling timer (subscriptions expire on the server by themselves)
+   * Streaming connections and subscriptions are dropped per account by removeAccount
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Keep a GetStreamingEvents connection open, reconnecting before the connection cap
+   */
+  async runStream(context) {
+    const { account } = context;
+    const stream = {
+      subscriptionId: null,
+      controller: null,
+      stopped: false,
+      failures: 0,
+      queue: Promise.resolve()
+    };
+    this.streams.set(account.id, stream);
+
+    while (!stream.stopped) {
+      if (!stream.subscriptionId) {
+        try {
+          const result = await context.exchangeClient.subscribeToStreamingNotifications(account);
+          stream.subscriptionId = result.subscriptionId;
+          console.log('Streaming subscription created for account:', account.email);
+        } catch (error) {
+          if (stream.stopped) {
+            continue;
+          }
+          if (error.responseCode) {
+            console.warn('Server rejected streaming subscription, falling back to pull:', error.responseCode);
+            await this.fallBackToPull(context, stream);
+            return;
+          }
+          // Network or HTTP failure: pull would fail the same way
+          console.warn('Streaming subscription failed:', error.message);
+          await this.waitToReconnect(stream);
+          continue;
+        }
+
+        if (stream.stopped) {
+          // Removed while the subscription was being created
+          await this.unsubscribeStream(context, stream);
+          continue;
+        }
+      }
+
+      stream.controller = new AbortController();
+      let received = false;
+      // Safety net in case the server or a proxy never closes the connection
+      const watchdog = setTimeout(() => stream.controller.abort(), (this.connectionTimeout + 1) * 60000);
+
+      try {
+        await context.exchangeClient.getStreamingEvents(account, [stream.subscriptionId], response => {
+          received = true;
+          stream.failures = 0;
+          this.queueStreamingEvents(context, stream, response.events);
+        }, {
+          connectionTimeout: this.connectionTimeout,
+          signal: stream.controller.signal
+        });
+        if (!received) {
+          throw new Error('Streaming connection closed without a response');
+        }
+        // Server closed the connection at ConnectionTimeout: reopen it with the same subscription
+      } catch (error) {
+        if (stream.stopped || error.name === 'AbortError') {
+          continue;
+        }
+
+        if (NotificationManager.RESUBSCRIBE_ERRORS.includes(error.responseCode)) {
+          // Events raised while the subscription was gone are lost: catch up through SyncState
+          console.warn('Streaming subscription lost, resubscribing:', error.responseCode);
+          stream.subscriptionId = null;
+          this.queueCatchUp(context, stream);
+        }
+
+        if (error.responseCode && stream.failures + 1 >= this.maxStreamFailures) {
+          console.warn('Server keeps rejecting the streaming connection, falling back to pull:', error.responseCode);
+          await this.fallBackToPull(context, stream);
+          return;
+        }
+
+        await this.waitToReconnect(stream);
+      } finally {
+        clearTimeout(watchdog);
+      }
+    }
+  }
+
+  /**
+   * Back off before reconnecting, doubling the delay with every consecutive failure
+   */
+  async waitToReconnect(stream) {
+    stream.failures++;
+    const delay = Math.min(5000 * Math.pow(2, stream.failures - 1), this.maxReconnectDelay);
+    console.log(`Reconnecting streaming notifications in ${delay}ms...`);
+    await this.sleep(delay);
+  }
+
+  /**
+   * Hand streamed events to the email sync service one batch at a time
+   */
+  queueStreamingEvents(context, stream, events) {
+    const changes = events.filter(event => event.type !== 'Status');
+    if (changes.length === 0) return;
+
+    console.log(`Received ${changes.length} streaming event(s) for account:`, context.account.email);
+    stream.queue = stream.queue
+      .then(() => context.emailSync.handleNotificationEvents(context.account, changes))
+      .catch(error => {
+        console.error('Failed to handle streaming events:', error);
+      });
+  }
+
+  /**
+   * Run an incremental sync after events may have been missed
+   */
+  queueCatchUp(context, stream) {
+    stream.queue = stream.queue
+      .then(() => context.emailSync.incrementalSync(context.account))
+      .catch(error => {
+        console.error('Catch-up sync failed:', error);
+      });
+  }
+
+  /**
+   * Stop streaming for an account and switch it to pull subscription polling
+   */
+  async fallBackToPull(context, stream) {
+    if (this.streams.get(context.account.id) === stream) {
+      this.streams.delete(context.account.id);
+    }
+    await this.unsubscribeStream(context, stream);
+    if (stream.stopped) return;
+
+    try {
+      await this.ensureSubscription(context);
+    } catch (error) {
+      // pollAll retries the subscription on its next tick
+      console.error('Failed to subscribe to notifications for account:', context.account.email, error);
+    }
+  }
+
+  /**
+   * Close the streaming connection for an account and drop its subscription
+   */
+  async stopStream(context) {
+    const stream = this.streams.get(context.account.id);
+    if (!stream) return;
+
+    stream.stopped = true;
+    if (stream.controller) {
+      stream.controller.abort();
+    }
+    this.streams.delete(context.account.id);
+    await this.unsubscribeStream(context, stream);
+  }
+
+  /**
+   * Drop a streaming subscription on the server
+   */
+  async unsubscribeStream(context, stream) {
+    const subscriptionId = stream.subscriptionId;
+    if (!subscriptionId) return;
+
+    stream.subscriptionId = null;
+    try {
+      await context.exchangeClient.unsubscribeFromNotifications(context.account, subscriptionId);
+    } catch (error) {
+      // It expires on the server by itself
+      console.error('Failed to unsubscribe streaming notifications:', error);
+    }
+  }
+
+  /**
+   * Create a pull subscription unless one is already stored
+   * A stored watermark resumes the event stream where the last subscription stopped
+   */
+  async ensureSubscription(context, forceNew = false) {
+    const { account } = context;
+    const subscription = await this.syncStateStore.get(account.id, this.stateKey);
+
+    if (subscription && subscription.subscriptionId && !forceNew) {
+      return subscription;
+    }
+
+    const options = {};
+    if (subscription && subscription.watermark) {
+      options.watermark = subscription.watermark;
+    }
+
+    let result;
+    try {
+      result = await context.exchangeClient.subscribeToNotifications(account, null, options);
+    } catch (error) {
+      if (!options.watermark) {
+        throw error;
+      }
+      // Watermark too old to resume from: start a fresh stream
+      console.warn('Could not resume subscription from watermark, subscribing fresh:', error.message);
+      result = await context.exchangeClient.subscribeToNotifications(account, null, {});
+    }
+
+    const newSubscription = {
+      subscriptionId: result.subscriptionId,
+      watermark: result.watermark
+    };
+    await this.syncStateStore.set(account.id, this.stateKey, newSubscription);
+
+    console.log('Pull subscription created for account:', account.email);
+    return newSubscription;
+  }
+
+  /**
+   * Poll every account once
+   */
+  async pollAll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      for (const context of this.contexts.values()) {
+        if (this.streams.has(context.account.id)) {
+          // Streaming delivers this account's events
+          continue;
+        }
+
+        try {
+          await this.poll(context);
+        } catch (error) {
+          console.error('Failed to poll notifications for account:', context.account.email, error);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Fetch all pending events for an account and hand them to the sync services
+   */
+  async poll(context) {
+    const { account } = context;
+    let subscription = await this.ensureSubscription(context);
+    const events = [];
+    let moreEvents = true;
+    let resubscribed = false;
+
+    while (moreEvents) {
+      let result;
+      try {
+        result = await context.exchangeClient.getNotificationEvents(
+          account, subscription.subscriptionId, subscription.watermark
+        );
+      } catch (error) {
+        if (resubscribed || !NotificationManager.RESUBSCRIBE_ERRORS.includes(error.responseCode)) {
+          throw error;
+        }
+        // Subscription expired or was dropped by the server: resubscribe from the last watermark
+        console.warn('Pull subscription lost, resubscribing:', error.responseCode);
+        subscription = await this.ensureSubscription(context, true);
+        resubscribed = true;
+        continue;
+      }
+
+      events.push(...result.events);
+      moreEvents = result.moreEvents;
+
+      if (result.watermark) {
+        subscription = { ...subscription, watermark: result.watermark };
+      }
+    }
+
+    const changes = events.filter(event => event.type !== 'Status');
+    if (changes.length === 0) {
+      await this.saveWatermark(account, subscription);
+      return { success: true, events: 0 };
+    }
+
+    console.log(`Received ${changes.length} notification event(s) for account:`, account.email);
+    const results = await context.emailSync.handleNotificationEvents(account, changes);
+
+    // Only now: a failure above leaves the old watermark so the events are read again
+    await this.saveWatermark(account, subscription);
+
+    return { success: true, events: changes.length, ...results };
+  }
+
+  /**
+   * Persist the watermark of a pull subscription once its events are handled
+   */
+  async saveWatermark(account, subscription) {
+    const stored = await this.syncStateStore.get(account.id, this.stateKey);
+    if (stored && stored.watermark === subscription.watermark) return;
+
+    await this.syncStateStore.set(account.id, this.stateKey, subscription);
+  }
+
+  /**
+   * Sleep utility for reconnect delays
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+NotificationManager.RESUBSCRIBE_ERRORS = [
+  'ErrorSubscriptionNotFound',
+  'ErrorExpiredSubscription',
+  'ErrorInvalidSubscription',
+  'ErrorInvalidWatermark',
+  'ErrorReadEventsFailed'
+];
@@ -0,0 +1,308 @@
+/**
+ * Sync Manager
+ * Orchestrates email, contact and calendar synchronization for all configured accounts
+ * (plus the directory address book of each account)
+ */
+
+class SyncManager {
+  constructor() {
+    this.settingsManager = new SettingsManager();
+    this.idMapStore = new IdMappingStore(); // Shared by every sync service
+    this.syncStateStore = new SyncStateStore(); // Shared: every writer stores the whole per-account blob
+    this.notificationManager = new NotificationManager(this.syncStateStore);
+    this.accounts = new Map(); // Account context (client + services) per account ID
+    this.runningSyncs = new Map(); // In-flight sync (and its queued follow-up) per account ID
+    this.syncTimer = null;
+    this.syncInterval = null;
+  }
+
+  /**
+   * Load configured accounts, run an initial sync and start the schedule
+   * Services fall back to a full sync by themselves when they have no stored state to resume from
+   */
+  async start() {
+    console.log('Starting sync manager');
+
+    try {
+      await this.loadAccounts();
+      await this.syncAll(true);
+      await this.schedule();
+    } catch (error) {
+      console.error('Failed to start sync manager:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop scheduled synchronization and release account resources
+   */
+  stop() {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+    this.notificationManager.stop();
+    this.idMapStore.flush().catch(() => {});
+
+    for (const accountId of this.accounts.keys()) {
+      // Keep the server subscription so a restart resumes from the stored watermark
+      this.notificationManager.removeAccount(accountId, false);
+      this.removeAccount(accountId);
+    }
+
+    console.log('Sync manager stopped');
+  }
+
+  /**
+   * Load accounts from storage, adding new ones and dropping removed ones
+   */
+  async loadAccounts() {
+    const accounts = await this.settingsManager.getAccounts();
+    const configuredIds = new Set(accounts.map(account => account.id));
+
+    for (const accountId of this.accounts.keys()) {
+      if (!configuredIds.has(accountId)) {
+        await this.notificationManager.removeAccount(accountId);
+        this.removeAccount(accountId);
+        // Item mappings are meaningless once the account is gone
+        await this.idMapStore.clear(accountId);
+        await this.syncStateStore.clear(accountId);
+      }
+    }
+
+    for (const account of accounts) {
+      try {
+        await this.addAccount(account);
+      } catch (error) {
+        console.error('Failed to initialize account:', account.email, error);
+      }
+    }
+
+    console.log(`Loaded ${this.accounts.size} Exchange account(s)`);
+    return accounts;
+  }
+
+  /**
+   * Build the Exchange client and sync services for an account
+   */
+  async addAccount(account) {
+    const existing = this.accounts.get(account.id);
+    if (existing) {
+      // Keep services (and their sync state) but pick up changed credentials
+      await existing.ready;
+      existing.account = account;
+      existing.directorySearch.updateAccount(account);
+      return existing;
+    }
+
+    const exchangeClient = new ExchangeClient();
+    const context = {
+      account: account,
+      exchangeClient: exchangeClient,
+      emailSync: new EmailSync(this.idMapStore, this.syncStateStore),
+      contactSync: new ContactSync(this.idMapStore),
+      calendarSync: new CalendarSync(this.idMapStore),
+      directorySearch: new DirectorySearch()
+    };
+
+    // Registered before initializing, so a concurrent loadAccounts waits for this context instead of building another
+    context.ready = this.initAccountContext(context);
+    this.accounts.set(account.id, context);
+
+    try {
+      await context.ready;
+    } catch (error) {
+      if (this.accounts.get(account.id) === context) {
+        this.accounts.delete(account.id);
+      }
+      throw error;
+    }
+
+    return context;
+  }
+
+  /**
+   * Initialize the sync services of a new account context and subscribe to its notifications
+   */
+  async initAccountContext(context) {
+    const { account, exchangeClient } = context;
+
+    await context.emailSync.init(account, exchangeClient);
+    await context.contactSync.init(account, exchangeClient);
+    await context.calendarSync.init(account, exchangeClient);
+    await context.directorySearch.init(account, exchangeClient);
+
+    console.log('Sync services initialized for account:', account.email);
+
+    const settings = await this.settingsManager.getSettings();
+    context.calendarSync.setInvitationPolicy(settings.sync.meetingInvitations, settings.sync.meetingUpdates);
+    await this.notificationManager.addAccount(context, settings.sync.enableStreaming !== false);
+  }
+
+  /**
+   * Release sync services for an account
+   */
+  removeAccount(accountId) {
+    const context = this.accounts.get(accountId);
+    if (!context) return;
+
+    context.emailSync.cleanup(accountId);
+    context.contactSync.cleanup(accountId);
+    context.calendarSync.cleanup(accountId);
+    context.directorySearch.cleanup(accountId);
+    this.accounts.delete(accountId);
+  }
+
+  /**
+   * (Re)start the periodic sync timer from settings.sync.interval
+   * and the notification polling timer from settings.sync.pollInterval
+   */
+  async schedule() {
+    const settings = await this.settingsManager.getSettings();
+    const interval = settings.sync.interval;
+
+    this.notificationManager.start(settings.sync.pollInterval);
+
+    for (const context of this.accounts.values()) {
+      context.calendarSync.setInvitationPolicy(settings.sync.meetingInvitations, settings.sync.meetingUpdates);
+    }
+
+    if (this.syncTimer && interval === this.syncInterval) {
+      return;
+    }
+
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+    }
+
+    this.syncInterval = interval;
+    this.syncTimer = setInterval(() => {
+      this.syncAll(true).catch(error => {
+        console.error('Scheduled sync failed:', error);
+      });
+    }, interval);
+
+    console.log(`Scheduled sync every ${interval}ms`);
+  }
+
+  /**
+   * Sync every configured account
+   */
+  async syncAll(incremental = true) {
+    const results = [];
+
+    for (const accountId of this.accounts.keys()) {
+      results.push(await this.syncAccount(accountId, incremental));
+    }
+
+    return results;
+  }
+
+  /**
+   * Sync a single account, honouring the enabled data types in settings
+   * Only one sync runs per account; requests arriving meanwhile share a single follow-up run
+   */
+  async syncAccount(accountId, incremental = true) {
+    const running = this.runningSyncs.get(accountId);
+    if (running) {
+      if (!running.followUp) {
+        running.followUp = running.promise.then(() => this.syncAccount(accountId, incremental));
+      }
+      return await running.followUp;
+    }
+
+    const entry = { promise: null, followUp: null };
+    entry.promise = this.runAccountSync(accountId, incremental).finally(() => {
+      if (this.runningSyncs.get(accountId) === entry) {
+        this.runningSyncs.delete(accountId);
+      }
+    });
+    this.runningSyncs.set(accountId, entry);
+
+    return await entry.promise;
+  }
+
+  /**
+   * Run the enabled sync services of an account one after the other
+   */
+  async runAccountSync(accountId, incremental) {
+    const context = this.accounts.get(accountId);
+    if (!context) {
+      return { success: false, error: 'Account not configured' };
+    }
+
+    try {
+      await context.ready;
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    const settings = await this.settingsManager.getSettings();
+    const { account } = context;
+    const results = { accountId: accountId, success: true };
+
+    const tasks = [
+      { name: 'email', enabled: settings.sync.enableEmail, service: context.emailSync },
+      { name: 'contacts', enabled: settings.sync.enableContacts, service: context.contactSync },
+      { name: 'calendar', enabled: settings.sync.enableCalendar, service: context.calendarSync }
+    ];
+
+    for (const task of tasks) {
+      if (!task.enabled) {
+        continue;
+      }
+
+      try {
+        results[task.name] = incremental
+          ? await task.service.incrementalSync(account)
+          : await task.service.sync(account);
+      } catch (error) {
+        console.error(`Failed to sync ${task.name} for account:`, account.email, error);
+        results[task.name] = { success: false, error: error.message };
+        results.success = false;
+      }
+    }
+
+    try {
+      await this.idMapStore.flush();
+    } catch (error) {
+      // The store keeps the changes queued for its next flush
+      results.success = false;
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the sync context for an account
+   */
+  getAccountContext(accountId) {
+    return this.accounts.get(accountId) || null;
+  }
+
+  /**
+   * Find the sync context backing a Thunderbird account
+   */
+  findContextByThunderbirdAccount(thunderbirdAccountId) {
+    for (const context of this.accounts.values()) {
+      if (context.account.thunderbirdAccountId === thunderbirdAccountId) {
+        return context;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the sync context to ask about an address: an account in the same domain
+   * (null for other domains, whose free/busy no configured account can answer)
+   */
+  findContextForAddress(email) {
+    const domain = (email || '').split('@')[1];
+    if (!domain) {
+      return null;
+    }
+
+    return Array.from(this.accounts.values()).find(context => context.account.email &&
+      context.account.email.toLowerCase().endsWith(`@${domain.toLowerCase()}`)) || null;
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Sync State Store
+ * Persists opaque EWS synchronization tokens (SyncState, watermarks) per account
+ */
+
+class SyncStateStore {
+  constructor() {
+    this.storagePrefix = 'syncbird_syncstate';
+    this.cache = new Map(); // Loaded states per account ID
+  }
+
+  /**
+   * Build storage key for an account
+   */
+  getStorageKey(accountId) {
+    return `${this.storagePrefix}_${accountId}`;
+  }
+
+  /**
+   * Load all stored tokens for an account
+   */
+  async load(accountId) {
+    if (this.cache.has(accountId)) {
+      return this.cache.get(accountId);
+    }
+
+    const storageKey = this.getStorageKey(accountId);
+    let states;
+    try {
+      const result = await browser.storage.local.get(storageKey);
+      states = result[storageKey] || {};
+    } catch (error) {
+      console.error('Failed to load sync state:', error);
+      states = {};
+    }
+
+    this.cache.set(accountId, states);
+    return states;
+  }
+
+  /**
+   * Get a stored token
+   */
+  async get(accountId, key) {
+    const states = await this.load(accountId);
+    return states[key] || null;
+  }
+
+  /**
+   * Store a token
+   */
+  async set(accountId, key, value) {
+    const states = await this.load(accountId);
+    states[key] = value;
+
+    try {
+      await browser.storage.local.set({ [this.getStorageKey(accountId)]: states });
+    } catch (error) {
+      console.error('Failed to save sync state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a stored token (forces a fresh sync for that key)
+   */
+  async remove(accountId, key) {
+    const states = await this.load(accountId);
+    if (!(key in states)) return;
+
+    delete states[key];
+    await browser.storage.local.set({ [this.getStorageKey(accountId)]: states });
+  }
+
+  /**
+   * Remove all stored tokens for an account
+   */
+  async clear(accountId) {
+    this.cache.delete(accountId);
+
+    try {
+      await browser.storage.local.remove(this.getStorageKey(accountId));
+    } catch (error) {
+      console.error('Failed to clear sync state:', error);
+    }
+  }
+}
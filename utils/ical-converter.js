@@ -0,0 +1,504 @@
+/**
+ * iCalendar Converter
+ * Serializes CalendarSync's Thunderbird items to VCALENDAR text with one VEVENT per series
+ * (plus one per overridden occurrence) and parses them back (RFC 5545)
+ */
+
+class ICalConverter {
+  constructor() {
+    this.timeZoneConverter = new TimeZoneConverter();
+  }
+
+  /**
+   * Serialize an item and its exceptions to a VCALENDAR with the given UID
+   */
+  toICS(item, uid) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'PRODID:-//Syncbird//Exchange Integration//EN',
+      'VERSION:2.0',
+      ...this.buildEvent(item, uid, null),
+      ...(item.exceptions || []).flatMap(exception => this.buildEvent(exception, uid, item)),
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Parse a VCALENDAR into an item (the series master) with its exceptions
+   */
+  fromICS(ics) {
+    const calendar = this.parseComponents(ics);
+    const events = calendar.components.filter(component => component.name === 'VEVENT');
+    const master = events.find(event => !this.getProperty(event, 'RECURRENCE-ID')) || events[0];
+    if (!master) {
+      throw new Error('No VEVENT in iCalendar data');
+    }
+
+    const item = this.parseEvent(master);
+    item.exceptions = events
+      .filter(event => event !== master && this.getProperty(event, 'RECURRENCE-ID'))
+      .map(event => ({
+        ...this.parseEvent(event),
+        recurrenceId: this.parseDateProperty(this.getProperty(event, 'RECURRENCE-ID')).date
+      }));
+
+    return item;
+  }
+
+  /**
+   * VEVENT lines for an item; master is the series when serializing an override
+   */
+  buildEvent(item, uid, master) {
+    const isAllDay = !!item.isAllDay;
+    const timeZone = item.timeZone || null;
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${this.formatDateTime(new Date(), null)}`
+    ];
+
+    if (master) {
+      lines.push(this.buildDateProperty('RECURRENCE-ID', item.recurrenceId, master.timeZone, !!master.isAllDay));
+    }
+
+    lines.push(`SUMMARY:${this.escapeText(item.subject || item.title || '')}`);
+    const description = item.body || item.description;
+    if (description) {
+      lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+    }
+    if (item.location) {
+      lines.push(`LOCATION:${this.escapeText(item.location)}`);
+    }
+
+    lines.push(this.buildDateProperty('DTSTART', item.startDate, timeZone, isAllDay));
+    lines.push(this.buildDateProperty('DTEND', item.endDate, item.endTimeZone || timeZone, isAllDay));
+
+    if (!master && item.recurrenceRule) {
+      lines.push(`RRULE:${item.recurrenceRule}`);
+      for (const exceptionDate of item.exceptionDates || []) {
+        lines.push(this.buildDateProperty('EXDATE', exceptionDate, timeZone, isAllDay));
+      }
+    }
+
+    lines.push(`CLASS:${item.privacy || 'PUBLIC'}`);
+    lines.push(`TRANSP:${item.status === 'available' ? 'TRANSPARENT' : 'OPAQUE'}`);
+    lines.push(`X-MICROSOFT-CDO-BUSYSTATUS:${ICalConverter.BUSY_STATUSES[item.status] || 'BUSY'}`);
+    if (item.isCancelled) {
+      lines.push('STATUS:CANCELLED');
+    }
+
+    if (item.organizer && item.organizer.email) {
+      lines.push(`ORGANIZER${this.buildNameParam(item.organizer.name)}:mailto:${item.organizer.email}`);
+    }
+    for (const attendee of item.attendees || []) {
+      if (!attendee.email) continue;
+      const role = attendee.role === 'resource'
+        ? 'NON-PARTICIPANT;CUTYPE=RESOURCE'
+        : (attendee.role === 'optional' ? 'OPT-PARTICIPANT' : 'REQ-PARTICIPANT');
+      const partStat = (attendee.participationStatus || 'needs-action').toUpperCase();
+      lines.push(`ATTENDEE${this.buildNameParam(attendee.name)};ROLE=${role};PARTSTAT=${partStat}:mailto:${attendee.email}`);
+    }
+
+    for (const alarm of item.alarms || []) {
+      lines.push(
+        'BEGIN:VALARM',
+        `ACTION:${alarm.action || 'DISPLAY'}`,
+        `TRIGGER${alarm.related === 'END' ? ';RELATED=END' : ''}:${alarm.trigger}`,
+        `DESCRIPTION:${this.escapeText(item.subject || item.title || '')}`,
+        'END:VALARM'
+      );
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  /**
+   * Parse a VEVENT component to an item
+   */
+  parseEvent(event) {
+    const text = name => {
+      const property = this.getProperty(event, name);
+      return property ? this.unescapeText(property.value) : '';
+    };
+
+    const start = this.parseDateProperty(this.getProperty(event, 'DTSTART'));
+    if (!start) {
+      throw new Error('VEVENT without DTSTART');
+    }
+    const end = this.parseDateProperty(this.getProperty(event, 'DTEND')) || {
+      date: this.getEndFromDuration(start, this.getProperty(event, 'DURATION')),
+      timeZone: start.timeZone
+    };
+
+    const rrule = this.getProperty(event, 'RRULE');
+    const attendees = this.getProperties(event, 'ATTENDEE')
+      .map(property => this.parseAttendee(property))
+      .filter(attendee => attendee.email);
+    const organizer = this.getProperty(event, 'ORGANIZER');
+    const busyStatus = this.getProperty(event, 'X-MICROSOFT-CDO-BUSYSTATUS');
+    const transparency = this.getProperty(event, 'TRANSP');
+    const eventStatus = this.getProperty(event, 'STATUS');
+    const privacy = this.getProperty(event, 'CLASS');
+
+    return {
+      id: text('UID'),
+      subject: text('SUMMARY'),
+      title: text('SUMMARY'),
+      body: text('DESCRIPTION'),
+      description: text('DESCRIPTION'),
+      location: text('LOCATION'),
+      startDate: start.date,
+      endDate: end.date,
+      timeZone: start.timeZone,
+      endTimeZone: end.timeZone,
+      isAllDay: start.isDate,
+      status: busyStatus
+        ? this.getStatusForBusyStatus(busyStatus.value)
+        : (transparency && transparency.value === 'TRANSPARENT' ? 'available' : 'busy'),
+      privacy: privacy ? privacy.value.toUpperCase() : 'PUBLIC',
+      alarms: event.components
+        .filter(component => component.name === 'VALARM')
+        .map(alarm => this.parseAlarm(alarm))
+        .filter(alarm => alarm.trigger),
+      organizer: organizer ? { name: organizer.params.CN || '', email: this.stripMailto(organizer.value) } : null,
+      attendees: attendees,
+      isMeeting: attendees.length > 0,
+      isCancelled: !!eventStatus && eventStatus.value === 'CANCELLED',
+      isRecurring: !!rrule,
+      recurrenceRule: rrule ? rrule.value : null,
+      exceptionDates: this.getProperties(event, 'EXDATE').flatMap(property => this.parseDateList(property))
+    };
+  }
+
+  /**
+   * Parse an ATTENDEE property to { name, email, role, participationStatus }
+   */
+  parseAttendee(property) {
+    const cuType = (property.params.CUTYPE || '').toUpperCase();
+    const role = (property.params.ROLE || 'REQ-PARTICIPANT').toUpperCase();
+    let attendeeRole = 'required';
+    if (cuType === 'RESOURCE' || cuType === 'ROOM' || role === 'NON-PARTICIPANT') {
+      attendeeRole = 'resource';
+    } else if (role === 'OPT-PARTICIPANT') {
+      attendeeRole = 'optional';
+    }
+
+    return {
+      name: property.params.CN || '',
+      email: this.stripMailto(property.value),
+      role: attendeeRole,
+      participationStatus: (property.params.PARTSTAT || 'NEEDS-ACTION').toLowerCase()
+    };
+  }
+
+  /**
+   * Parse a VALARM to { action, trigger, related }; absolute triggers are dropped
+   */
+  parseAlarm(alarm) {
+    const action = this.getProperty(alarm, 'ACTION');
+    const trigger = this.getProperty(alarm, 'TRIGGER');
+    const isDuration = trigger && (trigger.params.VALUE || 'DURATION').toUpperCase() === 'DURATION';
+
+    return {
+      action: action ? action.value : 'DISPLAY',
+      trigger: isDuration ? trigger.value : null,
+      related: trigger && trigger.params.RELATED ? trigger.params.RELATED.toUpperCase() : 'START'
+    };
+  }
+
+  /**
+   * Unfold and split iCalendar text into nested { name, properties, components }
+   */
+  parseComponents(ics) {
+    const root = { name: null, properties: [], components: [] };
+    const stack = [root];
+
+    for (const line of ics.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      const property = this.parseLine(line);
+      const current = stack[stack.length - 1];
+
+      if (property.name === 'BEGIN') {
+        const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+        current.components.push(component);
+        stack.push(component);
+      } else if (property.name === 'END') {
+        if (stack.length > 1) stack.pop();
+      } else {
+        current.properties.push(property);
+      }
+    }
+
+    return root.components.find(component => component.name === 'VCALENDAR') || root;
+  }
+
+  /**
+   * Parse a content line to { name, params, value }, honouring quoted parameter values
+   */
+  parseLine(line) {
+    let index = 0;
+    let inQuotes = false;
+    while (index < line.length && (inQuotes || line[index] !== ':')) {
+      if (line[index] === '"') inQuotes = !inQuotes;
+      index++;
+    }
+
+    const head = line.slice(0, index);
+    const segments = head.match(/(?:[^;"]|"[^"]*")+/g) || [''];
+    const params = {};
+    for (const segment of segments.slice(1)) {
+      const separator = segment.indexOf('=');
+      if (separator === -1) continue;
+      params[segment.slice(0, separator).toUpperCase()] = segment.slice(separator + 1).replace(/^"|"$/g, '');
+    }
+
+    return { name: segments[0].toUpperCase(), params: params, value: line.slice(index + 1) };
+  }
+
+  /**
+   * First property with the given name
+   */
+  getProperty(component, name) {
+    return component.properties.find(property => property.name === name) || null;
+  }
+
+  /**
+   * All properties with the given name
+   */
+  getProperties(component, name) {
+    return component.properties.filter(property => property.name === name);
+  }
+
+  /**
+   * Parse a DATE or DATE-TIME property to { date, timeZone, isDate }
+   */
+  parseDateProperty(property) {
+    if (!property) return null;
+    return this.parseDateValue(property.value.split(',')[0], property.params);
+  }
+
+  /**
+   * Parse every value of a multi-valued date property such as EXDATE
+   */
+  parseDateList(property) {
+    return property.value.split(',')
+      .map(value => this.parseDateValue(value, property.params))
+      .filter(value => value !== null)
+      .map(value => value.date);
+  }
+
+  /**
+   * Parse a single date value; DATE and floating values are local, TZID values are wall time in that zone
+   */
+  parseDateValue(value, params = {}) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec((value || '').trim());
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second, utc] = match;
+    const parts = [year, month, day, hour || 0, minute || 0, second || 0].map(Number);
+
+    if (hour === undefined || (params.VALUE || '').toUpperCase() === 'DATE') {
+      return { date: new Date(parts[0], parts[1] - 1, parts[2]), timeZone: null, isDate: true };
+    }
+    if (utc) {
+      return { date: new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5])), timeZone: null, isDate: false };
+    }
+
+    const timeZone = this.resolveTimeZone(params.TZID);
+    const date = timeZone
+      ? this.fromZonedTime(parts, timeZone)
+      : new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]);
+    return { date: date, timeZone: timeZone, isDate: false };
+  }
+
+  /**
+   * End of an event given by DURATION (all-day events default to one day, others to zero)
+   */
+  getEndFromDuration(start, durationProperty) {
+    const seconds = durationProperty ? this.parseDuration(durationProperty.value) : (start.isDate ? 86400 : 0);
+    if (start.isDate && seconds % 86400 === 0) {
+      // Whole days stay on local midnight across DST changes
+      const end = new Date(start.date);
+      end.setDate(end.getDate() + seconds / 86400);
+      return end;
+    }
+    return new Date(start.date.getTime() + seconds * 1000);
+  }
+
+  /**
+   * Signed length of a DURATION value in seconds (0 if malformed)
+   */
+  parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+    if (!match) return 0;
+
+    const [weeks, days, hours, minutes, seconds] = match.slice(2).map(part => parseInt(part) || 0);
+    const total = weeks * 604800 + days * 86400 + hours * 3600 + minutes * 60 + seconds;
+    return match[1] === '-' ? -total : total;
+  }
+
+  /**
+   * IANA zone for a TZID: IANA names as is, Windows names (Outlook invitations) through the CLDR table
+   */
+  resolveTimeZone(tzid) {
+    if (!tzid) return null;
+
+    const zone = tzid.replace(/^\/(?:[^/]+\/){0,2}(?=\w+\/\w+)/, ''); // e.g. /mozilla.org/20070129_1/Europe/Rome
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: zone });
+      return zone;
+    } catch (error) {
+      return this.timeZoneConverter.toIana(tzid);
+    }
+  }
+
+  /**
+   * Instant for a wall-clock time [year, month, day, hour, minute, second] in an IANA zone
+   */
+  fromZonedTime(parts, timeZone) {
+    const wallTime = Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]);
+    let instant = wallTime - this.getZoneOffset(new Date(wallTime), timeZone);
+    // The offset at the guess may differ from the one at the result near DST changes
+    instant = wallTime - this.getZoneOffset(new Date(instant), timeZone);
+    return new Date(instant);
+  }
+
+  /**
+   * Offset of an IANA zone from UTC at an instant, in milliseconds
+   */
+  getZoneOffset(date, timeZone) {
+    const parts = this.getZonedParts(date, timeZone);
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallTime - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * Wall-clock fields of an instant in an IANA zone
+   */
+  getZonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date).forEach(part => { parts[part.type] = parseInt(part.value); });
+    return parts;
+  }
+
+  /**
+   * Date property line: DATE for all-day items, TZID wall time for zoned items, UTC otherwise
+   */
+  buildDateProperty(name, value, timeZone, isAllDay) {
+    const date = new Date(value);
+    if (isAllDay) {
+      return `${name};VALUE=DATE:${this.formatDateOnly(date, timeZone)}`;
+    }
+    if (timeZone && this.resolveTimeZone(timeZone) === timeZone) {
+      return `${name};TZID=${timeZone}:${this.formatDateTime(date, timeZone)}`;
+    }
+    return `${name}:${this.formatDateTime(date, null)}`;
+  }
+
+  /**
+   * YYYYMMDD of an instant in a zone (local when no zone is given)
+   */
+  formatDateOnly(date, timeZone) {
+    const pad = value => String(value).padStart(2, '0');
+    const parts = timeZone && this.resolveTimeZone(timeZone)
+      ? this.getZonedParts(date, this.resolveTimeZone(timeZone))
+      : { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+    return `${parts.year}${pad(parts.month)}${pad(parts.day)}`;
+  }
+
+  /**
+   * YYYYMMDDTHHMMSS wall time in a zone, or YYYYMMDDTHHMMSSZ in UTC when no zone is given
+   */
+  formatDateTime(date, timeZone) {
+    const pad = value => String(value).padStart(2, '0');
+    if (!timeZone) {
+      return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+    const parts = this.getZonedParts(date, timeZone);
+    return `${parts.year}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+  }
+
+  /**
+   * ;CN="..." parameter for a display name (empty without one)
+   */
+  buildNameParam(name) {
+    return name ? `;CN="${name.replace(/["\r\n]/g, '')}"` : '';
+  }
+
+  /**
+   * Address part of a mailto: URI
+   */
+  stripMailto(value) {
+    return (value || '').replace(/^mailto:/i, '');
+  }
+
+  /**
+   * Escape a TEXT value
+   */
+  escapeText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Unescape a TEXT value
+   */
+  unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, character) => (character === 'n' || character === 'N') ? '\n' : character);
+  }
+
+  /**
+   * Fold a content line at 75 octets
+   */
+  foldLine(line) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let chunk = '';
+    let length = 0;
+    for (const character of line) {
+      const size = encoder.encode(character).length;
+      if (length + size > (chunks.length ? 74 : 75)) {
+        chunks.push(chunk);
+        chunk = '';
+        length = 0;
+      }
+      chunk += character;
+      length += size;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+  }
+
+  /**
+   * Thunderbird free/busy status for an X-MICROSOFT-CDO-BUSYSTATUS value
+   */
+  getStatusForBusyStatus(busyStatus) {
+    const status = Object.keys(ICalConverter.BUSY_STATUSES)
+      .find(key => ICalConverter.BUSY_STATUSES[key] === (busyStatus || '').toUpperCase());
+    return status || 'busy';
+  }
+}
+
+// Thunderbird free/busy status -> X-MICROSOFT-CDO-BUSYSTATUS (what Outlook and Exchange write)
+ICalConverter.BUSY_STATUSES = {
+  'available': 'FREE',
+  'tentative': 'TENTATIVE',
+  'busy': 'BUSY',
+  'out-of-office': 'OOF',
+  'working-elsewhere': 'WORKINGELSEWHERE'
+};
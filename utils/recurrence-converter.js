@@ -0,0 +1,533 @@
+/**
+ * Recurrence Converter
+ * Converts between EWS recurrence ({ pattern, range }, see XMLParser.extractRecurrenceInfo)
+ * and iCalendar RRULE values (RFC 5545)
+ */
+
+class RecurrenceConverter {
+  /**
+   * Convert an EWS recurrence to an RRULE value (without the "RRULE:" prefix)
+   * options.isAllDay writes UNTIL as a DATE instead of a UTC DATE-TIME
+   * options.start (first occurrence) and options.timeZone (IANA) place a DATE-TIME UNTIL
+   * at the start time of the last day's occurrence
+   */
+  toRRule(recurrence, options = {}) {
+    if (!recurrence || !recurrence.pattern) return null;
+
+    const { pattern, range } = recurrence;
+    const interval = pattern.interval || 1;
+    let freq;
+    let byParts = [];
+
+    switch (pattern.type) {
+      case 'Daily':
+        freq = 'DAILY';
+        break;
+      case 'Weekly':
+        freq = 'WEEKLY';
+        byParts.push(`BYDAY=${this.expandDays(pattern.daysOfWeek).join(',')}`);
+        if (pattern.firstDayOfWeek) {
+          byParts.push(`WKST=${this.toICalDay(pattern.firstDayOfWeek)}`);
+        }
+        break;
+      case 'AbsoluteMonthly':
+        freq = 'MONTHLY';
+        byParts.push(`BYMONTHDAY=${pattern.dayOfMonth}`);
+        break;
+      case 'RelativeMonthly':
+        freq = 'MONTHLY';
+        byParts = this.toRelativeParts(pattern);
+        break;
+      case 'AbsoluteYearly':
+        freq = 'YEARLY';
+        byParts.push(`BYMONTH=${this.toMonthNumber(pattern.month)}`, `BYMONTHDAY=${pattern.dayOfMonth}`);
+        break;
+      case 'RelativeYearly':
+        freq = 'YEARLY';
+        byParts = [`BYMONTH=${this.toMonthNumber(pattern.month)}`, ...this.toRelativeParts(pattern)];
+        break;
+      // Regenerating patterns (tasks) repeat relative to the last completion, which RRULE
+      // cannot express: they map to the plain frequency
+      case 'DailyRegeneration':
+        freq = 'DAILY';
+        break;
+      case 'WeeklyRegeneration':
+        freq = 'WEEKLY';
+        break;
+      case 'MonthlyRegeneration':
+        freq = 'MONTHLY';
+        break;
+      case 'YearlyRegeneration':
+        freq = 'YEARLY';
+        break;
+      default:
+        throw new Error(`Unsupported recurrence pattern: ${pattern.type}`);
+    }
+
+    const parts = [`FREQ=${freq}`];
+    if (interval > 1) {
+      parts.push(`INTERVAL=${interval}`);
+    }
+    parts.push(...byParts);
+
+    if (range && range.type === 'Numbered') {
+      parts.push(`COUNT=${range.numberOfOccurrences}`);
+    } else if (range && range.type === 'EndDate' && range.endDate) {
+      // EWS end dates are inclusive calendar days
+      parts.push(`UNTIL=${options.isAllDay
+        ? range.endDate.slice(0, 10).replace(/-/g, '')
+        : this.toUntil(range.endDate, options.start, options.timeZone)}`);
+    }
+
+    return parts.join(';');
+  }
+
+  /**
+   * Convert an RRULE value to an EWS recurrence
+   * startDate is the first occurrence; it supplies the range start and any day the rule leaves implicit
+   * options.timeZone (IANA) is the event's zone, in which those days are taken
+   * Rules EWS cannot represent (e.g. HOURLY, BYWEEKNO, several BYMONTHDAY values) throw
+   */
+  fromRRule(rrule, startDate, options = {}) {
+    const rule = this.parseRRule(rrule);
+    const start = this.toCalendarDay(startDate, options.timeZone);
+    const interval = parseInt(rule.INTERVAL) || 1;
+    const byDay = rule.BYDAY ? rule.BYDAY.split(',') : [];
+    const byMonthDay = rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : [];
+    const byMonth = rule.BYMONTH ? rule.BYMONTH.split(',').map(Number) : [];
+    const bySetPos = rule.BYSETPOS ? rule.BYSETPOS.split(',').map(Number) : [];
+
+    const unsupported = () => new Error(`Unsupported recurrence rule: ${rrule}`);
+
+    if (['BYSECOND', 'BYMINUTE', 'BYHOUR', 'BYWEEKNO', 'BYYEARDAY'].some(part => part in rule) ||
+        byMonth.length > 1 || !start) {
+      throw unsupported();
+    }
+
+    let pattern;
+    switch (rule.FREQ) {
+      case 'DAILY':
+        if (byDay.length === 0) {
+          pattern = { type: 'Daily', interval: interval };
+        } else if (interval === 1) {
+          // e.g. every weekday: EWS daily patterns take no days
+          pattern = { type: 'Weekly', interval: 1, daysOfWeek: this.toEWSDays(byDay) };
+        } else {
+          throw unsupported();
+        }
+        break;
+      case 'WEEKLY':
+        pattern = {
+          type: 'Weekly',
+          interval: interval,
+          daysOfWeek: byDay.length > 0 ? this.toEWSDays(byDay) : [RecurrenceConverter.EWS_DAYS[start.getDay()]],
+          firstDayOfWeek: rule.WKST ? this.toEWSDay(rule.WKST) : null
+        };
+        break;
+      case 'MONTHLY':
+        pattern = { ...this.fromMonthlyParts(byDay, byMonthDay, bySetPos, start, unsupported), interval: interval };
+        break;
+      case 'YEARLY': {
+        const month = byMonth[0] || start.getMonth() + 1;
+        const monthly = this.fromMonthlyParts(byDay, byMonthDay, bySetPos, start, unsupported);
+        if (interval > 1) {
+          // EWS yearly patterns have no interval: every n years is every 12n months from the start month
+          if (month !== start.getMonth() + 1) throw unsupported();
+          pattern = { ...monthly, interval: interval * 12 };
+        } else {
+          pattern = {
+            ...monthly,
+            type: monthly.type.replace('Monthly', 'Yearly'),
+            month: RecurrenceConverter.EWS_MONTHS[month - 1]
+          };
+        }
+        break;
+      }
+      default:
+        throw unsupported();
+    }
+
+    const range = { type: 'NoEnd', startDate: this.formatDate(start) };
+    if (rule.COUNT) {
+      range.type = 'Numbered';
+      range.numberOfOccurrences = parseInt(rule.COUNT);
+    } else if (rule.UNTIL) {
+      range.type = 'EndDate';
+      range.endDate = this.parseUntil(rule.UNTIL, options.timeZone);
+    }
+
+    return { pattern: pattern, range: range };
+  }
+
+  /**
+   * 1-based position of an occurrence in a series, as used by OccurrenceItemId InstanceIndex
+   * occurrenceDate is the original start of the occurrence, taken as a day in timeZone (IANA);
+   * null when no occurrence of the series falls on that day
+   * Deleted occurrences keep their position, so they are counted like any other
+   */
+  getInstanceIndex(recurrence, occurrenceDate, timeZone = null) {
+    const { pattern, range } = recurrence;
+    const [year, month, day] = range.startDate.slice(0, 10).split('-').map(Number);
+    const first = new Date(year, month - 1, day);
+    const target = this.toCalendarDay(occurrenceDate, timeZone);
+    if (!target) return null;
+
+    if (range.type === 'EndDate' && this.formatDate(target) > range.endDate.slice(0, 10)) {
+      return null;
+    }
+
+    let index = 0;
+    for (const date = new Date(first); date <= target; date.setDate(date.getDate() + 1)) {
+      if (!this.matchesPattern(date, pattern, first)) continue;
+
+      index++;
+      if (range.type === 'Numbered' && index > range.numberOfOccurrences) {
+        return null;
+      }
+      if (date.getTime() === target.getTime()) {
+        return index;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if a day is an occurrence of a pattern whose series starts on first
+   */
+  matchesPattern(date, pattern, first) {
+    const interval = pattern.interval || 1;
+    const dayLength = 24 * 60 * 60 * 1000;
+    const monthsBetween = (date.getFullYear() - first.getFullYear()) * 12 + date.getMonth() - first.getMonth();
+
+    switch (pattern.type) {
+      case 'Daily':
+        return Math.round((date - first) / dayLength) % interval === 0;
+      case 'Weekly': {
+        if (!this.expandDays(pattern.daysOfWeek).includes(RecurrenceConverter.ICAL_DAYS[date.getDay()])) {
+          return false;
+        }
+        const weekStart = Math.max(RecurrenceConverter.EWS_DAYS.indexOf(pattern.firstDayOfWeek), 0);
+        const startOfWeek = value => {
+          const result = new Date(value);
+          result.setDate(result.getDate() - ((result.getDay() - weekStart + 7) % 7));
+          return result;
+        };
+        return Math.round((startOfWeek(date) - startOfWeek(first)) / (7 * dayLength)) % interval === 0;
+      }
+      case 'AbsoluteMonthly':
+        return monthsBetween % interval === 0 && date.getDate() === this.clampDayOfMonth(date, pattern.dayOfMonth);
+      case 'RelativeMonthly':
+        return monthsBetween % interval === 0 && this.isRelativeDay(date, pattern);
+      case 'AbsoluteYearly':
+        return date.getMonth() === this.toMonthNumber(pattern.month) - 1 &&
+          date.getDate() === this.clampDayOfMonth(date, pattern.dayOfMonth);
+      case 'RelativeYearly':
+        return date.getMonth() === this.toMonthNumber(pattern.month) - 1 && this.isRelativeDay(date, pattern);
+      default:
+        // Regenerating series have no fixed occurrences
+        return false;
+    }
+  }
+
+  /**
+   * Day of month a pattern falls on in the month of date (day 31 falls on the last day of shorter months)
+   */
+  clampDayOfMonth(date, dayOfMonth) {
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    return Math.min(dayOfMonth, daysInMonth);
+  }
+
+  /**
+   * Check if date is the DayOfWeekIndex-th matching day (e.g. second Tuesday, last weekday) of its month
+   */
+  isRelativeDay(date, pattern) {
+    const days = this.expandDays(pattern.daysOfWeek);
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    const candidates = [];
+
+    for (let day = 1; day <= daysInMonth; day++) {
+      const weekday = new Date(date.getFullYear(), date.getMonth(), day).getDay();
+      if (days.includes(RecurrenceConverter.ICAL_DAYS[weekday])) {
+        candidates.push(day);
+      }
+    }
+
+    const position = RecurrenceConverter.DAY_INDEXES[pattern.dayOfWeekIndex];
+    const match = position === -1 ? candidates[candidates.length - 1] : candidates[position - 1];
+    return match === date.getDate();
+  }
+
+  /**
+   * Map monthly / yearly BYMONTHDAY, BYDAY and BYSETPOS to an absolute or relative pattern
+   */
+  fromMonthlyParts(byDay, byMonthDay, bySetPos, start, unsupported) {
+    if (byMonthDay.length > 0) {
+      if (byMonthDay.length > 1 || byDay.length > 0) throw unsupported();
+      if (byMonthDay[0] === -1) {
+        // Last day of the month
+        return { type: 'RelativeMonthly', daysOfWeek: ['Day'], dayOfWeekIndex: 'Last' };
+      }
+      if (byMonthDay[0] < 1) throw unsupported();
+      return { type: 'AbsoluteMonthly', dayOfMonth: byMonthDay[0] };
+    }
+
+    if (byDay.length === 0) {
+      return { type: 'AbsoluteMonthly', dayOfMonth: start.getDate() };
+    }
+
+    // Ordinal day such as 2TU or -1FR
+    const ordinal = byDay.length === 1 && byDay[0].match(/^([+-]?\d)([A-Z]{2})$/);
+    if (ordinal) {
+      return {
+        type: 'RelativeMonthly',
+        daysOfWeek: [this.toEWSDay(ordinal[2])],
+        dayOfWeekIndex: this.toEWSIndex(parseInt(ordinal[1]), unsupported)
+      };
+    }
+
+    // Day sets with a position, e.g. BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1 (last weekday)
+    if (bySetPos.length !== 1) throw unsupported();
+    return {
+      type: 'RelativeMonthly',
+      daysOfWeek: [this.toEWSDayGroup(byDay, unsupported)],
+      dayOfWeekIndex: this.toEWSIndex(bySetPos[0], unsupported)
+    };
+  }
+
+  /**
+   * RRULE parts for a RelativeMonthly / RelativeYearly pattern
+   */
+  toRelativeParts(pattern) {
+    const position = RecurrenceConverter.DAY_INDEXES[pattern.dayOfWeekIndex];
+    const days = this.expandDays(pattern.daysOfWeek);
+
+    if (pattern.daysOfWeek.length === 1 && pattern.daysOfWeek[0] === 'Day') {
+      // First / last day of the month
+      return [`BYMONTHDAY=${position}`];
+    }
+    if (days.length === 1) {
+      return [`BYDAY=${position}${days[0]}`];
+    }
+    return [`BYDAY=${days.join(',')}`, `BYSETPOS=${position}`];
+  }
+
+  /**
+   * Split an RRULE value into its parts, keyed by upper-case name
+   */
+  parseRRule(rrule) {
+    const rule = {};
+    rrule.replace(/^RRULE:/i, '').split(';').forEach(part => {
+      const [name, value] = part.split('=');
+      if (name && value) {
+        rule[name.trim().toUpperCase()] = value.trim().toUpperCase();
+      }
+    });
+    return rule;
+  }
+
+  /**
+   * UNTIL (DATE or DATE-TIME) as an EWS end date (YYYY-MM-DD)
+   */
+  parseUntil(until, timeZone = null) {
+    const match = until.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+    if (!match) {
+      throw new Error(`Invalid UNTIL value: ${until}`);
+    }
+
+    if (match[7] === 'Z') {
+      // UTC date-time: the last occurrence falls on the date of that instant in the event's zone
+      return this.formatDate(this.toCalendarDay(
+        new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6])), timeZone
+      ));
+    }
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  /**
+   * UTC DATE-TIME UNTIL for the occurrence on an EWS end date (YYYY-MM-DD): the series start time
+   * on that day in timeZone (IANA), or the end of that day when the start is unknown
+   */
+  toUntil(endDate, start, timeZone = null) {
+    const [year, month, day] = endDate.slice(0, 10).split('-').map(Number);
+    const startDate = start ? new Date(start) : null;
+    const time = startDate && !isNaN(startDate.getTime())
+      ? this.getWallClock(startDate, timeZone)
+      : { hour: 23, minute: 59, second: 59 };
+
+    const wallTime = Date.UTC(year, month - 1, day, time.hour, time.minute, time.second);
+    let instant = wallTime - this.getZoneOffset(new Date(wallTime), timeZone);
+    // The offset at the guess may differ from the one at the result near DST changes
+    instant = wallTime - this.getZoneOffset(new Date(instant), timeZone);
+
+    return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Wall-clock fields of an instant in a time zone (IANA), or in the local zone without one
+   */
+  getWallClock(date, timeZone = null) {
+    if (timeZone) {
+      try {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+          timeZone: timeZone,
+          hourCycle: 'h23',
+          year: 'numeric',
+          month: 'numeric',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: 'numeric',
+          second: 'numeric'
+        }).formatToParts(date).forEach(part => { parts[part.type] = parseInt(part.value); });
+        return parts;
+      } catch (error) {
+        console.warn('Unknown time zone, using the local time:', timeZone);
+      }
+    }
+
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds()
+    };
+  }
+
+  /**
+   * Offset from UTC at an instant, in milliseconds, of a time zone (IANA) or the local zone
+   */
+  getZoneOffset(date, timeZone = null) {
+    const parts = this.getWallClock(date, timeZone);
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallTime - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * Calendar day of an instant in a time zone (IANA), as a local midnight Date (null for invalid dates)
+   * Without a time zone, or with one the runtime does not know, the local day is used
+   */
+  toCalendarDay(value, timeZone = null) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    if (timeZone) {
+      try {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', { timeZone: timeZone, year: 'numeric', month: 'numeric', day: 'numeric' })
+          .formatToParts(date)
+          .forEach(part => { parts[part.type] = parseInt(part.value); });
+        return new Date(parts.year, parts.month - 1, parts.day);
+      } catch (error) {
+        console.warn('Unknown time zone, using the local day:', timeZone);
+      }
+    }
+
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  /**
+   * Local calendar date as YYYY-MM-DD
+   */
+  formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Expand EWS DaysOfWeek values (including Day, Weekday, WeekendDay) to iCalendar days
+   */
+  expandDays(daysOfWeek) {
+    return (daysOfWeek || []).flatMap(day => {
+      if (day in RecurrenceConverter.DAY_GROUPS) {
+        return RecurrenceConverter.DAY_GROUPS[day];
+      }
+      return [this.toICalDay(day)];
+    });
+  }
+
+  /**
+   * EWS day name to iCalendar day (Monday -> MO)
+   */
+  toICalDay(day) {
+    const index = RecurrenceConverter.EWS_DAYS.indexOf(day);
+    if (index === -1) {
+      throw new Error(`Unknown day of week: ${day}`);
+    }
+    return RecurrenceConverter.ICAL_DAYS[index];
+  }
+
+  /**
+   * iCalendar day to EWS day name (MO -> Monday)
+   */
+  toEWSDay(day) {
+    const index = RecurrenceConverter.ICAL_DAYS.indexOf(day.toUpperCase());
+    if (index === -1) {
+      throw new Error(`Unknown day of week: ${day}`);
+    }
+    return RecurrenceConverter.EWS_DAYS[index];
+  }
+
+  /**
+   * Plain BYDAY list (no ordinals) to EWS day names
+   */
+  toEWSDays(byDay) {
+    return byDay.map(day => {
+      if (!/^[A-Z]{2}$/.test(day)) {
+        throw new Error(`Unsupported day in recurrence rule: ${day}`);
+      }
+      return this.toEWSDay(day);
+    });
+  }
+
+  /**
+   * BYDAY set used with BYSETPOS to a single EWS DaysOfWeek value
+   */
+  toEWSDayGroup(byDay, unsupported) {
+    if (byDay.length === 1) {
+      return this.toEWSDay(byDay[0]);
+    }
+
+    const key = [...byDay].sort().join(',');
+    const group = Object.keys(RecurrenceConverter.DAY_GROUPS)
+      .find(name => [...RecurrenceConverter.DAY_GROUPS[name]].sort().join(',') === key);
+    if (!group) throw unsupported();
+    return group;
+  }
+
+  /**
+   * Ordinal (1..4, -1) to EWS DayOfWeekIndex
+   */
+  toEWSIndex(position, unsupported) {
+    const index = Object.keys(RecurrenceConverter.DAY_INDEXES)
+      .find(name => RecurrenceConverter.DAY_INDEXES[name] === position);
+    if (!index) throw unsupported();
+    return index;
+  }
+
+  /**
+   * EWS month name to month number (January -> 1)
+   */
+  toMonthNumber(month) {
+    const index = RecurrenceConverter.EWS_MONTHS.indexOf(month);
+    if (index === -1) {
+      throw new Error(`Unknown month: ${month}`);
+    }
+    return index + 1;
+  }
+}
+
+RecurrenceConverter.EWS_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+RecurrenceConverter.ICAL_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+RecurrenceConverter.DAY_GROUPS = {
+  Day: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'],
+  Weekday: ['MO', 'TU', 'WE', 'TH', 'FR'],
+  WeekendDay: ['SA', 'SU']
+};
+RecurrenceConverter.DAY_INDEXES = { First: 1, Second: 2, Third: 3, Fourth: 4, Last: -1 };
+RecurrenceConverter.EWS_MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
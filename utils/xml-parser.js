@@ -501,44 +501,45 @@ class XMLParser {
 
   /**
    * Extract recurrence information
+   * pattern.type is the EWS pattern name without the "Recurrence" suffix (Daily, Weekly, AbsoluteMonthly,
+   * RelativeMonthly, AbsoluteYearly, RelativeYearly) or a regeneration pattern (DailyRegeneration, ...);
+   * range.type is NoEnd, EndDate or Numbered
    */
   extractRecurrenceInfo(itemElement) {
     try {
       const recurrenceElement = itemElement.getElementsByTagName('t:Recurrence')[0];
       if (!recurrenceElement) return null;
 
-      const recurrence = {};
+      const recurrence = { pattern: null, range: null };
+      const rangeTypes = ['NoEndRecurrence', 'EndDateRecurrence', 'NumberedRecurrence'];
 
-      // Extract pattern
-      const patternElements = recurrenceElement.children;
-      for (let i = 0; i < patternElements.length; i++) {
-        const pattern = patternElements[i];
-        
-        if (pattern.tagName.includes('Pattern')) {
-          recurrence.pattern = {
-            type: pattern.tagName.replace('t:', '').replace('Pattern', ''),
-            interval: parseInt(this.getElementText(pattern, 't:Interval')) || 1
-          };
+      const children = recurrenceElement.children;
+      for (let i = 0; i < children.length; i++) {
+        const element = children[i];
+        const name = element.tagName.replace('t:', '');
 
-          // Add pattern-specific properties
-          if (pattern.tagName.includes('Weekly')) {
-            recurrence.pattern.daysOfWeek = this.getElementText(pattern, 't:DaysOfWeek');
-          } else if (pattern.tagName.includes('Monthly')) {
-            recurrence.pattern.dayOfMonth = parseInt(this.getElementText(pattern, 't:DayOfMonth'));
-          }
-        }
-        
-        if (pattern.tagName.includes('Range')) {
+        if (rangeTypes.includes(name)) {
           recurrence.range = {
-            type: pattern.tagName.replace('t:', '').replace('Range', ''),
-            startDate: this.getElementText(pattern, 't:StartDate'),
-            endDate: this.getElementText(pattern, 't:EndDate'),
-            numberOfOccurrences: parseInt(this.getElementText(pattern, 't:NumberOfOccurrences'))
+            type: name.replace('Recurrence', ''),
+            startDate: this.getElementText(element, 't:StartDate'),
+            endDate: this.getElementText(element, 't:EndDate'),
+            numberOfOccurrences: parseInt(this.getElementText(element, 't:NumberOfOccurrences')) || null
+          };
+        } else {
+          const daysOfWeek = this.getElementText(element, 't:DaysOfWeek');
+          recurrence.pattern = {
+            type: name.replace(/Recurrence$/, ''),
+            interval: parseInt(this.getElementText(element, 't:Interval')) || 1,
+            daysOfWeek: daysOfWeek ? daysOfWeek.trim().split(/\s+/) : [],
+            dayOfWeekIndex: this.getElementText(element, 't:DayOfWeekIndex'),
+            dayOfMonth: parseInt(this.getElementText(element, 't:DayOfMonth')) || null,
+            month: this.getElementText(element, 't:Month'),
+            firstDayOfWeek: this.getElementText(element, 't:FirstDayOfWeek')
           };
         }
       }
 
-      return recurrence;
+      return recurrence.pattern ? recurrence : null;
     } catch (error) {
       console.warn('Failed to extract recurrence info:', error);
       return null;